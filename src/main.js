@@ -13,6 +13,24 @@ const ProcessWorkerPool = require('./utils/processWorkerPool');
 const FileLock = require('./utils/fileLock');
 const ffmpegHelper = require('./utils/ffmpegHelper');
 const BroadcastServer = require('./utils/broadcastServer');
+const DownloadQueue = require('./utils/downloadQueue');
+const TrackLibrary = require('./utils/trackLibrary');
+const BackupManager = require('./utils/backupManager');
+const FolderWatcher = require('./utils/folderWatcher');
+const safeJson = require('./utils/safeJson');
+const {
+  PLAYLIST_EXTENSIONS,
+  MANIFEST_EXTENSION,
+  ZIP_MANIFEST_ENTRY,
+  isPlaylistManifest,
+  parsePlaylistFile,
+  buildM3U8,
+  buildXSPF,
+  buildPlaylistManifest
+} = require('./utils/playlistFormats');
+
+const { TASK_STATUS, JOB_STATUS } = DownloadQueue;
+const { hashFile } = BackupManager;
 
 // Disable Chromium background throttling so timers and media events keep firing when unfocused
 try {
@@ -24,9 +42,12 @@ try {
 }
 
 let mainWindow;
-let isDownloading = false;
 let processWorkerPool;
+let downloadQueue;
+let trackLibrary;
+let backupManager;
 let fileLock;
+let isShuttingDown = false;
 let broadcastServer;
 let playbackPSBId = null; // power save blocker id when playing
 
@@ -52,15 +73,18 @@ async function initializeWorkerPool(ytDlpPath) {
 
     // Forward worker logs to renderer for UI console display
     processWorkerPool.on('workerLog', (logData) => {
+      logger.persist(logData.level, logData.message, logData.data, `worker ${logData.workerId}`);
       if (mainWindow && mainWindow.webContents) {
         mainWindow.webContents.send('worker-log', logData);
       }
     });
-    // Listen for progress updates from the worker pool and forward them to the renderer
-    processWorkerPool.on('progress', (progressData) => {
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('download-progress', progressData);
-      }
+    // Feed worker stage and progress reports into the download queue
+    processWorkerPool.on('status', ({ taskId, status, fileBase }) => {
+      // fileBase (the output name without extension) keeps orphan cleanup off the download's files
+      if (downloadQueue) downloadQueue.reportTaskActivity(taskId, fileBase ? { status, fileBase } : { status });
+    });
+    processWorkerPool.on('progress', ({ taskId, progress }) => {
+      if (downloadQueue) downloadQueue.reportTaskActivity(taskId, { status: TASK_STATUS.DOWNLOADING, progress });
     });
     logger.info(`Initialized process worker pool with ${maxWorkers} workers`);
   } catch (error) {
@@ -123,7 +147,7 @@ async function initializeBroadcastServer() {
     try {
       const themeConfigPath = path.join(configPath, 'theme.json');
       if (await fs.pathExists(themeConfigPath)) {
-        const themeConfig = await fs.readJson(themeConfigPath);
+        const themeConfig = await safeJson.readJson(themeConfigPath);
         broadcastServer.updateTheme(themeConfig);
       }
     } catch (error) {
@@ -191,7 +215,7 @@ async function initialisePaths() {
 
   try {
     if (await fs.pathExists(globalSettingsPath)) {
-      const globalSettings = await fs.readJson(globalSettingsPath);
+      const globalSettings = await safeJson.readJson(globalSettingsPath);
       if (globalSettings && globalSettings.customDataPath) {
         customDataPath = globalSettings.customDataPath;
       }
@@ -244,6 +268,147 @@ function toAbsolutePath(relOrAbs) {
   return path.isAbsolute(relOrAbs) ? relOrAbs : path.join(appDataPath, relOrAbs);
 }
 
+/**
+ * Path to store for a track. Linked tracks keep their absolute path: the file lives outside
+ * the data directory, and the `songs/` heuristic in toRelativePath would mangle e.g. /mnt/nas/songs/...
+ * @param {object} track
+ * @returns {string}
+ */
+function toStoredTrackPath(track) {
+  return track.linked ? track.filePath : toRelativePath(track.filePath);
+}
+
+// ---- Playlist storage ----
+// Playlist files hold `trackIds`; each track is stored once in the library (library.json).
+
+// Track fields the renderer edits. Everything else (duration, paths, analysis results, flags) is
+// owned by main, and the renderer's copy of it may be stale, so saves from there only touch these.
+const RENDERER_TRACK_FIELDS = ['name', 'volume', 'thumbnail', 'startAt', 'endAt', 'playbackRate'];
+
+/**
+ * Read a playlist file with its tracks resolved from the library. Track paths stay relative.
+ * @param {string} playlistPath
+ * @returns {Promise<object>}
+ */
+async function loadPlaylistFile(playlistPath) {
+  const { trackIds, ...playlist } = await safeJson.readJson(playlistPath);
+  // Copies, so callers can't change library tracks by accident
+  playlist.tracks = trackLibrary.resolve(trackIds).map(track => ({ ...track }));
+  return playlist;
+}
+
+/**
+ * Write a playlist file, storing its tracks as ids. Tracks the library doesn't know yet are added.
+ * @param {string} playlistPath
+ * @param {object} playlist playlist with a `tracks` array
+ * @param {object} options
+ * @param {boolean} options.updateTracks also apply the renderer-editable fields to the library copies
+ */
+async function savePlaylistFile(playlistPath, playlist, { updateTracks = false } = {}) {
+  const { tracks, ...data } = playlist;
+  const trackIds = new Set();
+  let addedTracks = 0;
+
+  for (const track of tracks || []) {
+    if (!track || !track.id) continue;
+    const stored = { ...track, filePath: toStoredTrackPath(track) };
+    const existing = trackLibrary.get(track.id);
+    if (!existing) {
+      addedTracks++;
+      trackLibrary.add(stored);
+    } else if (updateTracks) {
+      // A field missing from the renderer's copy was cleared there (e.g. trim points removed)
+      const changes = {};
+      for (const field of RENDERER_TRACK_FIELDS) {
+        if (track[field] !== existing[field]) changes[field] = track[field];
+      }
+      if (Object.keys(changes).length > 0) trackLibrary.update(track.id, changes);
+    }
+    trackIds.add(track.id);
+  }
+
+  data.trackIds = [...trackIds];
+  await safeJson.writeJson(playlistPath, data);
+  trackLibrary.setPlaylistTracks(data.id, data.trackIds);
+
+  // New tracks still need their loudness measured, and maybe their silence found
+  if (addedTracks > 0) {
+    scheduleLoudnessAnalysis();
+    if (pendingSilenceAnalysis.size > 0) scheduleSilenceAnalysis();
+  }
+}
+
+// Playlist files that couldn't be read at startup. Their tracks look unreferenced, so while
+// there are any, nothing is removed from the library as an orphan.
+const unindexedPlaylistFiles = new Set();
+
+// Load the library and move tracks out of playlist files that still embed them
+async function initializeTrackLibrary() {
+  trackLibrary = new TrackLibrary(path.join(appDataPath, 'library.json'));
+  await trackLibrary.load();
+  unindexedPlaylistFiles.clear();
+
+  let migrated = 0;
+  const files = await fs.readdir(playlistsPath);
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const playlistPath = path.join(playlistsPath, file);
+    try {
+      const data = await safeJson.readJson(playlistPath);
+      if (Array.isArray(data.tracks)) {
+        await migratePlaylistFile(playlistPath, data);
+        migrated++;
+      } else {
+        trackLibrary.setPlaylistTracks(data.id, data.trackIds || []);
+      }
+    } catch (error) {
+      unindexedPlaylistFiles.add(file);
+      logger.error(`Failed to index playlist file: ${file}`, error);
+    }
+  }
+
+  if (migrated > 0) {
+    trackLibrary.flush();
+    logger.info('Migrated playlists to the track library', { playlists: migrated, tracks: trackLibrary.tracks.size });
+  }
+}
+
+// Damaged files restored from a snapshot, held until the window can tell the user
+const recoveredFiles = [];
+
+safeJson.on('recovered', ({ filePath, savedAt, data }) => {
+  const isPlaylist = isInsideDirectory(playlistsPath, filePath) && data && data.name;
+  recoveredFiles.push({ name: isPlaylist ? `Playlist "${data.name}"` : path.basename(filePath), savedAt });
+  sendRecoveryNotices();
+});
+
+function sendRecoveryNotices() {
+  if (recoveredFiles.length === 0 || !mainWindow || mainWindow.isDestroyed() || mainWindow.webContents.isLoading()) return;
+  mainWindow.webContents.send('files-recovered', recoveredFiles.splice(0));
+}
+
+async function migratePlaylistFile(playlistPath, data) {
+  // Keep the original so the migration can be undone by hand
+  const backupDir = path.join(appDataPath, 'migrations', 'library-v1');
+  await fs.ensureDir(backupDir);
+  await fs.copy(playlistPath, path.join(backupDir, path.basename(playlistPath)), { overwrite: false });
+
+  const tracks = [];
+  for (const track of data.tracks) {
+    if (!track || !track.filePath) continue;
+    const stored = { ...track, id: track.id || uuidv4(), filePath: toRelativePath(track.filePath) };
+
+    // The same video downloaded into two playlists got the same id but its own file: keep both
+    const existing = trackLibrary.get(stored.id);
+    if (existing && existing.filePath !== stored.filePath) {
+      stored.id = uuidv4();
+    }
+    tracks.push(stored);
+  }
+
+  await savePlaylistFile(playlistPath, { ...data, tracks });
+  logger.info('Migrated playlist to the track library', { playlist: playlistPath, tracks: tracks.length });
+}
+
 // App configuration management
 async function createDataDirectories() {
   try {
@@ -277,7 +442,12 @@ async function createDataDirectories() {
 
 const defaultAppConfig = {
   download: {
-    retryAttempts: 3
+    retryAttempts: 3,
+    silenceDetection: false, // look for dead air in new downloads and added files
+    silenceAction: 'suggest', // 'suggest', 'trim' (set trim points) or 'remove' (rewrite the file)
+    silenceThresholdDb: -50, // quieter than this counts as silence
+    silenceMinSeconds: 1, // shorter leading/trailing silence is left alone
+    silenceGapSeconds: 10 // silent gaps inside a track this long are reported
   },
   visualizer: {
     enabled: true
@@ -290,31 +460,92 @@ const defaultAppConfig = {
     isRepeat: false,
     isShuffle: false,
     saveRepeatState: true,
-    saveTrackTime: true
+    saveTrackTime: true,
+    queue: [] // Up Next entries: { id, trackId, playlistId }
+  },
+  playback: {
+    gapless: true, // preload the next track so it starts the moment the current one ends
+    crossfadeSeconds: 0,
+    resumeMinMinutes: 20, // tracks at least this long resume where they were left; 0 = off
+    preservePitch: true // keep voices natural when playing faster or slower than 1×
+  },
+  normalization: {
+    mode: 'track', // 'off', 'track' or 'album' (album tag or source playlist)
+    preAmp: 0, // dB added on top of the normalization gain
+    preventClipping: true, // never boost a track above its measured true peak
+    analyzeInBackground: true
+  },
+  equalizer: {
+    enabled: true,
+    preset: 'flat', // built-in preset id, 'user:<name>' or 'custom'
+    gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], // dB per band, see utils/eqUtils.js
+    userPresets: {} // name -> gains
   },
   broadcast: {
     enabled: false,
     host: '127.0.0.1',
     port: 4583,
     publicHost: '',
+  },
+  localFiles: {
+    linkInPlace: false // reference added files where they are instead of copying them into songs/
+  },
+  subscriptions: {
+    autoSync: false,
+    syncIntervalHours: 24,
+    flagRemovedTracks: true
+  },
+  backup: {
+    directory: '', // chosen by the user; ideally on another drive
+    autoBackup: false,
+    intervalHours: 24,
+    keepCount: 5
   }
 };
 
 async function loadAppConfig() {
   try {
     if (await fs.pathExists(appConfigPath)) {
-      const config = await fs.readJson(appConfigPath);
+      const config = await safeJson.readJson(appConfigPath);
       // Deep merge to handle nested objects like playbackState and broadcast
       const mergedConfig = {
         ...defaultAppConfig,
         ...config,
+        download: {
+          ...defaultAppConfig.download,
+          ...(config.download || {})
+        },
         playbackState: {
           ...defaultAppConfig.playbackState,
           ...(config.playbackState || {})
         },
+        playback: {
+          ...defaultAppConfig.playback,
+          ...(config.playback || {})
+        },
+        normalization: {
+          ...defaultAppConfig.normalization,
+          ...(config.normalization || {})
+        },
+        equalizer: {
+          ...defaultAppConfig.equalizer,
+          ...(config.equalizer || {})
+        },
         broadcast: {
           ...defaultAppConfig.broadcast,
           ...(config.broadcast || {})
+        },
+        localFiles: {
+          ...defaultAppConfig.localFiles,
+          ...(config.localFiles || {})
+        },
+        subscriptions: {
+          ...defaultAppConfig.subscriptions,
+          ...(config.subscriptions || {})
+        },
+        backup: {
+          ...defaultAppConfig.backup,
+          ...(config.backup || {})
         }
       };
       logger.info('Loaded app config with playback state', {
@@ -331,7 +562,7 @@ async function loadAppConfig() {
 
 async function saveAppConfig(config) {
   try {
-    await fs.writeJson(appConfigPath, config, { spaces: 2 });
+    await safeJson.writeJson(appConfigPath, config);
     logger.info('App config saved successfully');
     return true;
   } catch (error) {
@@ -382,6 +613,9 @@ function createWindow() {
       mainWindow.show();
     });
 
+    // Startup reads may have restored files before there was a page to report it
+    mainWindow.webContents.on('did-finish-load', sendRecoveryNotices);
+
     mainWindow.on('closed', () => {
       logger.info('Main window closed');
       mainWindow = null;
@@ -421,8 +655,15 @@ app.whenReady().then(async () => {
   await initialisePaths();
   // Ensure data directories now that paths point to writable location
   await createDataDirectories();
+  // Persist logs (including anything buffered during startup) under the data directory
+  logger.setLogDirectory(path.join(appDataPath, 'logs'));
   // Initialize file lock
   fileLock = new FileLock(path.join(appDataPath, 'locks'));
+  backupManager = new BackupManager(appDataPath);
+  // Load the track library (migrating old playlist files) before anything reads playlists
+  await initializeTrackLibrary();
+  // Restore the persistent download queue before any window can add to it
+  await initializeDownloadQueue();
 
   // Show window immediately for fast startup
   createWindow();
@@ -468,6 +709,12 @@ app.whenReady().then(async () => {
   // Make backgroundInitPromise globally accessible
   global.backgroundInitPromise = backgroundInitPromise;
 
+  // Resume downloads left over from the previous session
+  pumpDownloadQueue();
+  startSubscriptionScheduler();
+  startBackupScheduler();
+  startFolderWatchers().catch(error => logger.error('Failed to start watched folders', error));
+
   // Run duration scan in background after app is ready (non-blocking)
   setTimeout(async () => {
     try {
@@ -484,6 +731,8 @@ app.whenReady().then(async () => {
     } catch (error) {
       logger.error('Error during background duration scan', error);
     }
+    // Durations are in place now, which the album gains are weighted by
+    scheduleLoudnessAnalysis();
   }, 3000); // Wait 3 seconds after app startup
 
   app.on('activate', () => {
@@ -531,13 +780,13 @@ ipcMain.handle('get-playlists', async () => {
     for (const file of files) {
       if (file.endsWith('.json')) {
         try {
-          const playlistData = await fs.readJson(path.join(playlistsPath, file));
+          const playlistData = await loadPlaylistFile(path.join(playlistsPath, file));
           // Convert relative paths to absolute for renderer
           if (playlistData.tracks && Array.isArray(playlistData.tracks)) {
             playlistData.tracks = playlistData.tracks
               .filter(t => t && t.filePath)
               .map(t => {
-                const relativePath = toRelativePath(t.filePath);
+                const relativePath = toStoredTrackPath(t);
                 const absolutePath = toAbsolutePath(relativePath);
                 return { ...t, filePath: absolutePath };
               });
@@ -573,24 +822,22 @@ withErrorHandling('prune-playlist', async (event, playlistId) => {
       throw new Error('Playlist file does not exist');
     }
 
-    const playlist = await fs.readJson(playlistFile);
-    if (!playlist.tracks || !Array.isArray(playlist.tracks)) {
-      return playlist;
-    }
+    const playlist = await loadPlaylistFile(playlistFile);
 
     const originalCount = playlist.tracks.length;
     const existingTracks = [];
 
     for (const track of playlist.tracks) {
       const absPath = toAbsolutePath(track.filePath);
-      if (await fs.pathExists(absPath)) {
+      // A linked file may only be on a drive that isn't connected right now; see relink-linked-files
+      if (track.linked || await fs.pathExists(absPath)) {
         existingTracks.push(track);
       }
     }
 
     if (existingTracks.length !== originalCount) {
       playlist.tracks = existingTracks;
-      await fs.writeJson(playlistFile, playlist, { spaces: 2 });
+      await savePlaylistFile(playlistFile, playlist);
       logger.info('Playlist pruned successfully', {
         playlistId,
         removed: originalCount - existingTracks.length
@@ -622,7 +869,7 @@ withErrorHandling('create-playlist', async (event, name) => {
     const playlistFilePath = path.join(playlistsPath, `${playlist.id}.json`);
     logger.info('Creating playlist file', { path: playlistFilePath });
 
-    await fs.writeJson(playlistFilePath, playlist, { spaces: 2 });
+    await savePlaylistFile(playlistFilePath, playlist);
     logger.info('Playlist created successfully', { playlistId: playlist.id, name });
     return playlist;
   } catch (error) {
@@ -642,7 +889,7 @@ withErrorHandling('update-playlist', async (event, playlist) => {
     if (playlist.tracks && Array.isArray(playlist.tracks)) {
       playlist.tracks = playlist.tracks.map(t => ({
         ...t,
-        filePath: toRelativePath(t.filePath)
+        filePath: toStoredTrackPath(t)
       }));
     }
 
@@ -652,7 +899,8 @@ withErrorHandling('update-playlist', async (event, playlist) => {
       storagePlaylist.iconPath = toRelativePath(storagePlaylist.iconPath);
     }
 
-    await fs.writeJson(path.join(playlistsPath, `${playlist.id}.json`), storagePlaylist, { spaces: 2 });
+    // Track edits (name, volume, thumbnail...) go to the library and show up in every playlist
+    await savePlaylistFile(path.join(playlistsPath, `${playlist.id}.json`), storagePlaylist, { updateTracks: true });
     return playlist;
   } catch (error) {
     logger.error('Error updating playlist', error, { playlistId: playlist.id });
@@ -665,75 +913,27 @@ withErrorHandling('delete-playlist', async (event, playlistId) => {
   try {
     logger.userAction('delete-playlist-requested', { playlistId });
 
-    const playlistFile = path.join(playlistsPath, `${playlistId}.json`);
-    let tracksToDelete = [];
-
-    // 1. Read tracks in the playlist to be deleted (if exists)
-    if (await fs.pathExists(playlistFile)) {
-      try {
-        const playlistData = await fs.readJson(playlistFile);
-        tracksToDelete = playlistData.tracks || [];
-      } catch (readErr) {
-        logger.warn('Could not read playlist file before deletion', readErr, { playlistId });
+    // Downloads into a deleted playlist have nowhere to go
+    if (downloadQueue) {
+      for (const job of downloadQueue.jobs.filter(j => j.playlistId === playlistId)) {
+        await cancelDownloadJob(job.id);
       }
     }
 
-    // 2. Build a set of all track file paths referenced by OTHER playlists
-    const referencedFiles = new Set();
-    try {
-      const playlistFiles = await fs.readdir(playlistsPath);
-      for (const file of playlistFiles) {
-        if (file === `${playlistId}.json` || path.extname(file) !== '.json') continue; // skip the playlist being deleted and non-json files
-        try {
-          const playlistPath = path.join(playlistsPath, file);
-          const data = await fs.readJson(playlistPath);
-          if (!Array.isArray(data.tracks)) data.tracks = [];
-
-          // Filter out tracks whose files are missing
-          const existingTracks = [];
-          for (const t of data.tracks) {
-            const abs = toAbsolutePath(t.filePath);
-            if (await fs.pathExists(abs)) {
-              existingTracks.push(t);
-              referencedFiles.add(abs);
-            }
-          }
-          if (existingTracks.length !== data.tracks.length) {
-            data.tracks = existingTracks;
-            try {
-              await fs.writeJson(playlistPath, data, { spaces: 2 });
-              logger.info('Pruned missing-file tracks from playlist', { playlist: playlistPath, removed: data.tracks.length - existingTracks.length });
-            } catch (writeErr) {
-              logger.warn('Failed to rewrite playlist after pruning missing tracks', writeErr, { playlist: playlistPath });
-            }
-          }
-        } catch (parseErr) {
-          logger.warn('Failed to parse playlist while building referenced files set', parseErr, { file });
-        }
-      }
-    } catch (dirErr) {
-      logger.warn('Failed to scan playlists directory when deleting playlist', dirErr);
-    }
+    const playlistFile = path.join(playlistsPath, `${playlistId}.json`);
 
-    // 3. Delete audio files that are NOT referenced elsewhere
-    for (const track of tracksToDelete) {
-      if (!track.filePath) continue;
-      const absPath = toAbsolutePath(track.filePath);
-      if (!referencedFiles.has(absPath)) {
-        try {
-          await fs.remove(absPath);
-          logger.info('Deleted unreferenced track file', { path: absPath });
-        } catch (fileErr) {
-          logger.warn('Failed to delete track file during playlist deletion', fileErr, { path: absPath });
-        }
-      }
-    }
+    // Folders imported into this playlist have nowhere to go either
+    await forgetWatchedFolders(folder => folder.playlistId === playlistId);
+
+    // 1. Forget the playlist's references; tracks other playlists still use stay in the library
+    trackLibrary.removePlaylist(playlistId);
+    unindexedPlaylistFiles.delete(path.basename(playlistFile));
 
-    // 4. Clean up orphaned files in songs directory
-    await cleanupOrphanedFiles(referencedFiles);
+    // 2. Drop tracks nothing references any more and delete their files
+    await cleanupOrphanedFiles();
 
-    // 5. Finally, delete the playlist JSON
-    await fs.remove(playlistFile);
+    // 3. Finally, delete the playlist JSON
+    await safeJson.remove(playlistFile);
 
     logger.info('Playlist deleted successfully', { playlistId });
     return true;
@@ -743,37 +943,81 @@ withErrorHandling('delete-playlist', async (event, playlistId) => {
   }
 });
 
+const PARTIAL_FILE_PATTERN = /\.(part|ytdl|tmp)$/i; // downloads still being written
+
+// Files in songs/ that no library track (or finished download waiting for its job) uses.
+// Partial files and the output of downloads still running are never reported.
+async function findUnreferencedSongFiles() {
+  const referencedFiles = new Set(trackLibrary.all().filter(t => t.filePath).map(t => toAbsolutePath(t.filePath)));
+  // Finished downloads waiting for the rest of their job aren't in the library yet
+  if (downloadQueue) {
+    downloadQueue.jobs.forEach(job => job.tasks
+      .filter(t => t.track && !t.appended)
+      .forEach(t => referencedFiles.add(toAbsolutePath(t.track.filePath))));
+  }
+  // A running download's mp3 can be complete before its task is marked done
+  const activeFileBases = downloadQueue
+    ? downloadQueue.getActiveTasks().filter(t => t.fileBase).map(t => `${t.fileBase}.`)
+    : [];
+
+  const unreferenced = [];
+  for (const file of await fs.readdir(songsPath)) {
+    const filePath = path.join(songsPath, file);
+    const stats = await fs.stat(filePath);
+
+    // Skip directories
+    if (stats.isDirectory()) continue;
+
+    if (PARTIAL_FILE_PATTERN.test(file)) continue;
+    if (activeFileBases.some(base => file.startsWith(base))) continue;
+
+    // Check if this file is used by any track
+    if (!referencedFiles.has(filePath)) unreferenced.push({ filePath, size: stats.size });
+  }
+  return unreferenced;
+}
+
 /**
- * Clean up orphaned audio files in the songs directory that are not referenced by any playlist
- * @param {Set<string>} referencedFiles - Set of file paths that are still referenced
+ * Remove library tracks that no playlist references, then delete audio files in the songs
+ * directory that no remaining track uses
  */
-async function cleanupOrphanedFiles(referencedFiles) {
+async function cleanupOrphanedFiles() {
+  if (unindexedPlaylistFiles.size > 0) {
+    logger.warn('Skipping orphan cleanup: some playlist files could not be read', { files: [...unindexedPlaylistFiles] });
+    return;
+  }
   try {
-    const songFiles = await fs.readdir(songsPath);
-    let deletedCount = 0;
-
-    for (const file of songFiles) {
-      const filePath = path.join(songsPath, file);
-      const stats = await fs.stat(filePath);
+    const orphanedTracks = trackLibrary.getUnreferenced();
+    orphanedTracks.forEach(track => trackLibrary.remove(track.id));
+    if (orphanedTracks.length > 0) {
+      logger.info(`Removed ${orphanedTracks.length} unreferenced tracks from the library`);
+    }
 
-      // Skip directories
-      if (stats.isDirectory()) continue;
+    // Only files in songs/ are ever deleted; linked tracks point outside it and their files are the user's
+    let deletedCount = 0;
 
-      // Check if this file is referenced by any playlist
-      if (!referencedFiles.has(filePath)) {
-        try {
-          await fs.remove(filePath);
-          logger.info('Deleted orphaned audio file', { path: filePath });
-          deletedCount++;
-        } catch (fileErr) {
-          logger.warn('Failed to delete orphaned audio file', fileErr, { path: filePath });
-        }
+    for (const { filePath } of await findUnreferencedSongFiles()) {
+      try {
+        await fs.remove(filePath);
+        logger.info('Deleted orphaned audio file', { path: filePath });
+        deletedCount++;
+      } catch (fileErr) {
+        logger.warn('Failed to delete orphaned audio file', fileErr, { path: filePath });
       }
     }
 
     if (deletedCount > 0) {
       logger.info(`Cleaned up ${deletedCount} orphaned audio files`);
     }
+
+    // Cached waveforms of tracks that are gone
+    const waveformsPath = getWaveformsPath();
+    if (await fs.pathExists(waveformsPath)) {
+      for (const file of await fs.readdir(waveformsPath)) {
+        if (trackLibrary.has(path.basename(file, '.json'))) continue;
+        await fs.remove(path.join(waveformsPath, file)).catch(err => logger.warn('Failed to remove cached waveform', err));
+      }
+    }
   } catch (error) {
     logger.warn('Failed to cleanup orphaned files', error);
   }
@@ -796,7 +1040,11 @@ withErrorHandling('get-app-version', async () => {
 });
 
 withErrorHandling('save-app-config', async (event, config) => {
+  // The renderer saves its now outdated config while it unloads after a restore
+  if (isRestoringBackup) return false;
   await saveAppConfig(config);
+  // Picks up tracks added while background analysis was switched off
+  if (config.normalization && config.normalization.analyzeInBackground) scheduleLoudnessAnalysis();
   return true;
 });
 
@@ -804,14 +1052,14 @@ withErrorHandling('save-app-config', async (event, config) => {
 withErrorHandling('get-theme-config', async () => {
   const configFile = path.join(configPath, 'theme.json');
   if (await fs.pathExists(configFile)) {
-    return await fs.readJson(configFile);
+    return await safeJson.readJson(configFile);
   }
   return {}; // Return default empty theme if not found
 });
 
 withErrorHandling('update-theme-config', async (event, theme) => {
   const configFile = path.join(configPath, 'theme.json');
-  await fs.writeJson(configFile, theme, { spaces: 2 });
+  await safeJson.writeJson(configFile, theme);
 
   // Update broadcast server theme
   if (broadcastServer) {
@@ -822,19 +1070,24 @@ withErrorHandling('update-theme-config', async (event, theme) => {
   return { success: true };
 });
 
+// Copy an image into icons/ as the playlist's icon; returns the path to store on the playlist
+async function copyPlaylistIcon(playlistId, filePath) {
+  logger.info('Copying playlist icon', { playlistId, filePath });
+  const ext = path.extname(filePath);
+  const fileName = `${playlistId}${ext}`;
+  const destPath = path.join(iconsPath, fileName);
+
+  await fs.copy(filePath, destPath);
+  logger.info('Icon copied successfully', { destPath });
+
+  return toRelativePath(destPath);
+}
+
 withErrorHandling('copy-playlist-icon', async (event, { playlistId, filePath }) => {
   const startTime = Date.now();
   try {
-    logger.info('Copying playlist icon', { playlistId, filePath });
-    const ext = path.extname(filePath);
-    const fileName = `${playlistId}${ext}`;
-    const destPath = path.join(iconsPath, fileName);
-
-    await fs.copy(filePath, destPath);
-    logger.info('Icon copied successfully', { destPath });
-
     // Return the relative path for the renderer
-    return toRelativePath(destPath);
+    return await copyPlaylistIcon(playlistId, filePath);
   } catch (error) {
     logger.error('Error copying playlist icon', error, { playlistId, filePath });
     throw error;
@@ -899,7 +1152,7 @@ withErrorHandling('update-broadcast-state', async (event, state) => {
 // --- Audio Duration Extraction ---
 
 /**
- * Scans all playlists for tracks without duration and updates them
+ * Scans the track library for tracks without duration and updates them
  * @returns {Promise<{updated: number, failed: number}>} Results of the scan
  */
 async function scanAndUpdateTrackDurations() {
@@ -908,60 +1161,41 @@ async function scanAndUpdateTrackDurations() {
   let failed = 0;
 
   try {
-    const playlistFiles = await fs.readdir(playlistsPath);
-
-    for (const file of playlistFiles) {
-      if (!file.endsWith('.json')) continue;
-
-      const playlistPath = path.join(playlistsPath, file);
-      const playlist = await fs.readJson(playlistPath);
-      let playlistUpdated = false;
-
-      if (playlist.tracks && Array.isArray(playlist.tracks)) {
-        for (const track of playlist.tracks) {
-          // Ensure track and track.filePath are valid
-          if (!track || !track.filePath) {
-            logger.warn('Skipping invalid track entry in playlist');
-            continue;
-          }
+    for (const track of trackLibrary.all()) {
+      // Ensure track.filePath is valid
+      if (!track.filePath) {
+        logger.warn('Skipping invalid track entry in library');
+        continue;
+      }
 
-          // Check if track is missing duration or has invalid duration
-          if (!track.duration || track.duration <= 0) {
-            logger.info(`Found track without duration: ${track.name}`);
+      // Check if track is missing duration or has invalid duration
+      if (!track.duration || track.duration <= 0) {
+        logger.info(`Found track without duration: ${track.name}`);
 
-            // Check if the file exists
-            const absPath = toAbsolutePath(track.filePath);
-            if (absPath && await fs.pathExists(absPath)) {
-              try {
-                const extractedDuration = await extractAudioDuration(absPath);
-                if (extractedDuration && extractedDuration > 0) {
-                  track.duration = extractedDuration;
-                  playlistUpdated = true;
-                  updated++;
-                  logger.info(`Updated duration for track: ${track.name} -> ${extractedDuration}s`);
-                } else {
-                  failed++;
-                  logger.warn(`Failed to extract duration for track: ${track.name}`);
-                }
-              } catch (error) {
-                failed++;
-                logger.error(`Error extracting duration for track: ${track.name}`, error);
-              }
+        // Check if the file exists
+        const absPath = toAbsolutePath(track.filePath);
+        if (absPath && await fs.pathExists(absPath)) {
+          try {
+            const extractedDuration = await extractAudioDuration(absPath);
+            if (extractedDuration && extractedDuration > 0) {
+              trackLibrary.update(track.id, { duration: extractedDuration });
+              updated++;
+              logger.info(`Updated duration for track: ${track.name} -> ${extractedDuration}s`);
             } else {
               failed++;
-              logger.warn(`Track file not found: ${track.filePath}`);
+              logger.warn(`Failed to extract duration for track: ${track.name}`);
             }
+          } catch (error) {
+            failed++;
+            logger.error(`Error extracting duration for track: ${track.name}`, error);
           }
+        } else {
+          failed++;
+          logger.warn(`Track file not found: ${track.filePath}`);
         }
       }
-
-      // Save the playlist if any tracks were updated
-      if (playlistUpdated) {
-        await fs.writeJson(playlistPath, playlist);
-      }
     }
 
-
     return { updated, failed };
 
   } catch (error) {
@@ -1020,123 +1254,604 @@ async function extractAudioDuration(filePath) {
   });
 }
 
-// --- Download Management ---
+// --- Loudness Analysis ---
+// Tracks are measured once with ffmpeg; the renderer and broadcast stream turn the stored
+// gains into a volume adjustment (see appConfig.normalization).
+
+const LOUDNESS_VERSION = 1; // bump to re-measure the library after changing the analysis
+const LOUDNESS_REFERENCE_LUFS = -18; // ReplayGain 2.0 reference level
+let loudnessAnalysisRunning = false;
+let loudnessAnalysisPending = false;
+let loudnessAnalysisTimer = null;
+
+// Wait for things to settle so a batch of new tracks is measured in one pass
+function scheduleLoudnessAnalysis(delayMs = 5000) {
+  clearTimeout(loudnessAnalysisTimer);
+  loudnessAnalysisTimer = setTimeout(() => {
+    loudnessAnalysisTimer = null;
+    runLoudnessAnalysis().catch(error => logger.error('Loudness analysis failed', error));
+  }, delayMs);
+}
 
-// Fetches metadata for a URL (playlist or single video) without downloading.
-async function fetchPlaylistInfo(url) {
-  logger.info('Fetching playlist info...', { url });
-  const appConfig = await loadAppConfig();
+function needsLoudnessAnalysis(track) {
+  return track.filePath && (!track.loudness || track.loudness.version !== LOUDNESS_VERSION);
+}
 
-  return new Promise((resolve, reject) => {
-    const ytDlpExecutablePath = ytDlpHelper.getYtDlpPath();
-    if (!ytDlpExecutablePath || !ytDlpHelper.isYtDlpReady()) {
-      const errorMsg = 'yt-dlp is not available or not ready.';
-      logger.error(errorMsg);
-      return reject(new Error(errorMsg));
+/**
+ * Measure every library track that has no loudness data yet, one file at a time
+ * @returns {Promise<{analyzed: number, failed: number}>}
+ */
+async function runLoudnessAnalysis() {
+  if (loudnessAnalysisRunning) {
+    loudnessAnalysisPending = true;
+    return { analyzed: 0, failed: 0 };
+  }
+  loudnessAnalysisRunning = true;
+  let analyzed = 0;
+  let failed = 0;
+
+  try {
+    const appConfig = await loadAppConfig();
+    if (appConfig.normalization && appConfig.normalization.analyzeInBackground === false) {
+      return { analyzed, failed };
+    }
+    if (global.backgroundInitPromise) {
+      await global.backgroundInitPromise;
+    }
+    if (!ffmpegHelper.isAvailable()) {
+      logger.warn('FFmpeg not available, skipping loudness analysis');
+      return { analyzed, failed };
     }
 
-    const baseArgs = [
-      '--dump-single-json',
-      '--flat-playlist',
-      '--no-warnings',
-      url
-    ];
+    const pending = trackLibrary.all().filter(needsLoudnessAnalysis);
+    if (pending.length === 0) return { analyzed, failed };
+    logger.info('Starting loudness analysis', { tracks: pending.length });
 
-    // Try without cookies first - only use cookies if initial fetch fails
-    let args = getYtDlpArgs(baseArgs, appConfig);
-    logger.debug('Executing yt-dlp for playlist entries', { command: `${ytDlpExecutablePath} ${args.join(' ')}` });
+    for (const track of pending) {
+      if (isShuttingDown || isRestoringBackup) break;
+      const absPath = toAbsolutePath(track.filePath);
+      // Missing files are retried next time in case they come back
+      if (!trackLibrary.has(track.id) || !absPath || !await fs.pathExists(absPath)) continue;
 
-    const child = spawn(ytDlpExecutablePath, args);
-    let stdout = '';
-    let stderr = '';
-    child.stdout.on('data', (data) => stdout += data.toString());
-    child.stderr.on('data', (data) => stderr += data.toString());
+      try {
+        const { integrated, truePeak, range } = await ffmpegHelper.measureLoudness(absPath);
+        if (!isFinite(integrated)) throw new Error('Track is silent');
+        trackLibrary.update(track.id, {
+          loudness: {
+            version: LOUDNESS_VERSION,
+            integrated,
+            truePeak: isFinite(truePeak) ? truePeak : 0,
+            range: isFinite(range) ? range : 0,
+            trackGain: roundGain(LOUDNESS_REFERENCE_LUFS - integrated),
+            analyzedAt: new Date().toISOString()
+          }
+        });
+        analyzed++;
+      } catch (error) {
+        // Remember the failure so the file isn't measured again on every run
+        trackLibrary.update(track.id, { loudness: { version: LOUDNESS_VERSION, error: error.message } });
+        failed++;
+        logger.warn('Loudness analysis failed for track', { trackId: track.id, error: error.message });
+      }
 
-    child.on('close', async (code) => {
-      if (code === 0) {
-        try {
-          logger.debug('yt-dlp metadata output', { rawJson: stdout });
-          const info = JSON.parse(stdout);
-          const entries = info.entries || [info];
-          logger.info(`Successfully fetched info for ${entries.length} tracks.`, { url });
-          resolve(entries);
-        } catch (e) {
-          const errorMsg = 'Failed to parse yt-dlp JSON output.';
-          logger.error(errorMsg, e, { rawJson: stdout });
-          reject(new Error(errorMsg));
-        }
-      } else {
-        // Check if this is an age restriction error that might be solved with cookies
-        const isAgeRestricted = stderr && (
-          stderr.includes('Sign in to confirm your age') ||
-          stderr.includes('age-restricted') ||
-          stderr.includes('inappropriate for some users')
-        );
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('loudness-analysis-progress', { done: analyzed + failed, total: pending.length });
+      }
+    }
 
-        if (isAgeRestricted) {
-          logger.info('Initial fetch failed due to age restrictions, trying with cookies...', { url });
+    updateAlbumGains();
+    logger.info('Loudness analysis finished', { analyzed, failed });
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('loudness-analysis-complete', { analyzed, failed });
+    }
+    return { analyzed, failed };
+  } finally {
+    loudnessAnalysisRunning = false;
+    if (loudnessAnalysisPending) {
+      loudnessAnalysisPending = false;
+      scheduleLoudnessAnalysis();
+    }
+  }
+}
 
-          // Try again with cookies if available
-          const dataPath = app.getPath('userData');
-          const cookiesPath = path.join(dataPath, 'cookies.txt');
+function roundGain(gain) {
+  return Math.round(gain * 100) / 100;
+}
 
-          try {
-            if (fs.pathExistsSync(cookiesPath)) {
-              let isYouTubeCookie = false;
-              try {
-                const cookieContent = fs.readFileSync(cookiesPath, 'utf8');
-                isYouTubeCookie = /\byoutube\.com\b/i.test(cookieContent) || /\bSID\b|\bSAPISID\b|\b__Secure-3PAPISID\b/i.test(cookieContent);
-              } catch (readErr) {
-                logger.warn('Failed to read cookies.txt to validate contents', readErr);
-              }
+// Tracks with the same album tag, or downloaded from the same source playlist, share an album gain
+function getAlbumKey(track) {
+  if (track.album) return `album:${String(track.album).trim().toLowerCase()}`;
+  if (track.sourceUrl) return `source:${track.sourceUrl}`;
+  return `track:${track.id}`;
+}
 
-              if (isYouTubeCookie) {
-                logger.info('Retrying with cookies.txt for age-restricted content', { cookiesPath });
-                const cookieArgs = ['--cookies', cookiesPath, ...args];
+// Album gain: duration-weighted energy average of the album's tracks, and their highest peak
+function updateAlbumGains() {
+  const albums = new Map();
+  for (const track of trackLibrary.all()) {
+    if (!track.loudness || typeof track.loudness.integrated !== 'number') continue;
+    const key = getAlbumKey(track);
+    if (!albums.has(key)) albums.set(key, []);
+    albums.get(key).push(track);
+  }
 
-                // Retry with cookies
-                const retryChild = spawn(ytDlpExecutablePath, cookieArgs);
-                let retryStdout = '';
-                let retryStderr = '';
-                retryChild.stdout.on('data', (data) => retryStdout += data.toString());
-                retryChild.stderr.on('data', (data) => retryStderr += data.toString());
+  for (const tracks of albums.values()) {
+    let energy = 0;
+    let weight = 0;
+    let albumPeak = -Infinity;
+    for (const track of tracks) {
+      const trackWeight = track.duration > 0 ? track.duration : 1;
+      energy += trackWeight * Math.pow(10, track.loudness.integrated / 10);
+      weight += trackWeight;
+      albumPeak = Math.max(albumPeak, track.loudness.truePeak);
+    }
+    const albumGain = roundGain(LOUDNESS_REFERENCE_LUFS - 10 * Math.log10(energy / weight));
 
-                retryChild.on('close', (retryCode) => {
-                  if (retryCode === 0) {
-                    try {
-                      const retryInfo = JSON.parse(retryStdout);
-                      const retryEntries = retryInfo.entries || [retryInfo];
-                      logger.info(`Successfully fetched age-restricted content with cookies: ${retryEntries.length} tracks.`, { url });
-                      resolve(retryEntries);
-                    } catch (e) {
-                      const errorMsg = 'Failed to parse yt-dlp JSON output from cookie retry.';
-                      logger.error(errorMsg, e, { rawJson: retryStdout });
-                      reject(new Error(errorMsg));
-                    }
-                  } else {
-                    const errorMsg = `yt-dlp failed to fetch playlist info even with cookies. Code: ${retryCode}.`;
-                    logger.error(errorMsg, null, { stderr: retryStderr, url });
-                    reject(new Error(`${errorMsg} Error: ${retryStderr}`));
-                  }
-                });
+    for (const track of tracks) {
+      if (track.loudness.albumGain === albumGain && track.loudness.albumPeak === albumPeak) continue;
+      trackLibrary.update(track.id, { loudness: { ...track.loudness, albumGain, albumPeak } });
+    }
+  }
+}
 
-                retryChild.on('error', (err) => {
-                  const errorMsg = 'Failed to start yt-dlp retry process with cookies.';
-                  logger.error(errorMsg, err);
-                  reject(new Error(errorMsg));
-                });
+// --- Waveforms ---
 
-                return; // Exit early, retry is handling the response
-              } else {
-                logger.warn('cookies.txt found but does NOT appear to contain YouTube cookies', { cookiesPath });
-              }
-            } else {
-              logger.info('No cookies.txt available for age-restricted content', { cookiesPath });
-            }
-          } catch (cookieCheckErr) {
-            logger.warn('Failed to check cookies.txt for age-restricted retry', cookieCheckErr);
-          }
-        }
+const WAVEFORM_PEAKS = 1000;
+const waveformJobs = new Map(); // track id -> running extraction, so repeated requests share one ffmpeg run
+
+function getWaveformsPath() {
+  return path.join(appDataPath, 'waveforms');
+}
+
+/**
+ * Waveform peaks for a track, extracted with ffmpeg the first time and cached in waveforms/.
+ * The cache records the file's size and modification time, so a relinked or re-downloaded
+ * file gets a new waveform.
+ * @param {string} trackId
+ * @returns {Promise<number[]|null>} null if the track or its file isn't available
+ */
+async function getTrackWaveform(trackId) {
+  const track = trackLibrary.get(trackId);
+  if (!track || !track.filePath) return null;
+  const filePath = toAbsolutePath(track.filePath);
+  const stat = await fs.stat(filePath).catch(() => null);
+  if (!stat) return null;
+
+  const cachePath = path.join(getWaveformsPath(), `${trackId}.json`);
+  const mtimeMs = Math.floor(stat.mtimeMs);
+  const cached = await fs.readJson(cachePath).catch(() => null);
+  if (cached && cached.size === stat.size && cached.mtimeMs === mtimeMs && Array.isArray(cached.peaks)) {
+    return cached.peaks;
+  }
+
+  if (!waveformJobs.has(trackId)) {
+    const job = ffmpegHelper.computePeaks(filePath, WAVEFORM_PEAKS)
+      .then(async (peaks) => {
+        await fs.outputJson(cachePath, { size: stat.size, mtimeMs, peaks });
+        logger.info('Waveform extracted', { trackId, peaks: peaks.length });
+        return peaks;
+      })
+      .finally(() => waveformJobs.delete(trackId));
+    waveformJobs.set(trackId, job);
+  }
+  return waveformJobs.get(trackId);
+}
+
+withErrorHandling('get-track-waveform', async (event, trackId) => {
+  if (!ffmpegHelper.isAvailable()) return { peaks: null };
+  try {
+    return { peaks: await getTrackWaveform(trackId) };
+  } catch (error) {
+    // The plain progress bar stays in use
+    logger.warn('Failed to extract waveform', { trackId, error: error.message });
+    return { peaks: null };
+  }
+});
+
+// --- Resume Positions & Bookmarks ---
+// Long tracks remember where playback stopped (see appConfig.playback.resumeMinMinutes). The positions
+// live in their own small file rather than the library, since they change every few seconds.
+
+const MAX_RESUME_POSITIONS = 500;
+let resumePositions = null; // track id -> { position, updatedAt }
+let resumeSaveTimer = null;
+
+function getResumePositionsPath() {
+  return path.join(configPath, 'resume-positions.json');
+}
+
+async function loadResumePositions() {
+  if (!resumePositions) {
+    try {
+      resumePositions = await safeJson.readJson(getResumePositionsPath());
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn('Failed to load resume positions', { error: error.message });
+      resumePositions = {};
+    }
+  }
+  return resumePositions;
+}
+
+// Drop deleted tracks and the oldest entries beyond the limit
+function pruneResumePositions() {
+  const entries = Object.entries(resumePositions)
+    .filter(([trackId]) => !trackLibrary || trackLibrary.has(trackId))
+    .sort((a, b) => b[1].updatedAt.localeCompare(a[1].updatedAt))
+    .slice(0, MAX_RESUME_POSITIONS);
+  resumePositions = Object.fromEntries(entries);
+}
+
+function saveResumePositions() {
+  if (resumeSaveTimer) return;
+  resumeSaveTimer = setTimeout(() => {
+    resumeSaveTimer = null;
+    pruneResumePositions();
+    safeJson.writeJson(getResumePositionsPath(), resumePositions, { snapshot: false }).catch((error) => {
+      logger.error('Failed to save resume positions', error);
+    });
+  }, 2000);
+}
+
+function flushResumePositions() {
+  if (!resumeSaveTimer) return;
+  clearTimeout(resumeSaveTimer);
+  resumeSaveTimer = null;
+  try {
+    pruneResumePositions();
+    safeJson.writeJsonSync(getResumePositionsPath(), resumePositions);
+  } catch (error) {
+    logger.error('Failed to flush resume positions', error);
+  }
+}
+
+withErrorHandling('get-resume-positions', async () => {
+  const positions = await loadResumePositions();
+  return Object.fromEntries(Object.entries(positions).map(([trackId, entry]) => [trackId, entry.position]));
+});
+
+// position: seconds into the file; null forgets it (track finished or restarted)
+withErrorHandling('save-resume-position', async (event, { trackId, position }) => {
+  const positions = await loadResumePositions();
+  if (Number(position) > 0) {
+    positions[trackId] = { position: Math.round(Number(position)), updatedAt: new Date().toISOString() };
+  } else {
+    delete positions[trackId];
+  }
+  saveResumePositions();
+  return true;
+});
+
+/**
+ * Replace a track's bookmarks. Saved straight to the library, so the playlist the track
+ * belongs to doesn't have to be the selected one.
+ * @returns {{success: boolean, bookmarks?: {id: string, name: string, time: number}[], message?: string}}
+ */
+withErrorHandling('update-track-bookmarks', async (event, { trackId, bookmarks }) => {
+  if (!trackLibrary.has(trackId)) return { success: false, message: 'Track not found' };
+  const cleaned = (Array.isArray(bookmarks) ? bookmarks : [])
+    .filter(bookmark => bookmark && Number(bookmark.time) >= 0)
+    .map(bookmark => ({
+      id: bookmark.id || uuidv4(),
+      name: String(bookmark.name || '').trim().slice(0, 200) || 'Bookmark',
+      time: Math.round(Number(bookmark.time) * 10) / 10
+    }))
+    .sort((a, b) => a.time - b.time);
+  trackLibrary.update(trackId, { bookmarks: cleaned.length > 0 ? cleaned : undefined });
+  logger.userAction('update-track-bookmarks', { trackId, bookmarks: cleaned.length });
+  return { success: true, bookmarks: cleaned };
+});
+
+// --- Silence Detection ---
+// Optional pass over newly downloaded or added files (see appConfig.download). Leading and trailing
+// silence become suggested trim points, which can also be applied right away or cut out of the file.
+
+const SILENCE_VERSION = 1;
+const SILENCE_EDGE_TOLERANCE = 0.1; // a silence this close to either end counts as leading/trailing
+const SILENCE_EDGE_MARGIN = 0.25; // kept around the music so attacks and fade-outs aren't clipped
+const pendingSilenceAnalysis = new Set(); // ids of new tracks; they're analyzed once a playlist holds them
+let silenceAnalysisRunning = false;
+let silenceAnalysisPending = false;
+let silenceAnalysisTimer = null;
+
+function queueSilenceAnalysis(trackId) {
+  pendingSilenceAnalysis.add(trackId);
+  scheduleSilenceAnalysis();
+}
+
+function scheduleSilenceAnalysis(delayMs = 5000) {
+  clearTimeout(silenceAnalysisTimer);
+  silenceAnalysisTimer = setTimeout(() => {
+    silenceAnalysisTimer = null;
+    runSilenceAnalysis().catch(error => logger.error('Silence detection failed', error));
+  }, delayMs);
+}
+
+function roundSeconds(seconds) {
+  return Math.round(seconds * 100) / 100;
+}
+
+/**
+ * Turn detected silences into suggested cue points
+ * @param {{duration: number|null, silences: {start: number, end: number|null}[]}} detected
+ * @param {number} fallbackDuration track duration, used if ffmpeg didn't report one
+ * @param {object} settings appConfig.download
+ * @returns {object} the track's `silence` record
+ */
+function findSilenceCuePoints({ duration, silences }, fallbackDuration, settings) {
+  const length = duration || fallbackDuration || 0;
+  if (!(length > 0)) throw new Error('Track length is unknown');
+
+  const first = silences[0];
+  const last = silences[silences.length - 1];
+  const leading = first && first.start <= SILENCE_EDGE_TOLERANCE ? (first.end === null ? length : first.end) : 0;
+  if (leading >= length - SILENCE_EDGE_TOLERANCE) throw new Error('Track is silent');
+  const endsSilent = last && last.start > SILENCE_EDGE_TOLERANCE &&
+    (last.end === null || last.end >= length - SILENCE_EDGE_TOLERANCE);
+  const trailing = endsSilent ? length - last.start : 0;
+
+  // Long silences inside a track usually separate a hidden track or a spoken outro from the music
+  const minGap = Number(settings.silenceGapSeconds) || 10;
+  const gaps = silences
+    .filter(s => s.start > SILENCE_EDGE_TOLERANCE && s.end !== null && s.end < length - SILENCE_EDGE_TOLERANCE && s.end - s.start >= minGap)
+    .map(s => ({ start: roundSeconds(s.start), end: roundSeconds(s.end) }));
+
+  const minEdge = Number(settings.silenceMinSeconds) || 1;
+  return {
+    version: SILENCE_VERSION,
+    duration: roundSeconds(length),
+    leading: roundSeconds(leading),
+    trailing: roundSeconds(trailing),
+    startAt: leading >= minEdge ? roundSeconds(Math.max(0, leading - SILENCE_EDGE_MARGIN)) : null,
+    endAt: trailing >= minEdge ? roundSeconds(Math.min(length, length - trailing + SILENCE_EDGE_MARGIN)) : null,
+    gaps,
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+// Rewrite a track's file without its leading and trailing silence; returns the library changes
+async function removeSilenceFromFile(track, silence) {
+  const filePath = toAbsolutePath(track.filePath);
+  const start = silence.startAt !== null ? silence.startAt : 0;
+  const end = silence.endAt !== null ? silence.endAt : silence.duration;
+  const ext = path.extname(filePath);
+  const tempPath = path.join(path.dirname(filePath), `${path.basename(filePath, ext)}.trimming${ext}`);
+
+  try {
+    await ffmpegHelper.cutAudio(filePath, tempPath, start, end);
+    await fs.move(tempPath, filePath, { overwrite: true });
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+
+  logger.info('Removed silence from file', { trackId: track.id, start, end });
+  return {
+    duration: roundSeconds(end - start),
+    loudness: undefined, // measured again on the shorter file
+    silence: {
+      ...silence,
+      removed: true,
+      duration: roundSeconds(end - start),
+      startAt: null,
+      endAt: null,
+      gaps: silence.gaps.map(gap => ({ start: roundSeconds(gap.start - start), end: roundSeconds(gap.end - start) }))
+    }
+  };
+}
+
+/**
+ * Library changes for a detection result, following download.silenceAction:
+ * 'suggest' only records it, 'trim' also sets the trim points, 'remove' cuts the silence out of the file.
+ * Cue points the user set are left alone, and linked files (the user's own) are never rewritten.
+ */
+async function applySilenceAction(track, silence, action) {
+  const changes = { silence };
+  if (silence.startAt === null && silence.endAt === null) return changes;
+  if (action === 'suggest' || track.startAt !== undefined || track.endAt !== undefined) return changes;
+
+  if (action === 'remove' && !track.linked) {
+    try {
+      return await removeSilenceFromFile(track, silence);
+    } catch (error) {
+      // E.g. the file is open elsewhere on Windows; trim points give the same playback
+      logger.warn('Failed to remove silence from file, setting trim points instead', { trackId: track.id, error: error.message });
+    }
+  }
+  if (silence.startAt !== null) changes.startAt = silence.startAt;
+  if (silence.endAt !== null) changes.endAt = silence.endAt;
+  return changes;
+}
+
+/**
+ * Analyze the queued tracks that have reached the library, one file at a time
+ * @returns {Promise<{analyzed: number, failed: number}>}
+ */
+async function runSilenceAnalysis() {
+  if (silenceAnalysisRunning) {
+    silenceAnalysisPending = true;
+    return { analyzed: 0, failed: 0 };
+  }
+  silenceAnalysisRunning = true;
+  let analyzed = 0;
+  let failed = 0;
+  let filesChanged = false;
+
+  try {
+    const settings = (await loadAppConfig()).download || {};
+    if (!settings.silenceDetection) {
+      pendingSilenceAnalysis.clear();
+      return { analyzed, failed };
+    }
+    if (global.backgroundInitPromise) {
+      await global.backgroundInitPromise;
+    }
+    if (!ffmpegHelper.isAvailable()) {
+      logger.warn('FFmpeg not available, skipping silence detection');
+      pendingSilenceAnalysis.clear();
+      return { analyzed, failed };
+    }
+
+    for (const trackId of [...pendingSilenceAnalysis]) {
+      if (isShuttingDown || isRestoringBackup) break;
+      const track = trackLibrary.get(trackId);
+      if (!track) continue; // not saved to a playlist yet
+      pendingSilenceAnalysis.delete(trackId);
+      if (track.silence && track.silence.version === SILENCE_VERSION) continue;
+      const absPath = toAbsolutePath(track.filePath);
+      if (!absPath || !await fs.pathExists(absPath)) continue;
+
+      try {
+        const detected = await ffmpegHelper.detectSilence(absPath, {
+          noiseDb: Number(settings.silenceThresholdDb) || -50,
+          minSeconds: Math.min(Number(settings.silenceMinSeconds) || 1, Number(settings.silenceGapSeconds) || 10)
+        });
+        const silence = findSilenceCuePoints(detected, track.duration, settings);
+        const changes = await applySilenceAction(track, silence, settings.silenceAction);
+        if (!trackLibrary.has(trackId)) continue; // removed while ffmpeg ran
+        trackLibrary.update(trackId, changes);
+        if (changes.silence.removed) filesChanged = true;
+        analyzed++;
+      } catch (error) {
+        trackLibrary.update(trackId, { silence: { version: SILENCE_VERSION, error: error.message } });
+        failed++;
+        logger.warn('Silence detection failed for track', { trackId, error: error.message });
+      }
+    }
+
+    if (analyzed + failed === 0) return { analyzed, failed };
+    logger.info('Silence detection finished', { analyzed, failed });
+    if (filesChanged) scheduleLoudnessAnalysis();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('silence-analysis-complete', { analyzed, failed });
+    }
+    return { analyzed, failed };
+  } finally {
+    silenceAnalysisRunning = false;
+    if (silenceAnalysisPending) {
+      silenceAnalysisPending = false;
+      scheduleSilenceAnalysis();
+    }
+  }
+}
+
+// --- Download Management ---
+
+// Fetches metadata for a URL (playlist or single video) without downloading.
+// Resolves { entries, isPlaylist, title }.
+async function fetchPlaylistInfo(url) {
+  logger.info('Fetching playlist info...', { url });
+  const appConfig = await loadAppConfig();
+
+  return new Promise((resolve, reject) => {
+    const ytDlpExecutablePath = ytDlpHelper.getYtDlpPath();
+    if (!ytDlpExecutablePath || !ytDlpHelper.isYtDlpReady()) {
+      const errorMsg = 'yt-dlp is not available or not ready.';
+      logger.error(errorMsg);
+      return reject(new Error(errorMsg));
+    }
+
+    const baseArgs = [
+      '--dump-single-json',
+      '--flat-playlist',
+      '--no-warnings',
+      url
+    ];
+
+    // Try without cookies first - only use cookies if initial fetch fails
+    let args = getYtDlpArgs(baseArgs, appConfig);
+    logger.debug('Executing yt-dlp for playlist entries', { command: `${ytDlpExecutablePath} ${args.join(' ')}` });
+
+    const child = spawn(ytDlpExecutablePath, args);
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (data) => stdout += data.toString());
+    child.stderr.on('data', (data) => stderr += data.toString());
+
+    child.on('close', async (code) => {
+      if (code === 0) {
+        try {
+          logger.debug('yt-dlp metadata output', { rawJson: stdout });
+          const info = JSON.parse(stdout);
+          const entries = info.entries || [info];
+          logger.info(`Successfully fetched info for ${entries.length} tracks.`, { url });
+          resolve({ entries, isPlaylist: Array.isArray(info.entries), title: info.title || '' });
+        } catch (e) {
+          const errorMsg = 'Failed to parse yt-dlp JSON output.';
+          logger.error(errorMsg, e, { rawJson: stdout });
+          reject(new Error(errorMsg));
+        }
+      } else {
+        // Check if this is an age restriction error that might be solved with cookies
+        const isAgeRestricted = stderr && (
+          stderr.includes('Sign in to confirm your age') ||
+          stderr.includes('age-restricted') ||
+          stderr.includes('inappropriate for some users')
+        );
+
+        if (isAgeRestricted) {
+          logger.info('Initial fetch failed due to age restrictions, trying with cookies...', { url });
+
+          // Try again with cookies if available
+          const dataPath = app.getPath('userData');
+          const cookiesPath = path.join(dataPath, 'cookies.txt');
+
+          try {
+            if (fs.pathExistsSync(cookiesPath)) {
+              let isYouTubeCookie = false;
+              try {
+                const cookieContent = fs.readFileSync(cookiesPath, 'utf8');
+                isYouTubeCookie = /\byoutube\.com\b/i.test(cookieContent) || /\bSID\b|\bSAPISID\b|\b__Secure-3PAPISID\b/i.test(cookieContent);
+              } catch (readErr) {
+                logger.warn('Failed to read cookies.txt to validate contents', readErr);
+              }
+
+              if (isYouTubeCookie) {
+                logger.info('Retrying with cookies.txt for age-restricted content', { cookiesPath });
+                const cookieArgs = ['--cookies', cookiesPath, ...args];
+
+                // Retry with cookies
+                const retryChild = spawn(ytDlpExecutablePath, cookieArgs);
+                let retryStdout = '';
+                let retryStderr = '';
+                retryChild.stdout.on('data', (data) => retryStdout += data.toString());
+                retryChild.stderr.on('data', (data) => retryStderr += data.toString());
+
+                retryChild.on('close', (retryCode) => {
+                  if (retryCode === 0) {
+                    try {
+                      const retryInfo = JSON.parse(retryStdout);
+                      const retryEntries = retryInfo.entries || [retryInfo];
+                      logger.info(`Successfully fetched age-restricted content with cookies: ${retryEntries.length} tracks.`, { url });
+                      resolve({ entries: retryEntries, isPlaylist: Array.isArray(retryInfo.entries), title: retryInfo.title || '' });
+                    } catch (e) {
+                      const errorMsg = 'Failed to parse yt-dlp JSON output from cookie retry.';
+                      logger.error(errorMsg, e, { rawJson: retryStdout });
+                      reject(new Error(errorMsg));
+                    }
+                  } else {
+                    const errorMsg = `yt-dlp failed to fetch playlist info even with cookies. Code: ${retryCode}.`;
+                    logger.error(errorMsg, null, { stderr: retryStderr, url });
+                    reject(new Error(`${errorMsg} Error: ${retryStderr}`));
+                  }
+                });
+
+                retryChild.on('error', (err) => {
+                  const errorMsg = 'Failed to start yt-dlp retry process with cookies.';
+                  logger.error(errorMsg, err);
+                  reject(new Error(errorMsg));
+                });
+
+                return; // Exit early, retry is handling the response
+              } else {
+                logger.warn('cookies.txt found but does NOT appear to contain YouTube cookies', { cookiesPath });
+              }
+            } else {
+              logger.info('No cookies.txt available for age-restricted content', { cookiesPath });
+            }
+          } catch (cookieCheckErr) {
+            logger.warn('Failed to check cookies.txt for age-restricted retry', cookieCheckErr);
+          }
+        }
 
         // If we get here, either it's not age-restricted or cookies didn't help
         const errorMsg = `yt-dlp failed to fetch playlist info. Code: ${code}.`;
@@ -1153,466 +1868,1925 @@ async function fetchPlaylistInfo(url) {
   });
 }
 
-withErrorHandling('download-from-url', async (event, { url, playlistId }) => {
-  if (isDownloading) {
-    logger.warn('Download already in progress.');
-    mainWindow.webContents.send('download-error', {
-      error: 'Download already in progress.'
+// Map a playlist-info failure to a message the user can act on
+function getDownloadErrorMessage(error, trackCount = 1) {
+  const isAgeRestricted = error.message && (
+    error.message.includes('Sign in to confirm your age') ||
+    error.message.includes('age-restricted') ||
+    error.message.includes('inappropriate for some users')
+  );
+
+  const isCookieFormatError = error.message && (
+    error.message.includes('Netscape format') ||
+    error.message.includes('does not look like a Netscape format cookies file')
+  );
+
+  const isCookieError = error.message && (
+    error.message.includes('cookies.txt') ||
+    error.message.includes('--cookies')
+  );
+
+  const isSingleTrack = trackCount === 1;
+
+  if (isCookieFormatError) {
+    return 'Invalid cookies.txt format. Please export cookies in Netscape format from your browser. Go to Settings → YouTube Cookies for instructions.';
+  }
+  if (isAgeRestricted || isCookieError) {
+    return isSingleTrack
+      ? 'This video is age-restricted and requires valid YouTube cookies. Please upload a properly formatted cookies.txt file from Settings → YouTube Cookies.'
+      : 'Some videos in this playlist are age-restricted and require valid YouTube cookies. Please upload a properly formatted cookies.txt file from Settings → YouTube Cookies.';
+  }
+  // For any other YouTube download failure, assume it's likely age-restricted
+  return isSingleTrack
+    ? 'Failed to download this video. This is likely due to age restrictions. Please upload a valid cookies.txt file from Settings → YouTube Cookies to access age-restricted content.'
+    : 'Failed to download some videos. This is likely due to age restrictions. Please upload a valid cookies.txt file from Settings → YouTube Cookies to access all content.';
+}
+
+// Show comprehensive completion notice for failed/skipped tracks
+function sendDownloadCompletionNotice(failedTracks, ageRestrictedTracks) {
+  const totalProblematic = failedTracks.length + ageRestrictedTracks.length;
+  if (totalProblematic === 0) return;
+
+  let notificationTitle = 'Download Issues';
+  let notificationMessage = '';
+
+  if (ageRestrictedTracks.length > 0 && failedTracks.length > 0) {
+    notificationTitle = 'Some Tracks Skipped';
+    notificationMessage = `${ageRestrictedTracks.length} track${ageRestrictedTracks.length > 1 ? 's were' : ' was'} skipped due to age restrictions and ${failedTracks.length} track${failedTracks.length > 1 ? 's' : ''} failed due to other issues (private, removed, or unavailable).\n\nFor age-restricted content: Go to Settings → YouTube Cookies to upload a valid cookies.txt file.`;
+  } else if (ageRestrictedTracks.length > 0) {
+    notificationTitle = 'Age-Restricted Content Skipped';
+    notificationMessage = `${ageRestrictedTracks.length} track${ageRestrictedTracks.length > 1 ? 's were' : ' was'} skipped due to age restrictions.\n\nTo download age-restricted content: Go to Settings → YouTube Cookies and upload a valid cookies.txt file from your browser.`;
+  } else if (failedTracks.length > 0) {
+    notificationTitle = 'Some Tracks Failed';
+    notificationMessage = `${failedTracks.length} track${failedTracks.length > 1 ? 's' : ''} could not be downloaded. These may be private, removed, or age restricted videos. For age restriction go to settings and add cookies.txt`;
+  }
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('show-download-completion-notice', {
+      title: notificationTitle,
+      message: notificationMessage,
+      ageRestrictedCount: ageRestrictedTracks.length,
+      failedCount: failedTracks.length,
+      ageRestrictedTracks: ageRestrictedTracks.map(t => t.title),
+      failedTracks: failedTracks.map(t => t.title)
     });
-    return { success: false, message: 'Download already in progress.' };
   }
+}
 
-  isDownloading = true;
-  mainWindow.webContents.send('download-started');
-  logger.info(`Download request received for playlist: ${playlistId}`, { url });
+// --- Download queue ---
+// Every requested URL becomes a job; its tracks become tasks that are handed to the worker
+// pool no faster than it has free workers, so queued tasks stay cancellable.
+let isFetchingJob = false;
+let queueUpdateTimer = null;
+
+// Throttle queue snapshots sent to the renderer; progress reports arrive many times per second
+function sendDownloadQueueUpdate() {
+  if (queueUpdateTimer) return;
+  queueUpdateTimer = setTimeout(() => {
+    queueUpdateTimer = null;
+    if (mainWindow && !mainWindow.isDestroyed() && downloadQueue) {
+      mainWindow.webContents.send('download-queue-updated', downloadQueue.getSnapshot());
+    }
+  }, 250);
+}
 
-  try {
-    // Wait for background initialization to complete if still running
-    if (global.backgroundInitPromise) {
-      logger.info('Waiting for background initialization to complete...');
-      await global.backgroundInitPromise;
+async function initializeDownloadQueue() {
+  downloadQueue = new DownloadQueue(path.join(configPath, 'download-queue.json'));
+  await downloadQueue.load();
+  downloadQueue.on('changed', sendDownloadQueueUpdate);
+
+  // Jobs whose last task finished right before shutdown still need their tracks added
+  for (const job of downloadQueue.jobs) {
+    if (job.status === JOB_STATUS.ACTIVE && job.tasks.length > 0 && downloadQueue.isJobSettled(job)) {
+      await finalizeDownloadJob(job);
+    }
+  }
+}
+
+async function pumpDownloadQueue() {
+  if (!downloadQueue || isShuttingDown || isRestoringBackup) return;
+
+  // Wait for background initialization to complete if still running
+  if (global.backgroundInitPromise) {
+    await global.backgroundInitPromise;
+  }
+
+  if (!isFetchingJob) {
+    const job = downloadQueue.getNextPendingJob();
+    if (job) {
+      isFetchingJob = true;
+      expandDownloadJob(job).finally(() => {
+        isFetchingJob = false;
+        pumpDownloadQueue();
+      });
     }
+  }
 
-    const playlistPath = path.join(playlistsPath, `${playlistId}.json`);
-    const playlist = await fs.readJson(playlistPath);
+  // Only spin up the pool once there is something to download
+  if (downloadQueue.getQueuedTasks().length === 0) return;
+  await initializeWorkerPool();
+  if (!processWorkerPool) return;
 
-    // Send initial progress update
-    mainWindow.webContents.send('download-progress', {
-      taskId: 'fetching-info',
-      progress: 0,
-      trackInfo: { title: 'Fetching track information...' }
-    });
+  const freeWorkers = processWorkerPool.size - downloadQueue.getActiveTaskCount();
+  if (freeWorkers <= 0) return;
 
-    const trackInfos = await fetchPlaylistInfo(url);
-    logger.info(`Found ${trackInfos.length} tracks to download.`, { url });
+  for (const task of downloadQueue.getQueuedTasks().slice(0, freeWorkers)) {
+    runDownloadTask(task);
+  }
+}
+
+// Fetch the entries behind a job's URL and turn the ones not already in the playlist into tasks
+async function expandDownloadJob(job) {
+  downloadQueue.updateJob(job.id, { status: JOB_STATUS.FETCHING, error: null });
+  let trackInfos = null;
+
+  try {
+    const playlistPath = path.join(playlistsPath, `${job.playlistId}.json`);
+    const playlist = await loadPlaylistFile(playlistPath);
+
+    const info = await fetchPlaylistInfo(job.url);
+    trackInfos = info.entries;
+    logger.info(`Found ${trackInfos.length} tracks to download.`, { url: job.url });
 
-    let downloadedTracks = [];
-    let failedTracks = [];
-    let ageRestrictedTracks = [];
-    let skippedTracks = [];
-    let tasks = [];
+    if (job.status === JOB_STATUS.CANCELLED) {
+      logger.info('Download job cancelled while fetching playlist info', { url: job.url });
+      return;
+    }
+
+    // Repairing a track: its URL is in the playlist already, so skip the duplicate check
+    if (job.replaceTrackId) {
+      downloadQueue.setJobEntries(job.id, trackInfos.slice(0, 1));
+      return;
+    }
+
+    // Playlist URLs become subscriptions that can be synced later
+    if (info.isPlaylist) {
+      await updatePlaylistSource(job, info);
+    }
+
+    // Skip anything already in the playlist or queued for it by another job
+    const knownUrls = new Set(playlist.tracks.filter(Boolean).map(t => t.url));
+    for (const other of downloadQueue.jobs) {
+      if (other.id === job.id || other.playlistId !== job.playlistId) continue;
+      other.tasks
+        .filter(t => t.status !== TASK_STATUS.FAILED && t.status !== TASK_STATUS.CANCELLED)
+        .forEach(t => knownUrls.add(t.trackInfo.webpage_url || t.trackInfo.url));
+    }
+
+    const newEntries = [];
+    let skipped = 0;
+    for (const trackInfo of trackInfos) {
+      const trackUrl = trackInfo.webpage_url || trackInfo.url;
+      if (knownUrls.has(trackUrl)) {
+        logger.info('Skipping duplicate track', { title: trackInfo.title });
+        skipped++;
+        continue;
+      }
+      knownUrls.add(trackUrl);
+      newEntries.push(trackInfo);
+    }
+
+    downloadQueue.setJobEntries(job.id, newEntries, skipped);
+    logger.info('Download job queued', { url: job.url, tasks: newEntries.length, skipped });
+
+    if (newEntries.length === 0 && mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('download-complete', {
+        playlistId: job.playlistId,
+        downloadedTracks: [],
+        failedTracks: [],
+        ageRestrictedTracks: [],
+        skipped
+      });
+    }
+  } catch (error) {
+    // Enhanced error logging with more details
+    const errorDetails = {
+      url: job.url,
+      playlistId: job.playlistId,
+      errorName: error.name,
+      errorMessage: error.message,
+      errorStack: error.stack,
+      timestamp: new Date().toISOString(),
+      workerPoolActive: processWorkerPool ? true : false
+    };
+    logger.error('Download process failed with detailed error information', error, errorDetails);
+
+    const userMessage = getDownloadErrorMessage(error, trackInfos ? trackInfos.length : 1);
+    downloadQueue.updateJob(job.id, { status: JOB_STATUS.FAILED, error: userMessage });
+
+    // Send detailed error to renderer for better user feedback
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('download-error', {
+        error: userMessage,
+        details: errorDetails,
+        isAgeRestricted: /age-restricted|Sign in to confirm your age/.test(error.message || '')
+      });
+    }
+  }
+}
+
+/**
+ * Record a playlist URL as a source of the playlist (or refresh its sync time) and flag
+ * tracks from that source that are no longer in the upstream playlist.
+ * @param {object} job download job whose URL was just fetched
+ * @param {object} info result of fetchPlaylistInfo
+ */
+async function updatePlaylistSource(job, info) {
+  const playlistPath = path.join(playlistsPath, `${job.playlistId}.json`);
+  if (!fileLock.acquire(playlistPath)) {
+    logger.error('Failed to acquire lock for playlist source update', { playlistId: job.playlistId });
+    return;
+  }
+
+  let flagged = 0;
+  try {
+    const playlist = await safeJson.readJson(playlistPath);
+    const now = new Date().toISOString();
+    playlist.sources = Array.isArray(playlist.sources) ? playlist.sources : [];
+
+    const source = playlist.sources.find(s => s.url === job.url);
+    if (source) {
+      source.lastSyncedAt = now;
+      source.title = info.title || source.title;
+    } else {
+      playlist.sources.push({ url: job.url, title: info.title, addedAt: now, lastSyncedAt: now });
+      logger.info('Added playlist source', { playlistId: job.playlistId, url: job.url });
+    }
+
+    const { subscriptions } = await loadAppConfig();
+    if (subscriptions.flagRemovedTracks) {
+      const upstreamUrls = new Set(info.entries.map(e => e.webpage_url || e.url));
+      for (const track of trackLibrary.resolve(playlist.trackIds)) {
+        if (!track.url) continue;
+        // Tracks added before sources were tracked are claimed by the source that lists them
+        if (!track.sourceUrl && upstreamUrls.has(track.url)) {
+          trackLibrary.update(track.id, { sourceUrl: job.url });
+        }
+        if (track.sourceUrl !== job.url) continue;
+
+        if (upstreamUrls.has(track.url)) {
+          trackLibrary.update(track.id, { removedUpstream: undefined });
+        } else {
+          trackLibrary.update(track.id, { removedUpstream: true });
+          flagged++;
+        }
+      }
+    }
+
+    await safeJson.writeJson(playlistPath, playlist);
+  } catch (error) {
+    logger.error('Failed to update playlist source', error, { playlistId: job.playlistId, url: job.url });
+    return;
+  } finally {
+    fileLock.release(playlistPath);
+  }
+
+  if (flagged > 0) {
+    logger.info(`${flagged} track(s) no longer in upstream playlist`, { playlistId: job.playlistId, url: job.url });
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('playlist-sources-updated', { playlistId: job.playlistId });
+  }
+}
+
+async function runDownloadTask(task) {
+  const job = downloadQueue.getJob(task.jobId);
+  if (!job) return;
+
+  try {
+    downloadQueue.updateTask(task.id, { status: TASK_STATUS.FETCHING_METADATA, progress: 0, error: null });
+    const result = await processWorkerPool.addTask(task.trackInfo, songsPath, job.playlistId, task.id);
+
+    // Leave the task in its active state so it is re-queued on the next start
+    if (isShuttingDown) return;
+
+    const current = downloadQueue.findTask(task.id).task;
+    if (!current) return; // cleared from the list meanwhile
+
+    if (current.status === TASK_STATUS.CANCELLED) {
+      // Finished after the user cancelled it; don't keep the file around
+      if (result.success && result.track && result.track.filePath) {
+        await fs.remove(result.track.filePath).catch(err => logger.warn('Failed to remove cancelled download', err));
+      }
+    } else if (result.success && job.replaceTrackId && trackLibrary.get(job.replaceTrackId)) {
+      // Repair download: the existing track gets the new file instead of a new track being added
+      const repaired = trackLibrary.update(job.replaceTrackId, {
+        filePath: toRelativePath(result.track.filePath),
+        duration: result.track.duration || trackLibrary.get(job.replaceTrackId).duration,
+        linked: undefined,
+        missing: undefined,
+        loudness: undefined,
+        silence: undefined
+      });
+      downloadQueue.updateTask(task.id, { status: TASK_STATUS.DONE, progress: 100, track: result.track, appended: true });
+      logger.info(`Re-downloaded missing file: ${repaired.name}`);
+      scheduleLoudnessAnalysis();
+      queueSilenceAnalysis(repaired.id);
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('track-repaired', { trackId: repaired.id });
+      }
+    } else if (result.success) {
+      // Already in the library from another playlist: keep a single copy of the file
+      const existing = trackLibrary.get(result.track.id);
+      if (existing && toAbsolutePath(existing.filePath) !== result.track.filePath && await fs.pathExists(toAbsolutePath(existing.filePath))) {
+        await fs.remove(result.track.filePath).catch(err => logger.warn('Failed to remove duplicate download', err));
+        result.track = { ...existing, filePath: toAbsolutePath(existing.filePath) };
+      }
+
+      // Remember where the track came from so syncs can tell when it disappears upstream
+      if (!result.track.sourceUrl) result.track.sourceUrl = job.url;
+      downloadQueue.updateTask(task.id, { status: TASK_STATUS.DONE, progress: 100, track: result.track });
+      logger.info(`Downloaded: ${result.track.name}`);
+
+      // Send the newly downloaded track to the renderer for immediate UI update
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('track-downloaded', {
+          playlistId: job.playlistId,
+          track: result.track
+        });
+      }
+      queueSilenceAnalysis(result.track.id);
+    } else {
+      const message = (result.error && result.error.message) || String(result.error || 'Unknown error');
+      const ageRestricted = /AGE_RESTRICTED|BLOCKED_SKIP|Sign in to confirm your age|age-restricted/.test(message);
+      downloadQueue.updateTask(task.id, { status: TASK_STATUS.FAILED, progress: 0, error: message, ageRestricted });
+      logger.warn(`Failed to download: ${task.trackInfo.title}`, { error: message });
+    }
+
+    if (job.status === JOB_STATUS.ACTIVE && downloadQueue.isJobSettled(job)) {
+      await finalizeDownloadJob(job);
+    }
+  } catch (error) {
+    logger.error('Download task failed unexpectedly', error, { taskId: task.id, title: task.trackInfo.title });
+    const current = downloadQueue.findTask(task.id).task;
+    if (current && current.status !== TASK_STATUS.DONE && current.status !== TASK_STATUS.CANCELLED) {
+      downloadQueue.updateTask(task.id, { status: TASK_STATUS.FAILED, progress: 0, error: error.message });
+      await finalizeIfSettled(job.id).catch(err => logger.error('Failed to finalize download job', err, { jobId: job.id }));
+    }
+  } finally {
+    // Something else may be waiting for this worker slot
+    pumpDownloadQueue();
+  }
+}
+
+// Jobs being finalized; concurrent task completions can both see the same job settled
+const finalizingJobs = new Set();
+
+async function finalizeDownloadJob(job) {
+  if (finalizingJobs.has(job.id)) return;
+  finalizingJobs.add(job.id);
+  try {
+    await settleDownloadJob(job);
+  } finally {
+    finalizingJobs.delete(job.id);
+  }
+}
+
+// Append a settled job's downloaded tracks to its playlist (in the source order) and report the outcome.
+// The job only counts as completed once the tracks are in the playlist file.
+async function settleDownloadJob(job) {
+  const allCancelled = job.tasks.every(t => t.status === TASK_STATUS.CANCELLED);
+  const doneTasks = job.tasks.filter(t => t.status === TASK_STATUS.DONE && t.track && !t.appended);
+  const downloadedTracks = doneTasks.map(t => t.track);
+  const playlistPath = path.join(playlistsPath, `${job.playlistId}.json`);
+
+  if (downloadedTracks.length > 0) {
+    try {
+      if (!await fs.pathExists(playlistPath)) {
+        logger.warn('Playlist was deleted before its downloads finished; tracks not added', { playlistId: job.playlistId });
+      } else {
+        // Acquire lock before writing to playlist file
+        if (!fileLock.acquire(playlistPath)) throw new Error('The playlist file is locked by another update');
+        try {
+          const playlist = await loadPlaylistFile(playlistPath);
+          // The renderer may already have saved tracks it received via track-downloaded
+          const existingUrls = new Set(playlist.tracks.map(t => t.url));
+          playlist.tracks.push(...downloadedTracks.filter(t => !existingUrls.has(t.url)));
+          await savePlaylistFile(playlistPath, playlist);
+          doneTasks.forEach(t => { t.appended = true; });
+          downloadQueue.changed();
+        } finally {
+          fileLock.release(playlistPath);
+        }
+      }
+    } catch (error) {
+      // The finished files stay in songs/ (unappended tasks keep them referenced)
+      logger.error('Failed to add downloaded tracks to playlist', error, { playlistId: job.playlistId, tracks: downloadedTracks.length });
+      downloadQueue.updateJob(job.id, { status: JOB_STATUS.FAILED, error: `Downloaded tracks could not be added to the playlist: ${error.message}` });
+      return;
+    }
+
+    // Run duration scan for newly downloaded tracks
+    logger.info('Running duration scan for newly downloaded tracks');
+    try {
+      const durationResult = await scanAndUpdateTrackDurations();
+      if (durationResult.updated > 0 && mainWindow && !mainWindow.isDestroyed()) {
+        logger.info(`Duration scan after download completed: ${durationResult.updated} tracks updated`);
+        // Notify UI about duration updates
+        mainWindow.webContents.send('duration-scan-complete', durationResult);
+      }
+    } catch (error) {
+      logger.error('Error during post-download duration scan', error);
+    }
+  }
+
+  downloadQueue.updateJob(job.id, { status: allCancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED });
+
+  const failedTracks = job.tasks.filter(t => t.status === TASK_STATUS.FAILED && !t.ageRestricted).map(t => t.trackInfo);
+  const ageRestrictedTracks = job.tasks.filter(t => t.status === TASK_STATUS.FAILED && t.ageRestricted).map(t => t.trackInfo);
+
+  logger.info('Download summary', {
+    url: job.url,
+    downloaded: downloadedTracks.length,
+    failed: failedTracks.length,
+    ageRestricted: ageRestrictedTracks.length,
+    cancelled: job.tasks.filter(t => t.status === TASK_STATUS.CANCELLED).length,
+    skipped: job.skipped
+  });
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('download-complete', {
+      playlistId: job.playlistId,
+      downloadedTracks,
+      failedTracks,
+      ageRestrictedTracks,
+      skipped: job.skipped
+    });
+  }
+
+  sendDownloadCompletionNotice(failedTracks, ageRestrictedTracks);
+}
+
+// Finalize a job right away if cancelling left nothing running
+async function finalizeIfSettled(jobId) {
+  const job = downloadQueue.getJob(jobId);
+  if (job && job.status === JOB_STATUS.ACTIVE && downloadQueue.isJobSettled(job)) {
+    await finalizeDownloadJob(job);
+  }
+}
+
+// Cancel a whole job, stopping the worker of every task that was already running
+async function cancelDownloadJob(jobId) {
+  const runningTasks = downloadQueue.cancelJob(jobId);
+  if (processWorkerPool) {
+    runningTasks.forEach(task => processWorkerPool.cancelTask(task.id));
+  }
+  await finalizeIfSettled(jobId);
+}
+
+withErrorHandling('download-from-url', async (event, { url, playlistId }) => {
+  logger.info(`Download request received for playlist: ${playlistId}`, { url });
+
+  const playlistPath = path.join(playlistsPath, `${playlistId}.json`);
+  if (!await fs.pathExists(playlistPath)) {
+    throw new Error('Playlist not found');
+  }
+  const playlist = await safeJson.readJson(playlistPath);
+
+  const job = downloadQueue.addJob(url, playlistId, playlist.name);
+  pumpDownloadQueue();
+
+  return { success: true, jobId: job.id };
+});
+
+// --- Playlist Subscriptions ---
+
+const SUBSCRIPTION_CHECK_INTERVAL = 30 * 60 * 1000; // how often the schedule looks for due sources
+let subscriptionTimer = null;
+const lastSyncAttempts = new Map(); // `${playlistId}|${url}` -> timestamp, so failing sources aren't retried every check
+
+/**
+ * Queue a download job for each source of a playlist. Entries already in the playlist
+ * are skipped when the job is expanded, so only new videos are downloaded.
+ * @param {string} playlistId
+ * @param {string[]|null} urls limit the sync to these sources
+ * @returns {Promise<number>} number of jobs queued
+ */
+async function syncPlaylist(playlistId, urls = null) {
+  const playlistPath = path.join(playlistsPath, `${playlistId}.json`);
+  if (!await fs.pathExists(playlistPath)) {
+    throw new Error('Playlist not found');
+  }
+  const playlist = await safeJson.readJson(playlistPath);
+  const inFlight = [JOB_STATUS.PENDING, JOB_STATUS.FETCHING, JOB_STATUS.ACTIVE];
+
+  let queued = 0;
+  for (const source of playlist.sources || []) {
+    if (urls && !urls.includes(source.url)) continue;
+    lastSyncAttempts.set(`${playlistId}|${source.url}`, Date.now());
+
+    const alreadyQueued = downloadQueue.jobs.some(j => j.playlistId === playlistId && j.url === source.url && inFlight.includes(j.status));
+    if (alreadyQueued) continue;
+
+    downloadQueue.addJob(source.url, playlistId, playlist.name);
+    queued++;
+  }
+
+  if (queued > 0) {
+    logger.info('Playlist sync queued', { playlistId, jobs: queued });
+    pumpDownloadQueue();
+  }
+  return queued;
+}
+
+// Sync every source whose last sync is older than the configured interval
+async function runScheduledSync() {
+  if (!downloadQueue || isShuttingDown) return;
+
+  const { subscriptions } = await loadAppConfig();
+  if (!subscriptions.autoSync) return;
+
+  const intervalMs = Math.max(1, Number(subscriptions.syncIntervalHours) || 24) * 60 * 60 * 1000;
+  const now = Date.now();
+
+  const files = await fs.readdir(playlistsPath);
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    try {
+      const playlist = await safeJson.readJson(path.join(playlistsPath, file));
+      const dueUrls = (playlist.sources || [])
+        .filter((source) => {
+          const lastSynced = Date.parse(source.lastSyncedAt) || 0;
+          const lastAttempt = lastSyncAttempts.get(`${playlist.id}|${source.url}`) || 0;
+          return now - Math.max(lastSynced, lastAttempt) >= intervalMs;
+        })
+        .map(source => source.url);
+
+      if (dueUrls.length > 0) {
+        logger.info('Scheduled playlist sync', { playlistId: playlist.id, sources: dueUrls.length });
+        await syncPlaylist(playlist.id, dueUrls);
+      }
+    } catch (error) {
+      logger.error(`Scheduled sync failed for playlist file: ${file}`, error);
+    }
+  }
+}
+
+function startSubscriptionScheduler() {
+  if (subscriptionTimer) return;
+  runScheduledSync().catch(error => logger.error('Scheduled playlist sync failed', error));
+  subscriptionTimer = setInterval(() => {
+    runScheduledSync().catch(error => logger.error('Scheduled playlist sync failed', error));
+  }, SUBSCRIPTION_CHECK_INTERVAL);
+}
+
+withErrorHandling('sync-playlist', async (event, playlistId) => {
+  logger.userAction('sync-playlist', { playlistId });
+  const queued = await syncPlaylist(playlistId);
+  return { success: true, queued };
+});
+
+withErrorHandling('get-download-queue', async () => {
+  return downloadQueue ? downloadQueue.getSnapshot() : { jobs: [] };
+});
+
+withErrorHandling('cancel-download-task', async (event, taskId) => {
+  logger.userAction('cancel-download-task', { taskId });
+  const cancelled = downloadQueue.cancelTask(taskId);
+  if (!cancelled) return { success: false, message: 'Task is not running or queued' };
+
+  if (cancelled.wasActive && processWorkerPool) {
+    processWorkerPool.cancelTask(taskId);
+  }
+  await finalizeIfSettled(cancelled.job.id);
+  return { success: true };
+});
+
+withErrorHandling('cancel-download-job', async (event, jobId) => {
+  logger.userAction('cancel-download-job', { jobId });
+  await cancelDownloadJob(jobId);
+  return { success: true };
+});
+
+withErrorHandling('cancel-all-downloads', async () => {
+  logger.userAction('cancel-all-downloads');
+  for (const job of [...downloadQueue.jobs]) {
+    await cancelDownloadJob(job.id);
+  }
+  return { success: true };
+});
+
+withErrorHandling('retry-download-task', async (event, taskId) => {
+  logger.userAction('retry-download-task', { taskId });
+  const task = downloadQueue.retryTask(taskId);
+  if (!task) return { success: false, message: 'Only failed or cancelled tasks can be retried' };
+
+  pumpDownloadQueue();
+  return { success: true };
+});
+
+withErrorHandling('retry-download-job', async (event, jobId) => {
+  logger.userAction('retry-download-job', { jobId });
+  downloadQueue.retryJob(jobId);
+  pumpDownloadQueue();
+  return { success: true };
+});
+
+withErrorHandling('clear-finished-downloads', async () => {
+  downloadQueue.clearFinished();
+  return { success: true };
+});
+
+// --- Backup & Restore ---
+
+const BACKUP_CHECK_INTERVAL = 60 * 60 * 1000; // how often the schedule looks for a due backup
+let backupTimer = null;
+let isBackupRunning = false; // a backup or restore is in progress
+let isRestoringBackup = false; // from the start of a restore until the window has reloaded
+
+function sendBackupProgress(progress) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('backup-progress', progress);
+  }
+}
+
+async function runBackup(reason) {
+  if (isBackupRunning) throw new Error('A backup or restore is already running');
+  const { backup } = await loadAppConfig();
+  if (!backup.directory) throw new Error('Choose a backup folder first');
+
+  isBackupRunning = true;
+  try {
+    // Make sure pending library changes are on disk before they are read
+    trackLibrary.flush();
+    const result = await backupManager.createBackup(backup.directory, {
+      appVersion: app.getVersion(),
+      onProgress: sendBackupProgress
+    });
+    const removed = await backupManager.prune(backup.directory, backup.keepCount);
+    logger.info('Backup created', { reason, ...result, removedArchives: removed });
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('backup-created', result);
+    }
+    return result;
+  } finally {
+    isBackupRunning = false;
+  }
+}
+
+async function runScheduledBackup() {
+  const { backup } = await loadAppConfig();
+  if (!backup.autoBackup || !backup.directory || isBackupRunning) return;
+
+  const [latest] = await backupManager.listBackups(backup.directory);
+  const intervalMs = Math.max(1, Number(backup.intervalHours) || 24) * 60 * 60 * 1000;
+  if (latest && Date.now() - new Date(latest.createdAt).getTime() < intervalMs) return;
+
+  await runBackup('scheduled');
+}
+
+function startBackupScheduler() {
+  if (backupTimer) return;
+  backupTimer = setInterval(() => {
+    runScheduledBackup().catch(error => logger.error('Scheduled backup failed', error));
+  }, BACKUP_CHECK_INTERVAL);
+  // First check once startup work has settled
+  setTimeout(() => {
+    runScheduledBackup().catch(error => logger.error('Scheduled backup failed', error));
+  }, 60 * 1000);
+}
+
+// Ask the renderer to stop playing so no file being replaced is held open; gives up after a few seconds
+function stopRendererPlayback(timeoutMs = 3000) {
+  return new Promise((resolve) => {
+    if (!mainWindow || mainWindow.isDestroyed()) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      ipcMain.removeListener('playback-stopped', done);
+      resolve();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    ipcMain.once('playback-stopped', done);
+    mainWindow.webContents.send('stop-playback');
+  });
+}
+
+withErrorHandling('get-backups', async () => {
+  const { backup } = await loadAppConfig();
+  const backups = backup.directory ? await backupManager.listBackups(backup.directory) : [];
+  return { directory: backup.directory || null, backups, running: isBackupRunning };
+});
+
+withErrorHandling('choose-backup-directory', async () => {
+  logger.userAction('choose-backup-directory');
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select Backup Folder',
+    properties: ['openDirectory', 'createDirectory']
+  });
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return { success: false, message: 'Selection cancelled' };
+  }
+
+  const directory = result.filePaths[0];
+  const relative = path.relative(appDataPath, directory);
+  if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+    throw new Error('The backup folder cannot be inside the app data folder');
+  }
+
+  const config = await loadAppConfig();
+  await saveAppConfig({ ...config, backup: { ...config.backup, directory } });
+  return { success: true, directory };
+});
+
+withErrorHandling('create-backup', async () => {
+  logger.userAction('create-backup');
+  const result = await runBackup('manual');
+  return { success: true, ...result };
+});
+
+withErrorHandling('restore-backup', async (event, archivePath = null) => {
+  logger.userAction('restore-backup-requested', { archivePath });
+
+  if (!archivePath) {
+    const { backup } = await loadAppConfig();
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Restore Backup',
+      defaultPath: backup.directory || undefined,
+      filters: [{ name: 'Backup Archive', extensions: ['zip'] }],
+      properties: ['openFile']
+    });
+    if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+      return { success: false, message: 'Restore cancelled' };
+    }
+    archivePath = result.filePaths[0];
+  }
+
+  if (isBackupRunning) throw new Error('A backup or restore is already running');
+  if (downloadQueue && (downloadQueue.getActiveTaskCount() > 0 || downloadQueue.getQueuedTasks().length > 0)) {
+    throw new Error('Finish or cancel the running downloads before restoring a backup');
+  }
+
+  isBackupRunning = true;
+  let reloading = false;
+  const stagingDir = path.join(appDataPath, 'restore-staging');
+  try {
+    // Unpack and verify everything before the current library is touched
+    const { manifest, dataDir } = await backupManager.prepareRestore(archivePath, stagingDir, sendBackupProgress);
+
+    isRestoringBackup = true;
+    clearTimeout(loudnessAnalysisTimer);
+    stopFolderWatchers();
+    await stopRendererPlayback();
+    // Also cancels the pending saves, which would overwrite the restored copies
+    trackLibrary.flush();
+    if (downloadQueue) downloadQueue.flush();
+    flushResumePositions();
+
+    try {
+      await backupManager.swapIn(dataDir);
+    } catch (error) {
+      throw new Error(`Restore failed, your current library was kept: ${error.message}`);
+    }
+
+    await createDataDirectories();
+    await initializeTrackLibrary();
+    // The other in-memory stores would otherwise write the pre-restore state back on their next save
+    await initializeDownloadQueue();
+    resumePositions = null; // reloaded from the restored file on next use
+    await loadWatchedFolders();
+    if (broadcastServer) {
+      const themeFile = path.join(configPath, 'theme.json');
+      broadcastServer.updateTheme(await fs.pathExists(themeFile) ? await safeJson.readJson(themeFile) : {});
+    }
+    logger.info('Backup restored', { archivePath, createdAt: manifest.createdAt });
+
+    // Reload the UI from the restored data; config saves stay blocked until the new page is up
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      reloading = true;
+      mainWindow.webContents.once('did-finish-load', () => {
+        isRestoringBackup = false;
+        mainWindow.webContents.send('backup-restored', { createdAt: manifest.createdAt });
+        pumpDownloadQueue();
+        startFolderWatchers().catch(error => logger.error('Failed to restart watched folders', error));
+      });
+      mainWindow.webContents.reload();
+    }
+    return { success: true, createdAt: manifest.createdAt };
+  } finally {
+    if (!reloading && isRestoringBackup) {
+      isRestoringBackup = false;
+      startFolderWatchers().catch(error => logger.error('Failed to restart watched folders', error));
+    }
+    isBackupRunning = false;
+    await fs.remove(stagingDir).catch(error => logger.warn('Failed to remove restore staging folder', error));
+  }
+});
+
+// IPC handlers for file operations
+// Audio formats accepted from local files
+const AUDIO_EXTENSIONS = ['mp3', 'flac', 'ogg', 'm4a', 'wav'];
+
+// Duration, album art and the tags used by the library search.
+// Shared by files added from disk (copied or linked) and dropped file contents.
+async function readLocalFileMetadata(filePath) {
+  let duration = 0;
+  let thumbnail = null;
+  let artist;
+  let album;
+  try {
+    const { parseFile } = await import('music-metadata');
+    const metadata = await parseFile(filePath);
+    duration = metadata.format.duration;
+    artist = metadata.common.artist;
+    album = metadata.common.album;
+
+    // Extract album art
+    if (metadata.common.picture && metadata.common.picture.length > 0) {
+      const pic = metadata.common.picture[0];
+      thumbnail = `data:${pic.format};base64,${pic.data.toString('base64')}`;
+      logger.info('Album art extracted from local file', { filePath });
+    }
+  } catch (error) {
+    logger.error('Error reading metadata for local file', error, { filePath });
+    // Try extracting duration using our audio extraction method
+    try {
+      duration = await extractAudioDuration(filePath);
+      if (duration && duration > 0) {
+        logger.info(`Extracted duration using audio extraction: ${duration}s`, { filePath });
+      }
+    } catch (extractError) {
+      logger.error('Error extracting duration from audio file', extractError, { filePath });
+    }
+  }
+  return { duration, thumbnail, artist, album };
+}
+
+/**
+ * Add a local audio file to the library, copying it into songs/ unless it is linked.
+ * Shared by the file picker, drag and drop and playlist imports.
+ * @param {string} filePath
+ * @param {{link?: boolean}} options link: keep the file where it is and store its absolute path
+ * @returns {Promise<object>} the new track
+ */
+async function importLocalFile(filePath, { link = false } = {}) {
+  const fileName = path.basename(filePath);
+  const fileExt = path.extname(fileName).slice(1);
+  const newPath = path.join(songsPath, fileName);
+  // Files already inside the data directory are managed by the app either way
+  const linked = link && !isInsideDirectory(appDataPath, path.resolve(filePath));
+
+  // Determine final destination path & copy if needed
+  let destinationPath = newPath;
+  if (linked) {
+    destinationPath = path.resolve(filePath);
+  } else if (path.resolve(filePath) === path.resolve(newPath)) {
+    // File is already in the songs directory; no copy required
+    logger.info('Source and destination are the same, skipping copy', { filePath });
+  } else {
+    // If a file with the same name already exists, append a timestamp to avoid overwrite
+    if (await fs.pathExists(newPath)) {
+      const basename = path.basename(fileName, path.extname(fileName));
+      const uniqueName = `${basename}_${Date.now()}${path.extname(fileName)}`;
+      destinationPath = path.join(songsPath, uniqueName);
+    }
+    await fs.copy(filePath, destinationPath);
+  }
+
+  const { duration, thumbnail, artist, album } = await readLocalFileMetadata(destinationPath);
+
+  const track = {
+    id: uuidv4(),
+    name: path.basename(fileName, path.extname(fileName)),
+    filePath: linked ? destinationPath : toRelativePath(destinationPath), // Store relative path in playlist file
+    fileType: fileExt,
+    duration, // Save duration
+    thumbnail, // Save album art if found
+    artist, // Tags used by the library search
+    album,
+    volume: 0.5,
+    addedAt: new Date().toISOString()
+  };
+  if (linked) track.linked = true;
+
+  logger.info('Local file added successfully', {
+    trackId: track.id,
+    fileName,
+    fileType: fileExt,
+    linked
+  });
+
+  return track;
+}
+
+withErrorHandling('add-local-file', async (event, { filePath, playlistId }) => {
+  try {
+    // Validate input parameters
+    if (!filePath) {
+      throw new Error('filePath is required but was undefined or empty');
+    }
+    if (!playlistId) {
+      throw new Error('playlistId is required but was undefined or empty');
+    }
+
+    logger.userAction('add-local-file-requested', { filePath, playlistId });
+    const { localFiles } = await loadAppConfig();
+    const track = await importLocalFile(filePath, { link: localFiles.linkInPlace });
+    queueSilenceAnalysis(track.id);
+
+    // Return track with absolute path for renderer (consistent with get-playlists)
+    return { ...track, filePath: toAbsolutePath(track.filePath) };
+  } catch (error) {
+    logger.error('Error adding local file', error, { filePath, playlistId });
+    throw error;
+  }
+});
+
+// --- Linked Files ---
+
+// Linked tracks whose file isn't where the library says it is (moved, or the drive isn't connected)
+async function findBrokenLinks() {
+  const broken = [];
+  for (const track of trackLibrary.all()) {
+    if (track.linked && !(await fs.pathExists(track.filePath))) broken.push(track);
+  }
+  return broken;
+}
+
+/**
+ * Look for a moved file under a new folder by trying ever shorter tails of its old path:
+ * E:\Music\Artist\a.flac is tried as <folder>/Music/Artist/a.flac, then <folder>/Artist/a.flac, then <folder>/a.flac
+ * @param {string} oldPath
+ * @param {string} folder
+ * @returns {Promise<string|null>}
+ */
+async function findMovedFile(oldPath, folder) {
+  const parts = oldPath.split(/[\\/]/).filter(Boolean);
+  for (let i = 1; i < parts.length; i++) {
+    const candidate = path.join(folder, ...parts.slice(i));
+    if (await fs.pathExists(candidate)) return candidate;
+  }
+  return null;
+}
+
+withErrorHandling('get-linked-files-status', async () => {
+  const linked = trackLibrary.all().filter(t => t.linked).length;
+  const broken = linked > 0 ? (await findBrokenLinks()).length : 0;
+  return { linked, broken };
+});
+
+withErrorHandling('relink-linked-files', async () => {
+  logger.userAction('relink-linked-files');
+  const broken = await findBrokenLinks();
+  if (broken.length === 0) return { success: true, broken: 0, relinked: 0 };
+
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: `Select the folder that now holds your linked files (${broken.length} not found)`,
+    properties: ['openDirectory']
+  });
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return { success: false, message: 'Relink cancelled' };
+  }
+
+  const folder = result.filePaths[0];
+  let relinked = 0;
+  for (const track of broken) {
+    const found = await findMovedFile(track.filePath, folder);
+    if (!found) continue;
+    trackLibrary.update(track.id, { filePath: found, missing: undefined });
+    relinked++;
+  }
+
+  logger.info('Relinked moved files', { folder, relinked, notFound: broken.length - relinked });
+  return { success: true, broken: broken.length, relinked };
+});
+
+// --- Library Integrity ---
+
+/**
+ * What's wrong with a track's file, if anything
+ * @param {object} track library track
+ * @param {boolean} canProbe ffprobe is available to check that the file decodes
+ * @returns {Promise<{type: 'missing'|'empty'|'unreadable'|'no-duration', detail?: string, duration?: number}|null>}
+ */
+async function checkTrackIntegrity(track, canProbe) {
+  const filePath = toAbsolutePath(track.filePath);
+  const stat = filePath ? await fs.stat(filePath).catch(() => null) : null;
+  if (!stat) return { type: 'missing' };
+  if (stat.size === 0) return { type: 'empty' };
+
+  let probedDuration = null;
+  if (canProbe) {
+    try {
+      probedDuration = (await ffmpegHelper.probeAudio(filePath)).duration;
+    } catch (error) {
+      return { type: 'unreadable', detail: error.message };
+    }
+  }
+  if (!(track.duration > 0)) return { type: 'no-duration', duration: probedDuration };
+  return null;
+}
+
+function sendIntegrityProgress(progress) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('integrity-check-progress', progress);
+  }
+}
+
+/**
+ * Check every library track once, then report the problems per playlist, along with broken
+ * playlist icons and files in songs/ that nothing uses
+ * @returns {Promise<object>}
+ */
+async function runIntegrityCheck() {
+  const canProbe = Boolean(ffmpegHelper.getFFprobePath());
+  const tracks = trackLibrary.all();
+  const trackIssues = new Map();
+  for (let i = 0; i < tracks.length; i++) {
+    const issue = await checkTrackIntegrity(tracks[i], canProbe);
+    if (issue) trackIssues.set(tracks[i].id, issue);
+    if ((i + 1) % 10 === 0 || i + 1 === tracks.length) {
+      sendIntegrityProgress({ checked: i + 1, total: tracks.length });
+    }
+  }
+
+  const playlists = [];
+  const files = await fs.readdir(playlistsPath);
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    let data;
+    try {
+      data = await safeJson.readJson(path.join(playlistsPath, file));
+    } catch (error) {
+      logger.warn(`Skipping unreadable playlist file in integrity check: ${file}`, error);
+      continue;
+    }
+
+    const issues = [];
+    if (data.iconPath && !await fs.pathExists(toAbsolutePath(data.iconPath))) {
+      issues.push({ type: 'broken-icon', iconPath: data.iconPath });
+    }
+    for (const track of trackLibrary.resolve(data.trackIds)) {
+      const issue = trackIssues.get(track.id);
+      if (!issue) continue;
+      issues.push({ ...issue, trackId: track.id, name: track.name, url: track.url || null, linked: Boolean(track.linked) });
+    }
+    if (issues.length > 0) playlists.push({ id: data.id, name: data.name, issues });
+  }
+
+  const unreferenced = (await findUnreferencedSongFiles())
+    .map(f => ({ name: path.basename(f.filePath), size: f.size }));
+
+  logger.info('Library integrity check finished', {
+    tracks: tracks.length,
+    trackIssues: trackIssues.size,
+    playlistsWithIssues: playlists.length,
+    unreferenced: unreferenced.length,
+    probed: canProbe
+  });
+  return { checkedTracks: tracks.length, probed: canProbe, playlists, unreferenced };
+}
+
+let integrityCheckRunning = false;
+
+withErrorHandling('check-library-integrity', async () => {
+  logger.userAction('check-library-integrity');
+  if (integrityCheckRunning) return { success: false, message: 'A library check is already running' };
+  integrityCheckRunning = true;
+  try {
+    return { success: true, ...(await runIntegrityCheck()) };
+  } finally {
+    integrityCheckRunning = false;
+  }
+});
+
+// Change a playlist file under its lock
+async function editPlaylistFile(playlistId, edit) {
+  const playlistPath = path.join(playlistsPath, `${playlistId}.json`);
+  if (!await fs.pathExists(playlistPath)) throw new Error('Playlist file does not exist');
+  if (!fileLock.acquire(playlistPath)) throw new Error('Playlist is being updated, try again in a moment');
+  try {
+    const playlist = await loadPlaylistFile(playlistPath);
+    edit(playlist);
+    await savePlaylistFile(playlistPath, playlist);
+  } finally {
+    fileLock.release(playlistPath);
+  }
+}
+
+/**
+ * Repair one reported problem. Actions:
+ * redownload/relink/remove for a track's file, fix-duration, clear-icon for a playlist,
+ * delete-unreferenced for the unused files in songs/
+ */
+withErrorHandling('repair-integrity-issue', async (event, { action, playlistId, trackId }) => {
+  logger.userAction('repair-integrity-issue', { action, playlistId, trackId });
+  const track = trackId ? trackLibrary.get(trackId) : null;
+  if (trackId && !track) return { success: false, message: 'Track is no longer in the library' };
+
+  switch (action) {
+    case 'redownload': {
+      if (!track.url) return { success: false, message: 'Track has no source URL to download from' };
+      const playlist = await safeJson.readJson(path.join(playlistsPath, `${playlistId}.json`));
+      downloadQueue.addJob(track.url, playlistId, playlist.name, { replaceTrackId: track.id });
+      pumpDownloadQueue();
+      return { success: true, queued: true };
+    }
+
+    case 'relink': {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: `Select the file for "${track.name}"`,
+        properties: ['openFile'],
+        filters: [{ name: 'Audio Files', extensions: AUDIO_EXTENSIONS }]
+      });
+      if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+        return { success: false, message: 'Relink cancelled' };
+      }
+      // Keep a linked track linked; otherwise follow the link-in-place setting
+      const { localFiles } = await loadAppConfig();
+      const replacement = await importLocalFile(result.filePaths[0], { link: localFiles.linkInPlace || Boolean(track.linked) });
+      trackLibrary.update(track.id, {
+        filePath: replacement.filePath,
+        fileType: replacement.fileType,
+        linked: replacement.linked,
+        duration: replacement.duration || track.duration,
+        missing: undefined,
+        loudness: undefined
+      });
+      scheduleLoudnessAnalysis();
+      logger.info('Relinked track to a new file', { trackId: track.id, filePath: replacement.filePath });
+      return { success: true };
+    }
+
+    case 'remove':
+      await editPlaylistFile(playlistId, (playlist) => {
+        playlist.tracks = playlist.tracks.filter(t => t.id !== track.id);
+      });
+      // Drops the track (and its file) from the library if no other playlist has it
+      await cleanupOrphanedFiles();
+      logger.info('Removed broken track from playlist', { playlistId, trackId: track.id });
+      return { success: true };
+
+    case 'fix-duration': {
+      const duration = await extractAudioDuration(toAbsolutePath(track.filePath));
+      if (!duration) return { success: false, message: 'Could not read the duration from the file' };
+      trackLibrary.update(track.id, { duration });
+      return { success: true, duration };
+    }
+
+    case 'clear-icon':
+      await editPlaylistFile(playlistId, (playlist) => {
+        delete playlist.iconPath;
+      });
+      return { success: true };
+
+    case 'delete-unreferenced': {
+      let deleted = 0;
+      for (const { filePath } of await findUnreferencedSongFiles()) {
+        try {
+          await fs.remove(filePath);
+          deleted++;
+        } catch (error) {
+          logger.warn('Failed to delete unreferenced file', error, { path: filePath });
+        }
+      }
+      logger.info(`Deleted ${deleted} unreferenced files from songs/`);
+      return { success: true, deleted };
+    }
+
+    default:
+      throw new Error(`Unknown repair action: ${action}`);
+  }
+});
+
+// --- Playlist Import ---
+
+// A list can name the same file or link more than once; the playlist keeps each track once
+function uniqueTracks(tracks) {
+  const seen = new Set();
+  return tracks.filter((track) => {
+    if (seen.has(track.id)) return false;
+    seen.add(track.id);
+    return true;
+  });
+}
+
+/**
+ * Create a playlist from an M3U/M3U8/PLS/XSPF file. Local entries are copied in like any
+ * added file; web links are queued for download into the new playlist.
+ * @param {string} filePath
+ * @returns {Promise<{playlistId: string, name: string, added: number, queued: number, unresolved: {location: string, reason: string}[]}>}
+ */
+async function importPlaylistFile(filePath) {
+  const parsed = parsePlaylistFile(await fs.readFile(filePath), filePath);
+  if (parsed.entries.length === 0) {
+    throw new Error(`${path.basename(filePath)} has no entries`);
+  }
+
+  const playlist = {
+    id: uuidv4(),
+    name: parsed.name || path.basename(filePath, path.extname(filePath)),
+    tracks: [],
+    createdAt: new Date().toISOString()
+  };
+  const unresolved = [];
+  const remoteUrls = [];
+  const importedByPath = new Map(); // the same file listed twice is only imported once
+  const { localFiles } = await loadAppConfig();
+
+  for (const entry of parsed.entries) {
+    if (entry.url) {
+      // Already downloaded here (e.g. a shared manifest of a playlist we also have): no need to fetch it again
+      const known = trackLibrary.findByUrl(entry.url);
+      if (known) playlist.tracks.push({ ...known });
+      else remoteUrls.push(entry.url);
+      continue;
+    }
+    if (!entry.path) {
+      unresolved.push({ location: entry.location, reason: entry.reason || 'Unsupported location' });
+      continue;
+    }
+
+    const ext = path.extname(entry.path).slice(1).toLowerCase();
+    if (!AUDIO_EXTENSIONS.includes(ext)) {
+      unresolved.push({ location: entry.location, reason: 'Not a supported audio file' });
+      continue;
+    }
+    const key = path.resolve(entry.path);
+    if (importedByPath.has(key)) {
+      playlist.tracks.push(importedByPath.get(key));
+      continue;
+    }
+    if (!(await fs.pathExists(entry.path))) {
+      unresolved.push({ location: entry.location, reason: 'File not found' });
+      continue;
+    }
+
+    try {
+      const track = await importLocalFile(entry.path, { link: localFiles.linkInPlace });
+      // The playlist's own title ("Artist - Title") beats the file name
+      if (entry.title) track.name = entry.title;
+      importedByPath.set(key, track);
+      playlist.tracks.push(track);
+    } catch (error) {
+      logger.error('Failed to import playlist entry', error, { location: entry.location });
+      unresolved.push({ location: entry.location, reason: error.message });
+    }
+  }
+
+  playlist.tracks = uniqueTracks(playlist.tracks);
+  await savePlaylistFile(path.join(playlistsPath, `${playlist.id}.json`), playlist);
+
+  // Downloads land at the end of the playlist as they finish
+  for (const url of remoteUrls) {
+    downloadQueue.addJob(url, playlist.id, playlist.name);
+  }
+  if (remoteUrls.length > 0) pumpDownloadQueue();
+
+  const result = {
+    playlistId: playlist.id,
+    name: playlist.name,
+    added: playlist.tracks.length,
+    queued: remoteUrls.length,
+    unresolved
+  };
+  logger.info('Playlist imported', { file: filePath, ...result, unresolved: unresolved.length });
+  return result;
+}
+
+// Track settings restored from an exported zip's manifest
+const IMPORTED_TRACK_FIELDS = ['name', 'artist', 'album', 'duration', 'volume', 'url', 'sourceUrl', 'thumbnail'];
+
+function isInsideDirectory(dir, filePath) {
+  const relative = path.relative(dir, filePath);
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Files in songs/ grouped by size, so only same-sized files need hashing when looking for duplicates
+async function createSongFileIndex() {
+  const bySize = new Map();
+  for (const name of await fs.readdir(songsPath)) {
+    const filePath = path.join(songsPath, name);
+    const stat = await fs.stat(filePath).catch(() => null);
+    if (!stat || !stat.isFile()) continue;
+    if (!bySize.has(stat.size)) bySize.set(stat.size, []);
+    bySize.get(stat.size).push(filePath);
+  }
+  return bySize;
+}
+
+async function findExistingSongFile(filePath, songIndex) {
+  const { size } = await fs.stat(filePath);
+  const candidates = songIndex.get(size) || [];
+  if (candidates.length === 0) return null;
+
+  const hash = await hashFile(filePath);
+  for (const candidate of candidates) {
+    if (await hashFile(candidate) === hash) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Create a playlist from a zip written by `export-playlist`. The embedded manifest restores track
+ * names, volumes, order and the icon; zips exported before it existed import their audio files in name order.
+ * Files already in songs/ are not copied again, and tracks already in the library are reused.
+ */
+async function importPlaylistZip(zipPath) {
+  const tempDir = path.join(app.getPath('temp'), `mmp-import-${uuidv4()}`);
+  try {
+    await extract(zipPath, { dir: tempDir });
+
+    let manifest = null;
+    const manifestPath = path.join(tempDir, ZIP_MANIFEST_ENTRY);
+    if (await fs.pathExists(manifestPath)) {
+      manifest = await fs.readJson(manifestPath).catch(() => null);
+      if (!isPlaylistManifest(manifest)) {
+        throw new Error(`${path.basename(zipPath)} has an unreadable playlist manifest`);
+      }
+    }
+
+    const entries = manifest
+      ? manifest.tracks
+      : (await fs.readdir(tempDir))
+        .filter(name => AUDIO_EXTENSIONS.includes(path.extname(name).slice(1).toLowerCase()))
+        .sort((a, b) => a.localeCompare(b))
+        .map(file => ({ file }));
+    if (entries.length === 0) {
+      throw new Error(`${path.basename(zipPath)} has no tracks`);
+    }
+
+    const playlist = {
+      id: uuidv4(),
+      name: (manifest && manifest.name) || path.basename(zipPath, path.extname(zipPath)),
+      tracks: [],
+      createdAt: new Date().toISOString()
+    };
+    if (manifest && manifest.equalizer) playlist.equalizer = manifest.equalizer;
+
+    const songIndex = await createSongFileIndex();
+    const unresolved = [];
+    const remoteUrls = [];
+    let reused = 0;
+
+    for (const entry of entries) {
+      const source = entry.file ? path.join(tempDir, entry.file) : null;
+      if (!source || !isInsideDirectory(tempDir, source) || !(await fs.pathExists(source))) {
+        // The export skips tracks whose file was missing; fetch those again if we know where from
+        const known = entry.url && trackLibrary.findByUrl(entry.url);
+        if (known) playlist.tracks.push({ ...known });
+        else if (entry.url) remoteUrls.push(entry.url);
+        else unresolved.push({ location: entry.file || entry.name || 'Unnamed track', reason: 'Missing from the archive' });
+        continue;
+      }
+
+      try {
+        const existingFile = await findExistingSongFile(source, songIndex);
+        const existingTrack = existingFile &&
+          trackLibrary.all().find(track => track.filePath && toAbsolutePath(track.filePath) === existingFile);
+        if (existingTrack) {
+          playlist.tracks.push({ ...existingTrack });
+          reused++;
+          continue;
+        }
+
+        // A file already in songs/ is picked up where it is instead of being copied
+        const track = await importLocalFile(existingFile || source);
+        for (const field of IMPORTED_TRACK_FIELDS) {
+          if (entry[field] !== undefined && entry[field] !== null) track[field] = entry[field];
+        }
+        if (!existingFile) {
+          const copied = toAbsolutePath(track.filePath);
+          const { size } = await fs.stat(copied);
+          if (!songIndex.has(size)) songIndex.set(size, []);
+          songIndex.get(size).push(copied);
+        }
+        playlist.tracks.push(track);
+      } catch (error) {
+        logger.error('Failed to import track from playlist zip', error, { file: entry.file });
+        unresolved.push({ location: entry.file, reason: error.message });
+      }
+    }
+
+    if (manifest && typeof manifest.icon === 'string') {
+      const iconSource = path.join(tempDir, manifest.icon);
+      if (isInsideDirectory(tempDir, iconSource) && await fs.pathExists(iconSource)) {
+        const iconDest = path.join(iconsPath, `${playlist.id}${path.extname(iconSource)}`);
+        await fs.copy(iconSource, iconDest);
+        playlist.iconPath = toRelativePath(iconDest);
+      }
+    }
+
+    playlist.tracks = uniqueTracks(playlist.tracks);
+    await savePlaylistFile(path.join(playlistsPath, `${playlist.id}.json`), playlist);
+
+    for (const url of remoteUrls) {
+      downloadQueue.addJob(url, playlist.id, playlist.name);
+    }
+    if (remoteUrls.length > 0) pumpDownloadQueue();
+
+    const result = {
+      playlistId: playlist.id,
+      name: playlist.name,
+      added: playlist.tracks.length,
+      reused,
+      queued: remoteUrls.length,
+      unresolved
+    };
+    logger.info('Playlist zip imported', { file: zipPath, ...result, unresolved: unresolved.length });
+    return result;
+  } finally {
+    await fs.remove(tempDir).catch(error => logger.warn('Failed to remove playlist import folder', error));
+  }
+}
+
+withErrorHandling('import-playlist-files', async () => {
+  logger.userAction('import-playlist-files-requested');
+  const selection = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Playlists',
+    properties: ['openFile', 'multiSelections'],
+    filters: [
+      { name: 'Playlists', extensions: [...PLAYLIST_EXTENSIONS, 'zip'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+  if (selection.canceled || !selection.filePaths || selection.filePaths.length === 0) {
+    return { success: false, message: 'Import cancelled' };
+  }
+
+  const results = [];
+  for (const filePath of selection.filePaths) {
+    try {
+      const result = path.extname(filePath).toLowerCase() === '.zip'
+        ? await importPlaylistZip(filePath)
+        : await importPlaylistFile(filePath);
+      results.push({ file: path.basename(filePath), ...result });
+    } catch (error) {
+      logger.error('Failed to import playlist file', error, { filePath });
+      results.push({ file: path.basename(filePath), error: error.message });
+    }
+  }
+  return { success: true, results };
+});
+
+// --- Folder Import ---
+
+// Images used as the playlist icon, in order of preference
+const FOLDER_COVER_NAMES = ['cover', 'folder', 'front', 'album'];
+const COVER_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+let folderImport = null; // { cancelled } while an import runs
+
+async function collectAudioFiles(dir, files = []) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await collectAudioFiles(entryPath, files);
+    } else if (entry.isFile() && AUDIO_EXTENSIONS.includes(path.extname(entry.name).slice(1).toLowerCase())) {
+      files.push({ filePath: entryPath, dir });
+    }
+  }
+  return files;
+}
+
+// Tags used to group and order tracks; untagged files sort by name
+async function readImportTags(filePath) {
+  try {
+    const { parseFile } = await import('music-metadata');
+    const { common } = await parseFile(filePath, { duration: false, skipCovers: true });
+    return {
+      album: common.album || null,
+      albumArtist: common.albumartist || common.artist || null,
+      disk: common.disk && common.disk.no,
+      trackNo: common.track && common.track.no
+    };
+  } catch (error) {
+    logger.warn('Failed to read tags for folder import', { filePath, error: error.message });
+    return {};
+  }
+}
+
+function compareImportFiles(a, b) {
+  const diskA = a.tags.disk || 1;
+  const diskB = b.tags.disk || 1;
+  if (diskA !== diskB) return diskA - diskB;
+  // Numbered tracks first, in order
+  if (a.tags.trackNo && b.tags.trackNo && a.tags.trackNo !== b.tags.trackNo) return a.tags.trackNo - b.tags.trackNo;
+  if (!!a.tags.trackNo !== !!b.tags.trackNo) return a.tags.trackNo ? -1 : 1;
+  return path.basename(a.filePath).localeCompare(path.basename(b.filePath), undefined, { numeric: true });
+}
+
+/**
+ * Split the files into playlists: one per folder, or one per album tag with untagged
+ * files falling back to their folder
+ * @returns {{label: string, name: string, dirs: Set<string>, files: object[]}[]} label: folder of the first file
+ */
+function groupImportFiles(files, rootDir, groupBy) {
+  const groups = new Map();
+  for (const file of files) {
+    const relDir = path.relative(rootDir, file.dir);
+    let key;
+    let name;
+    if (groupBy === 'album' && file.tags.album) {
+      key = `album:${(file.tags.albumArtist || '').toLowerCase()}|${file.tags.album.toLowerCase()}`;
+      name = file.tags.albumArtist ? `${file.tags.albumArtist} - ${file.tags.album}` : file.tags.album;
+    } else {
+      // "Artist/Album" becomes "Artist - Album" so same-named albums stay apart
+      key = `folder:${relDir}`;
+      name = relDir ? relDir.split(path.sep).join(' - ') : path.basename(rootDir);
+    }
+    if (!groups.has(key)) {
+      // Where the playlist came from, for the import report
+      groups.set(key, { label: relDir || path.basename(rootDir), name, dirs: new Set(), files: [] });
+    }
+    const group = groups.get(key);
+    group.dirs.add(file.dir);
+    group.files.push(file);
+  }
+  const result = [...groups.values()];
+  result.forEach(group => group.files.sort(compareImportFiles));
+  return result.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+async function findFolderCover(dirs) {
+  for (const dir of dirs) {
+    const names = await fs.readdir(dir).catch(() => []);
+    const images = names.filter(name => COVER_EXTENSIONS.includes(path.extname(name).slice(1).toLowerCase()));
+    for (const coverName of FOLDER_COVER_NAMES) {
+      const match = images.find(name => path.basename(name, path.extname(name)).toLowerCase() === coverName);
+      if (match) return path.join(dir, match);
+    }
+  }
+  return null;
+}
+
+function sendFolderImportProgress(progress) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('folder-import-progress', progress);
+  }
+}
+
+/**
+ * Create playlists from a directory tree. Stops between files once `job.cancelled` is set;
+ * playlists filled so far are kept.
+ * @param {string} rootDir
+ * @param {'folder'|'album'} groupBy
+ * @param {{cancelled: boolean}} job
+ * @returns {Promise<{results: object[], cancelled: boolean}>} results in the playlist import format
+ */
+async function importFolder(rootDir, groupBy, job) {
+  sendFolderImportProgress({ phase: 'scanning' });
+  const files = await collectAudioFiles(rootDir);
+  if (files.length === 0) {
+    throw new Error('No audio files found in this folder');
+  }
+
+  for (let i = 0; i < files.length && !job.cancelled; i++) {
+    files[i].tags = await readImportTags(files[i].filePath);
+    sendFolderImportProgress({ phase: 'reading', done: i + 1, total: files.length });
+  }
+  if (job.cancelled) return { results: [], cancelled: true };
+
+  const { localFiles } = await loadAppConfig();
+  const results = [];
+  let done = 0;
+
+  for (const group of groupImportFiles(files, rootDir, groupBy)) {
+    if (job.cancelled) break;
+    const playlist = {
+      id: uuidv4(),
+      name: group.name,
+      tracks: [],
+      createdAt: new Date().toISOString()
+    };
+    const unresolved = [];
 
-    for (const trackInfo of trackInfos) {
-      const trackUrl = trackInfo.webpage_url || trackInfo.url;
-      if (playlist.tracks.some(t => t && t.url === trackUrl)) {
-        logger.info('Skipping duplicate track', { title: trackInfo.title });
-        skippedTracks.push(trackInfo);
-        continue;
+    for (const file of group.files) {
+      if (job.cancelled) break;
+      try {
+        playlist.tracks.push(await importLocalFile(file.filePath, { link: localFiles.linkInPlace }));
+      } catch (error) {
+        logger.error('Failed to import file from folder', error, { filePath: file.filePath });
+        unresolved.push({ location: path.relative(rootDir, file.filePath), reason: error.message });
       }
+      sendFolderImportProgress({ phase: 'importing', done: ++done, total: files.length, playlist: group.name });
+    }
 
-      tasks.push({
-        type: 'downloadTrack',
-        trackInfo,
-        songsPath,
-        taskId: `${playlistId}-${trackInfo.id}`
-      });
+    if (playlist.tracks.length === 0) {
+      if (unresolved.length > 0) results.push({ file: group.label, error: 'None of the files could be imported' });
+      continue;
     }
 
-    // Send progress update with track count
-    mainWindow.webContents.send('download-progress', {
-      taskId: 'preparing-downloads',
-      progress: 0,
-      trackInfo: {
-        title: `Preparing to download ${tasks.length} track${tasks.length !== 1 ? 's' : ''}...`,
-        totalTracks: tasks.length,
-        skippedTracks: skippedTracks.length
+    const cover = await findFolderCover(group.dirs);
+    if (cover) {
+      try {
+        playlist.iconPath = await copyPlaylistIcon(playlist.id, cover);
+      } catch (error) {
+        logger.warn('Failed to use folder image as playlist icon', { cover, error: error.message });
       }
-    });
+    }
 
-    // Initialize worker pool if not already done
-    await initializeWorkerPool();
+    await savePlaylistFile(path.join(playlistsPath, `${playlist.id}.json`), playlist);
+    results.push({
+      file: group.label,
+      playlistId: playlist.id,
+      name: playlist.name,
+      added: playlist.tracks.length,
+      queued: 0,
+      unresolved
+    });
+  }
 
+  logger.info('Folder imported', { rootDir, groupBy, playlists: results.length, cancelled: job.cancelled });
+  return { results, cancelled: job.cancelled };
+}
 
+withErrorHandling('import-folder', async (event, { groupBy = 'folder' } = {}) => {
+  logger.userAction('import-folder-requested', { groupBy });
+  if (folderImport) {
+    throw new Error('A folder import is already running');
+  }
+  const selection = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Folder',
+    properties: ['openDirectory']
+  });
+  if (selection.canceled || !selection.filePaths || selection.filePaths.length === 0) {
+    return { success: false, message: 'Import cancelled' };
+  }
 
-    // Use the process worker pool to download tracks in parallel
-    // Progress monitoring setup (timeout removed for slow connections)
-    const progressListener = (data) => {
-      if (data && data.progress !== undefined) {
-        logger.info('Download progress update received');
-      }
-    };
-    processWorkerPool.on('progress', progressListener);
-
-    const workerStats = processWorkerPool.getStats();
-    logger.info(`Starting parallel download of ${tasks.length} tracks using ${workerStats.totalWorkers} workers`);
-
-    let completedTasks = 0;
-    const totalTasks = tasks.length;
-
-    // Create array to preserve original order
-    const downloadResults = new Array(tasks.length);
-
-    const downloadPromises = tasks.map((task, index) => {
-      return processWorkerPool.addTask(task.trackInfo, songsPath, playlistId)
-        .then(result => {
-          completedTasks++;
-          const overallProgress = Math.round((completedTasks / totalTasks) * 100);
-
-          if (result.success) {
-            // Store result at original index to preserve order
-            downloadResults[index] = result.track;
-            logger.info(`Downloaded: ${result.track.name}`);
-
-            // Send overall progress update
-            mainWindow.webContents.send('download-progress', {
-              taskId: 'overall-progress',
-              progress: overallProgress,
-              trackInfo: {
-                title: `Downloaded "${result.track.name}"`,
-                completed: completedTasks,
-                total: totalTasks,
-                successful: downloadResults.filter(Boolean).length,
-                failed: failedTracks.length
-              }
-            });
-
-            // Send the newly downloaded track to the renderer for immediate UI update
-            mainWindow.webContents.send('track-downloaded', {
-              playlistId,
-              track: result.track
-            });
-          } else {
-            failedTracks.push(result.trackInfo);
-            logger.warn(`Failed to download: ${result.trackInfo.title}`, { error: result.error });
-
-            // Send progress update for failed track
-            mainWindow.webContents.send('download-progress', {
-              taskId: 'overall-progress',
-              progress: overallProgress,
-              trackInfo: {
-                title: `Failed to download "${result.trackInfo.title}"`,
-                completed: completedTasks,
-                total: totalTasks,
-                successful: downloadedTracks.length,
-                failed: failedTracks.length
-              }
-            });
-          }
-          return result;
-        })
-        .catch(error => {
-          completedTasks++;
-          const overallProgress = Math.round((completedTasks / totalTasks) * 100);
-
-          logger.error(`Download promise rejected:`, error);
-
-          // Categorize the error
-          const isAgeRestricted = error.message && (
-            error.message.includes('AGE_RESTRICTED') ||
-            error.message.includes('Sign in to confirm your age') ||
-            error.message.includes('age-restricted')
-          );
-
-          const shouldSkip = error.message && error.message.includes('AGE_RESTRICTED_SKIP');
-
-          if (shouldSkip || isAgeRestricted) {
-            ageRestrictedTracks.push(task.trackInfo);
-            // Log as skipped rather than failed for better UX
-            logger.info(`Skipping age-restricted track: ${task.trackInfo.title}`);
-          } else {
-            failedTracks.push(task.trackInfo);
-          }
+  folderImport = { cancelled: false };
+  try {
+    return { success: true, ...(await importFolder(selection.filePaths[0], groupBy, folderImport)) };
+  } finally {
+    folderImport = null;
+  }
+});
 
-          // Send progress update for error
-          mainWindow.webContents.send('download-progress', {
-            taskId: 'overall-progress',
-            progress: overallProgress,
-            trackInfo: {
-              title: (shouldSkip || isAgeRestricted) ? `Skipping age-restricted: "${task.trackInfo.title}"` : `Error downloading "${task.trackInfo.title}"`,
-              completed: completedTasks,
-              total: totalTasks,
-              successful: downloadedTracks.length,
-              failed: failedTracks.length,
-              ageRestricted: ageRestrictedTracks.length
-            }
-          });
+withErrorHandling('cancel-folder-import', async () => {
+  logger.userAction('cancel-folder-import');
+  if (!folderImport) return { success: false, message: 'No folder import is running' };
+  folderImport.cancelled = true;
+  return { success: true };
+});
 
-          return { success: false, trackInfo: task.trackInfo, error: error.message, isAgeRestricted };
-        });
-    });
+// --- Watched Folders ---
 
-    // Wait for all downloads to complete
-    const results = await Promise.all(downloadPromises);
+// Folders whose audio files are imported into a playlist automatically: { id, path, playlistId, addedAt, files }.
+// `files` maps every imported file to { trackId, size, mtimeMs, missing } so changes can be told apart from new files.
+let watchedFolders = [];
+let folderWatcher = null;
+const pendingFolderScans = new Set();
+let folderScanRunning = null;
 
-    // Clean up progress listener
-    processWorkerPool.off('progress', progressListener);
+async function loadWatchedFolders() {
+  const filePath = path.join(configPath, 'watched-folders.json');
+  try {
+    const data = await fs.pathExists(filePath) ? await safeJson.readJson(filePath) : {};
+    watchedFolders = Array.isArray(data.folders) ? data.folders : [];
+  } catch (error) {
+    logger.error('Failed to load watched folders', error);
+    watchedFolders = [];
+  }
+}
 
-    // Log worker pool statistics
-    // Filter out null/undefined results and preserve order
-    const orderedDownloadedTracks = downloadResults.filter(Boolean);
+async function saveWatchedFolders() {
+  await safeJson.writeJson(path.join(configPath, 'watched-folders.json'), { folders: watchedFolders });
+}
 
-    const stats = processWorkerPool.getStats();
-    logger.info('Download batch completed', {
-      totalTasks: tasks.length,
-      successful: orderedDownloadedTracks.length,
-      failed: failedTracks.length,
-      workerStats: stats
-    });
+function getWatchedFolderSummaries() {
+  return watchedFolders.map((folder) => {
+    const files = Object.values(folder.files || {});
+    return {
+      id: folder.id,
+      path: folder.path,
+      playlistId: folder.playlistId,
+      watching: !!folderWatcher && folderWatcher.isWatching(folder.id),
+      fileCount: files.filter(f => !f.missing).length,
+      missingCount: files.filter(f => f.missing).length,
+      lastScannedAt: folder.lastScannedAt || null
+    };
+  });
+}
 
-    if (orderedDownloadedTracks.length > 0) {
-      // Acquire lock before writing to playlist file
-      if (fileLock.acquire(playlistPath)) {
-        try {
-          playlist.tracks.push(...orderedDownloadedTracks);
-          await fs.writeJson(playlistPath, playlist);
-        } finally {
-          // Ensure cleanup for progress listener
-          if (processWorkerPool && processWorkerPool.off) processWorkerPool.off('progress', progressListener);
-          fileLock.release(playlistPath);
-        }
-      } else {
-        logger.error('Failed to acquire lock for playlist update', { playlistId });
-        return { success: false, message: 'Failed to update playlist due to file lock.' };
-      }
+// Scans run one at a time; a folder that changes again while queued is scanned once
+function queueFolderScan(folderId) {
+  if (isShuttingDown || isRestoringBackup) return Promise.resolve();
+  pendingFolderScans.add(folderId);
+  if (!folderScanRunning) folderScanRunning = runFolderScans();
+  return folderScanRunning;
+}
 
-      // Run duration scan for newly downloaded tracks
-      logger.info('Running duration scan for newly downloaded tracks');
+async function runFolderScans() {
+  try {
+    while (pendingFolderScans.size > 0 && !isShuttingDown && !isRestoringBackup) {
+      const [folderId] = pendingFolderScans;
+      pendingFolderScans.delete(folderId);
       try {
-        const durationResult = await scanAndUpdateTrackDurations();
-        if (durationResult.updated > 0) {
-          logger.info(`Duration scan after download completed: ${durationResult.updated} tracks updated`);
-          // Notify UI about duration updates
-          mainWindow.webContents.send('duration-scan-complete', durationResult);
-        }
+        await syncWatchedFolder(folderId);
       } catch (error) {
-        logger.error('Error during post-download duration scan', error);
+        logger.error('Watched folder scan failed', error, { folderId });
       }
     }
+  } finally {
+    folderScanRunning = null;
+  }
+}
 
-    const summary = {
-      downloaded: orderedDownloadedTracks.length,
-      failed: failedTracks.length,
-      ageRestricted: ageRestrictedTracks.length,
-      skipped: skippedTracks.length
-    };
-    logger.info('Download summary', { ...summary, url });
-
-    // Send final progress update
-    const summaryMessage = [];
-    if (summary.downloaded > 0) summaryMessage.push(`${summary.downloaded} downloaded`);
-    if (summary.failed > 0) summaryMessage.push(`${summary.failed} failed`);
-    if (summary.ageRestricted > 0) summaryMessage.push(`${summary.ageRestricted} age-restricted`);
-    if (summary.skipped > 0) summaryMessage.push(`${summary.skipped} skipped`);
-
-    mainWindow.webContents.send('download-progress', {
-      taskId: 'completion',
-      progress: 100,
-      trackInfo: {
-        title: `Download complete! ${summaryMessage.join(', ')}`,
-        completed: totalTasks,
-        total: totalTasks,
-        successful: downloadedTracks.length,
-        failed: failedTracks.length
-      }
-    });
+// Copy a changed file over the track's copy in songs/ (linked tracks already point at it) and read its tags again
+async function refreshWatchedTrack(track, filePath) {
+  const destination = toAbsolutePath(track.filePath);
+  if (!track.linked) await fs.copy(filePath, destination, { overwrite: true });
+  const metadata = await readLocalFileMetadata(destination);
+  // The old loudness measurement no longer applies
+  trackLibrary.update(track.id, { ...metadata, loudness: undefined, missing: undefined });
+}
 
-    mainWindow.webContents.send('download-complete', {
-      playlistId,
-      downloadedTracks: orderedDownloadedTracks,
-      failedTracks,
-      ageRestrictedTracks,
-      skippedTracks
-    });
+/**
+ * Bring a watched folder's playlist up to date: import new files, refresh changed ones and
+ * flag tracks whose file was deleted. Flagged tracks stay in the playlist until the user removes them.
+ * @param {string} folderId
+ */
+async function syncWatchedFolder(folderId) {
+  const folder = watchedFolders.find(f => f.id === folderId);
+  if (!folder) return;
+  if (!await fs.pathExists(folder.path)) {
+    // An unplugged drive shouldn't flag every track as deleted
+    logger.warn('Watched folder not found, skipping scan', { folder: folder.path });
+    return;
+  }
+  if (!folderWatcher.isWatching(folder.id)) folderWatcher.watch(folder);
 
-    // Show comprehensive completion notice for failed/skipped tracks
-    const totalProblematic = failedTracks.length + ageRestrictedTracks.length;
-    if (totalProblematic > 0) {
-      let notificationTitle = 'Download Issues';
-      let notificationMessage = '';
-
-      if (ageRestrictedTracks.length > 0 && failedTracks.length > 0) {
-        notificationTitle = 'Some Tracks Skipped';
-        notificationMessage = `${ageRestrictedTracks.length} track${ageRestrictedTracks.length > 1 ? 's were' : ' was'} skipped due to age restrictions and ${failedTracks.length} track${failedTracks.length > 1 ? 's' : ''} failed due to other issues (private, removed, or unavailable).\n\nFor age-restricted content: Go to Settings → YouTube Cookies to upload a valid cookies.txt file.`;
-      } else if (ageRestrictedTracks.length > 0) {
-        notificationTitle = 'Age-Restricted Content Skipped';
-        notificationMessage = `${ageRestrictedTracks.length} track${ageRestrictedTracks.length > 1 ? 's were' : ' was'} skipped due to age restrictions.\n\nTo download age-restricted content: Go to Settings → YouTube Cookies and upload a valid cookies.txt file from your browser.`;
-      } else if (failedTracks.length > 0) {
-        notificationTitle = 'Some Tracks Failed';
-        notificationMessage = `${failedTracks.length} track${failedTracks.length > 1 ? 's' : ''} could not be downloaded. These may be private, removed, or age restricted videos. For age restriction go to settings and add cookies.txt`;
-      }
+  const playlistPath = path.join(playlistsPath, `${folder.playlistId}.json`);
+  if (!await fs.pathExists(playlistPath)) {
+    logger.warn('Playlist of watched folder not found, skipping scan', { folder: folder.path, playlistId: folder.playlistId });
+    return;
+  }
 
-      if (mainWindow && mainWindow.webContents) {
-        mainWindow.webContents.send('show-download-completion-notice', {
-          title: notificationTitle,
-          message: notificationMessage,
-          ageRestrictedCount: ageRestrictedTracks.length,
-          failedCount: failedTracks.length,
-          ageRestrictedTracks: ageRestrictedTracks.map(t => t.title),
-          failedTracks: failedTracks.map(t => t.title)
-        });
+  const { files, unsettled } = await folderWatcher.listFiles(folder.path);
+  // Look again once files that are still being written have settled
+  if (unsettled > 0) folderWatcher.schedule(folder.id, FolderWatcher.SETTLE_MS);
+
+  folder.files = folder.files || {};
+  const { localFiles } = await loadAppConfig();
+  const imported = []; // { filePath, stat, track }, recorded once the playlist is saved
+  let updated = 0;
+  let missing = 0;
+
+  for (const [filePath, stat] of files) {
+    const known = folder.files[filePath];
+    const track = known && trackLibrary.get(known.trackId);
+    const changed = !!known && (known.size !== stat.size || known.mtimeMs !== stat.mtimeMs);
+    try {
+      if (!known || (!track && changed)) {
+        // New file, or a new version of one whose track the user had removed
+        imported.push({ filePath, stat, track: await importLocalFile(filePath, { link: localFiles.linkInPlace }) });
+        continue;
+      }
+      if (!track) continue; // removed by the user and not changed since
+      if (changed) {
+        await refreshWatchedTrack(track, filePath);
+      } else if (known.missing) {
+        trackLibrary.update(track.id, { missing: undefined }); // put back unchanged
+      } else {
+        continue;
       }
+      folder.files[filePath] = { trackId: track.id, size: stat.size, mtimeMs: stat.mtimeMs };
+      updated++;
+    } catch (error) {
+      logger.error('Failed to import file from watched folder', error, { filePath });
     }
+  }
 
-    return { success: true, summary };
-  } catch (error) {
-    // Enhanced error logging with more details
-    const errorDetails = {
-      url,
-      playlistId,
-      errorName: error.name,
-      errorMessage: error.message,
-      errorStack: error.stack,
-      timestamp: new Date().toISOString(),
-      workerPoolActive: processWorkerPool ? true : false
-    };
+  for (const [filePath, known] of Object.entries(folder.files)) {
+    // Files still being written were left out of the listing but aren't gone
+    if (known.missing || files.has(filePath) || await fs.pathExists(filePath)) continue;
+    known.missing = true;
+    if (trackLibrary.get(known.trackId)) {
+      trackLibrary.update(known.trackId, { missing: true });
+      missing++;
+    }
+  }
 
-    logger.error('Download process failed with detailed error information', error, errorDetails);
+  // A restore replaced the library while we were copying; the next start scans again
+  if (isRestoringBackup) return;
 
-    // Check for various error types and provide user-friendly messages
-    const isAgeRestricted = error.message && (
-      error.message.includes('Sign in to confirm your age') ||
-      error.message.includes('age-restricted') ||
-      error.message.includes('inappropriate for some users')
-    );
-
-    const isCookieFormatError = error.message && (
-      error.message.includes('Netscape format') ||
-      error.message.includes('does not look like a Netscape format cookies file')
-    );
-
-    const isCookieError = error.message && (
-      error.message.includes('cookies.txt') ||
-      error.message.includes('--cookies')
-    );
-
-    let userMessage = error.message;
-
-    if (isCookieFormatError) {
-      userMessage = 'Invalid cookies.txt format. Please export cookies in Netscape format from your browser. Go to Settings → YouTube Cookies for instructions.';
-    } else if (isAgeRestricted || isCookieError) {
-      // Check if this is a single track or playlist (if trackInfos is available)
-      let isSingleTrack = false;
+  if (imported.length > 0) {
+    if (fileLock.acquire(playlistPath)) {
       try {
-        isSingleTrack = trackInfos && trackInfos.length === 1;
-      } catch (err) {
-        // trackInfos not available, assume single track
-        logger.debug('Could not determine if single track, assuming true for error message', { error: err ? err.message : 'Unknown' });
-        isSingleTrack = true;
-      }
-      if (isSingleTrack) {
-        userMessage = 'This video is age-restricted and requires valid YouTube cookies. Please upload a properly formatted cookies.txt file from Settings → YouTube Cookies.';
-      } else {
-        userMessage = 'Some videos in this playlist are age-restricted and require valid YouTube cookies. Please upload a properly formatted cookies.txt file from Settings → YouTube Cookies.';
+        const playlist = await loadPlaylistFile(playlistPath);
+        playlist.tracks.push(...imported.map(i => i.track));
+        await savePlaylistFile(playlistPath, playlist);
+        for (const { filePath, stat, track } of imported) {
+          folder.files[filePath] = { trackId: track.id, size: stat.size, mtimeMs: stat.mtimeMs };
+        }
+      } finally {
+        fileLock.release(playlistPath);
       }
     } else {
-      // For any other YouTube download failure, assume it's likely age-restricted
-      let isSingleTrack = false;
-      try {
-        isSingleTrack = trackInfos && trackInfos.length === 1;
-      } catch (err) {
-        // trackInfos not available, assume single track
-        logger.debug('Could not determine if single track, assuming true for error message', { error: err ? err.message : 'Unknown' });
-        isSingleTrack = true;
-      }
-      if (isSingleTrack) {
-        userMessage = 'Failed to download this video. This is likely due to age restrictions. Please upload a valid cookies.txt file from Settings → YouTube Cookies to access age-restricted content.';
-      } else {
-        userMessage = 'Failed to download some videos. This is likely due to age restrictions. Please upload a valid cookies.txt file from Settings → YouTube Cookies to access all content.';
+      // Drop the copies; the files count as new again on the next scan
+      logger.warn('Failed to acquire lock for watched folder import, retrying later', { playlistId: folder.playlistId });
+      for (const { track } of imported.filter(i => !i.track.linked)) {
+        await fs.remove(toAbsolutePath(track.filePath)).catch(() => {});
       }
+      imported.length = 0;
+      folderWatcher.schedule(folder.id);
     }
+  }
 
-    // Send detailed error to renderer for better user feedback
-    if (mainWindow && mainWindow.webContents) {
-      mainWindow.webContents.send('download-error', {
-        error: userMessage,
-        details: errorDetails,
-        isAgeRestricted
+  folder.lastScannedAt = new Date().toISOString();
+  await saveWatchedFolders();
+
+  const added = imported.length;
+  if (updated > 0) scheduleLoudnessAnalysis();
+  if (added > 0 || updated > 0 || missing > 0) {
+    logger.info('Watched folder synced', { folder: folder.path, added, updated, missing });
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('watched-folder-updated', {
+        folderId: folder.id,
+        playlistId: folder.playlistId,
+        added,
+        updated,
+        missing
       });
     }
+  }
+}
 
-    return { success: false, message: userMessage };
-  } finally {
-    isDownloading = false;
-    if (mainWindow && mainWindow.webContents) {
-      mainWindow.webContents.send('download-finished');
-    }
-    logger.info('Download process finished.', { url });
+async function startFolderWatchers() {
+  await loadWatchedFolders();
+  if (!folderWatcher) {
+    folderWatcher = new FolderWatcher(AUDIO_EXTENSIONS);
+    folderWatcher.on('change', folderId => queueFolderScan(folderId));
   }
-});
+  for (const folder of watchedFolders) {
+    folderWatcher.watch(folder);
+    // Catch up on changes made while the app was closed
+    queueFolderScan(folder.id);
+  }
+}
 
-// IPC handlers for file operations
-withErrorHandling('add-local-file', async (event, { filePath, playlistId }) => {
+function stopFolderWatchers() {
+  if (folderWatcher) folderWatcher.close();
+  pendingFolderScans.clear();
+}
 
-  const startTime = Date.now();
-  try {
-    // Validate input parameters
-    if (!filePath) {
-      throw new Error('filePath is required but was undefined or empty');
-    }
-    if (!playlistId) {
-      throw new Error('playlistId is required but was undefined or empty');
-    }
+async function forgetWatchedFolders(predicate) {
+  const removed = watchedFolders.filter(predicate);
+  if (removed.length === 0) return;
+  removed.forEach(folder => folderWatcher && folderWatcher.unwatch(folder.id));
+  watchedFolders = watchedFolders.filter(folder => !removed.includes(folder));
+  await saveWatchedFolders();
+}
 
-    logger.userAction('add-local-file-requested', { filePath, playlistId });
-    const fileName = path.basename(filePath);
-    const fileExt = path.extname(fileName).slice(1);
-    const newPath = path.join(songsPath, fileName);
+withErrorHandling('get-watched-folders', async () => {
+  return { folders: getWatchedFolderSummaries() };
+});
 
-    // Determine final destination path & copy if needed
-    let destinationPath = newPath;
-    if (path.resolve(filePath) === path.resolve(newPath)) {
-      // File is already in the songs directory; no copy required
-      logger.info('Source and destination are the same, skipping copy', { filePath });
-    } else {
-      // If a file with the same name already exists, append a timestamp to avoid overwrite
-      if (await fs.pathExists(newPath)) {
-        const basename = path.basename(fileName, path.extname(fileName));
-        const uniqueName = `${basename}_${Date.now()}${path.extname(fileName)}`;
-        destinationPath = path.join(songsPath, uniqueName);
-      }
-      await fs.copy(filePath, destinationPath);
-    }
+withErrorHandling('add-watched-folder', async (event, { playlistId } = {}) => {
+  logger.userAction('add-watched-folder', { playlistId });
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select Folder to Watch',
+    properties: ['openDirectory']
+  });
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return { success: false, message: 'Selection cancelled' };
+  }
 
-    // Get metadata
-    let duration = 0;
-    let thumbnail = null;
-    try {
-      const { parseFile } = await import('music-metadata');
-      const metadata = await parseFile(destinationPath);
-      duration = metadata.format.duration;
-
-      // Extract album art
-      if (metadata.common.picture && metadata.common.picture.length > 0) {
-        const pic = metadata.common.picture[0];
-        thumbnail = `data:${pic.format};base64,${pic.data.toString('base64')}`;
-        logger.info('Album art extracted from local file', { filePath });
-      }
-    } catch (error) {
-      logger.error('Error reading metadata for local file', error, { filePath });
-      // Try extracting duration using our audio extraction method
-      try {
-        duration = await extractAudioDuration(destinationPath);
-        if (duration && duration > 0) {
-          logger.info(`Extracted duration using audio extraction: ${duration}s`, { filePath });
-        }
-      } catch (extractError) {
-        logger.error('Error extracting duration from audio file', extractError, { filePath });
-      }
-    }
+  const folderPath = result.filePaths[0];
+  if (folderPath === appDataPath || isInsideDirectory(appDataPath, folderPath) || isInsideDirectory(folderPath, appDataPath)) {
+    throw new Error('The app data folder cannot be watched');
+  }
+  const overlapping = watchedFolders.find(f => f.path === folderPath || isInsideDirectory(f.path, folderPath) || isInsideDirectory(folderPath, f.path));
+  if (overlapping) {
+    throw new Error(`This folder overlaps a watched folder: ${overlapping.path}`);
+  }
 
-    const track = {
+  let createdPlaylist = null;
+  if (playlistId) {
+    if (!await fs.pathExists(path.join(playlistsPath, `${playlistId}.json`))) throw new Error('Playlist not found');
+  } else {
+    createdPlaylist = {
       id: uuidv4(),
-      name: path.basename(fileName, path.extname(fileName)),
-      filePath: toRelativePath(destinationPath), // Store relative path in playlist file
-      fileType: fileExt,
-      duration, // Save duration
-      thumbnail, // Save album art if found
-      volume: 0.5,
-      addedAt: new Date().toISOString()
+      name: path.basename(folderPath) || folderPath,
+      tracks: [],
+      createdAt: new Date().toISOString()
     };
+    await savePlaylistFile(path.join(playlistsPath, `${createdPlaylist.id}.json`), createdPlaylist);
+  }
 
-    logger.info('Local file added successfully', {
-      trackId: track.id,
-      fileName,
-      fileType: fileExt
-    });
+  const folder = {
+    id: uuidv4(),
+    path: folderPath,
+    playlistId: playlistId || createdPlaylist.id,
+    addedAt: new Date().toISOString(),
+    files: {}
+  };
+  watchedFolders.push(folder);
+  await saveWatchedFolders();
+  folderWatcher.watch(folder);
+  queueFolderScan(folder.id);
 
-    // Return track with absolute path for renderer (consistent with get-playlists)
-    return { ...track, filePath: toAbsolutePath(track.filePath) };
-  } catch (error) {
-    logger.error('Error adding local file', error, { filePath, playlistId });
-    throw error;
-  }
+  logger.info('Watched folder added', { folder: folderPath, playlistId: folder.playlistId });
+  return { success: true, folders: getWatchedFolderSummaries(), createdPlaylistId: createdPlaylist && createdPlaylist.id };
+});
+
+withErrorHandling('remove-watched-folder', async (event, folderId) => {
+  logger.userAction('remove-watched-folder', { folderId });
+  await forgetWatchedFolders(folder => folder.id === folderId);
+  return { success: true, folders: getWatchedFolderSummaries() };
+});
+
+withErrorHandling('rescan-watched-folder', async (event, folderId) => {
+  logger.userAction('rescan-watched-folder', { folderId });
+  await queueFolderScan(folderId);
+  return { success: true, folders: getWatchedFolderSummaries() };
 });
 
 // IPC handler for adding local files from drag and drop (with file content)
@@ -1651,24 +3825,8 @@ withErrorHandling('add-local-file-content', async (event, { fileName, fileConten
     await fs.writeFile(destinationPath, Buffer.from(fileContent));
     logger.info('File content written successfully', { destinationPath });
 
-    // Get metadata details including duration and album art
-    let duration = 0;
-    let thumbnail = null;
-    try {
-      const { parseFile } = await import('music-metadata');
-      const metadata = await parseFile(destinationPath);
-      duration = metadata.format.duration;
-
-      // Extract album art
-      if (metadata.common.picture && metadata.common.picture.length > 0) {
-        const pic = metadata.common.picture[0];
-        thumbnail = `data:${pic.format};base64,${pic.data.toString('base64')}`;
-        logger.info('Album art extracted from local file content', { fileName });
-      }
-    } catch (error) {
-      logger.error('Error reading metadata for local file content', error, { fileName });
-      duration = await extractAudioDuration(destinationPath);
-    }
+    // Same tag reading as files added from disk
+    const { duration, thumbnail, artist, album } = await readLocalFileMetadata(destinationPath);
 
     const track = {
       id: uuidv4(),
@@ -1677,6 +3835,8 @@ withErrorHandling('add-local-file-content', async (event, { fileName, fileConten
       fileType: fileExt,
       duration, // Save duration
       thumbnail, // Save album art if found
+      artist, // Tags used by the library search
+      album,
       volume: 0.5,
       addedAt: new Date().toISOString()
     };
@@ -1807,6 +3967,7 @@ withErrorHandling('change-data-path', async (event, currentPath) => {
   try {
     if (copyResponse.response === 0) {
       logger.info('Copying existing app data to new location', { from: appDataPath, to: newPath });
+      trackLibrary.flush();
       await fs.copy(appDataPath, newPath, { overwrite: true });
     }
 
@@ -1821,10 +3982,10 @@ withErrorHandling('change-data-path', async (event, currentPath) => {
     const globalSettingsPath = path.join(baseSettingsPath, 'settings-global.json');
     let globalSettings = {};
     if (await fs.pathExists(globalSettingsPath)) {
-      globalSettings = await fs.readJson(globalSettingsPath);
+      globalSettings = await safeJson.readJson(globalSettingsPath);
     }
     globalSettings.customDataPath = newPath;
-    await fs.writeJson(globalSettingsPath, globalSettings, { spaces: 2 });
+    await safeJson.writeJson(globalSettingsPath, globalSettings);
 
     logger.info('Global data path updated. Relaunching application.');
 
@@ -1850,9 +4011,9 @@ withErrorHandling('reset-data-path', async () => {
   const globalSettingsPath = path.join(baseSettingsPath, 'settings-global.json');
   try {
     if (await fs.pathExists(globalSettingsPath)) {
-      const globalSettings = await fs.readJson(globalSettingsPath);
+      const globalSettings = await safeJson.readJson(globalSettingsPath);
       delete globalSettings.customDataPath;
-      await fs.writeJson(globalSettingsPath, globalSettings, { spaces: 2 });
+      await safeJson.writeJson(globalSettingsPath, globalSettings);
       logger.info('Data path reset to default. Relaunching application.');
       app.relaunch();
       app.quit();
@@ -1889,7 +4050,7 @@ withErrorHandling('select-music-files', async () => {
     filters: [
       {
         name: 'Audio Files',
-        extensions: ['mp3', 'flac', 'ogg', 'm4a', 'wav']
+        extensions: AUDIO_EXTENSIONS
       },
       {
         name: 'All Files',
@@ -2050,8 +4211,10 @@ withErrorHandling('export-playlist', async (event, playlist) => {
 
     // Track names added to avoid duplicate file names in the zip
     const addedNames = new Set();
+    const fileNames = []; // zip entry of each track, for the manifest
 
     for (const track of playlist.tracks) {
+      fileNames.push(null);
       if (track.filePath) {
         const sourcePath = toAbsolutePath(track.filePath);
         if (fs.existsSync(sourcePath)) {
@@ -2066,11 +4229,183 @@ withErrorHandling('export-playlist', async (event, playlist) => {
           }
 
           addedNames.add(fileName);
+          fileNames[fileNames.length - 1] = fileName;
           archive.file(sourcePath, { name: fileName });
         }
       }
     }
 
+    // Manifest so importing the zip restores names, volumes, order and icon
+    const manifest = buildPlaylistManifest(playlist, app.getVersion());
+    manifest.tracks.forEach((entry, index) => {
+      entry.file = fileNames[index];
+      entry.thumbnail = playlist.tracks[index].thumbnail || null;
+    });
+    if (playlist.equalizer) manifest.equalizer = playlist.equalizer;
+    const iconPath = playlist.iconPath ? toAbsolutePath(playlist.iconPath) : null;
+    if (iconPath && fs.existsSync(iconPath)) {
+      manifest.icon = `icon${path.extname(iconPath)}`;
+      archive.file(iconPath, { name: manifest.icon });
+    }
+    archive.append(JSON.stringify(manifest, null, 2), { name: ZIP_MANIFEST_ENTRY });
+
+    archive.finalize();
+  });
+});
+
+const PLAYLIST_EXPORT_FORMATS = {
+  m3u8: { name: 'M3U8 Playlist', extension: '.m3u8' },
+  xspf: { name: 'XSPF Playlist', extension: '.xspf' },
+  manifest: { name: 'Playlist Manifest', extension: MANIFEST_EXTENSION }
+};
+
+/**
+ * Where a track's file is written in an exported playlist, relative to the playlist file.
+ * `export-all-songs` copies songs flat into one folder, so a track is found by file name either
+ * next to the playlist or in a folder beside it; otherwise the playlist expects it next to itself.
+ */
+async function getExportLocations(exportDir) {
+  const locations = new Map(); // file name -> relative path
+  const addFolder = async (dir, prefix) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      if (entry.isFile() && !locations.has(entry.name)) locations.set(entry.name, prefix + entry.name);
+    }
+  };
+  try {
+    await addFolder(exportDir, '');
+    for (const entry of await fs.readdir(exportDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) await addFolder(path.join(exportDir, entry.name), `${entry.name}/`);
+    }
+  } catch (error) {
+    logger.warn('Failed to scan playlist export folder', error, { exportDir });
+  }
+  return (track) => {
+    if (!track.filePath) return track.url || null;
+    const fileName = path.basename(track.filePath);
+    return locations.get(fileName) || fileName;
+  };
+}
+
+withErrorHandling('export-playlist-file', async (event, { playlistId, format }) => {
+  logger.userAction('export-playlist-file-requested', { playlistId, format });
+  const exportFormat = PLAYLIST_EXPORT_FORMATS[format];
+  if (!exportFormat) throw new Error(`Unknown export format: ${format}`);
+
+  const playlistPath = path.join(playlistsPath, `${playlistId}.json`);
+  if (!await fs.pathExists(playlistPath)) throw new Error('Playlist not found');
+  const playlist = await loadPlaylistFile(playlistPath);
+  if (playlist.tracks.length === 0) throw new Error('Playlist is empty');
+
+  const safeName = (playlist.name || 'playlist').replace(/[<>:"/\\|?*]+/g, '_');
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: `Export ${exportFormat.name}`,
+    defaultPath: `${safeName}${exportFormat.extension}`,
+    filters: [{ name: exportFormat.name, extensions: [exportFormat.extension.split('.').pop()] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { success: false, message: 'Export cancelled' };
+  }
+
+  let content;
+  if (format === 'manifest') {
+    content = JSON.stringify(buildPlaylistManifest(playlist, app.getVersion()), null, 2);
+  } else {
+    const getLocation = await getExportLocations(path.dirname(result.filePath));
+    content = format === 'm3u8' ? buildM3U8(playlist, getLocation) : buildXSPF(playlist, getLocation);
+  }
+  await fs.writeFile(result.filePath, content, 'utf8');
+
+  logger.info('Playlist exported', { playlistId, format, dest: result.filePath });
+  return { success: true, message: `Playlist exported to ${result.filePath}`, filePath: result.filePath };
+});
+
+// Log viewer handlers
+withErrorHandling('get-logs', async (event, { type = 'all', limit = 1000 } = {}) => {
+  return await logger.getLogs(type, limit);
+});
+
+withErrorHandling('clear-logs', async (event, type = 'all') => {
+  logger.userAction('clear-logs-requested', { type });
+  await logger.clearLogs(type);
+  return { success: true };
+});
+
+withErrorHandling('export-diagnostics', async () => {
+  logger.userAction('export-diagnostics-requested');
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Diagnostics',
+    defaultPath: `mmp-diagnostics-${stamp}.zip`,
+    filters: [{ name: 'ZIP Archive', extensions: ['zip'] }]
+  });
+
+  if (result.canceled || !result.filePath) {
+    return { success: false, message: 'Export cancelled' };
+  }
+
+  // Summarise the library without including any audio
+  const playlistSummary = [];
+  try {
+    const files = await fs.readdir(playlistsPath);
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const playlist = await loadPlaylistFile(path.join(playlistsPath, file));
+        const tracks = playlist.tracks;
+        const missing = tracks.filter(t => !t.filePath || !fs.existsSync(toAbsolutePath(t.filePath))).length;
+        playlistSummary.push({ id: playlist.id, name: playlist.name, tracks: tracks.length, missingFiles: missing });
+      } catch (err) {
+        playlistSummary.push({ file, error: err.message });
+      }
+    }
+  } catch (err) {
+    logger.warn('Failed to summarise playlists for diagnostics', err);
+  }
+
+  const systemInfo = {
+    generatedAt: new Date().toISOString(),
+    appVersion: app.getVersion(),
+    versions: process.versions,
+    platform: process.platform,
+    arch: process.arch,
+    osRelease: os.release(),
+    totalMemory: os.totalmem(),
+    freeMemory: os.freemem(),
+    dataPath: appDataPath,
+    ytDlp: { path: ytDlpHelper.getYtDlpPath(), ready: ytDlpHelper.isYtDlpReady() },
+    ffmpegPath: ffmpegHelper.getFFmpegPath(),
+    workerPoolReady: !!processWorkerPool,
+    playlists: playlistSummary
+  };
+
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(result.filePath);
+    const archive = archiver('zip', {
+      zlib: { level: 9 }
+    });
+
+    output.on('close', function () {
+      logger.info('Diagnostics exported successfully', { dest: result.filePath, bytes: archive.pointer() });
+      resolve({ success: true, message: 'Diagnostics exported', filePath: result.filePath });
+    });
+
+    archive.on('error', function (err) {
+      logger.error('Error creating diagnostics zip', err);
+      reject(err);
+    });
+
+    archive.pipe(output);
+
+    // Cookies are deliberately left out: they are account credentials
+    const logsDir = path.join(appDataPath, 'logs');
+    if (fs.existsSync(logsDir)) {
+      archive.directory(logsDir, 'logs');
+    }
+    if (fs.existsSync(appConfigPath)) {
+      archive.file(appConfigPath, { name: 'config/app.json' });
+    }
+    archive.append(JSON.stringify(systemInfo, null, 2), { name: 'system-info.json' });
+
     archive.finalize();
   });
 });
@@ -2080,6 +4415,9 @@ ipcMain.handle('log-frontend-event', async (event, logEntry) => {
   try {
     const { level = 'INFO', message = '', data } = logEntry || {};
 
+    const persistedLevel = level === 'USER_ACTION' ? 'user' : String(level).toLowerCase();
+    logger.persist(persistedLevel, message, data, 'frontend');
+
     // Keep renderer logs visible in the main-process console, but do NOT forward
     // them back to the renderer to avoid duplicate log entries.
     const prefix = `[RENDERER ${level}]`;
@@ -2157,6 +4495,16 @@ withErrorHandling('set-system-volume', async (volumeMultiplier) => {
 
 
 app.on('window-all-closed', async () => {
+  // Persist the download queue before the pool fails its in-flight tasks
+  isShuttingDown = true;
+  if (subscriptionTimer) clearInterval(subscriptionTimer);
+  if (backupTimer) clearInterval(backupTimer);
+  stopFolderWatchers();
+  clearTimeout(loudnessAnalysisTimer);
+  if (downloadQueue) downloadQueue.flush();
+  if (trackLibrary) trackLibrary.flush();
+  flushResumePositions();
+
   // Clean up worker pool and broadcast server
   await cleanupWorkerPool();
   await cleanupBroadcastServer();
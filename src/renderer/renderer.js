@@ -2,6 +2,8 @@ const { ipcRenderer, shell, webUtils } = require('electron');
 const path = require('path');
 const { generateSessionId } = require('../utils/idGenerator');
 const { lightenColor, getContrastColor, hexToRgb } = require('../utils/themeUtils');
+const { searchTracks } = require('../utils/searchUtils');
+const { EQ_BANDS, EQ_MAX_GAIN, USER_PRESET_PREFIX, normalizeGains, getPresetGains, listPresets } = require('../utils/eqUtils');
 
 // Frontend logging utility
 class FrontendLogger {
@@ -43,6 +45,14 @@ class FrontendLogger {
     };
     // (media event clock sync is set in setupAudioEventListeners())
 
+    appendLogViewerEntry({
+      timestamp: logEntry.timestamp,
+      level: level === 'USER_ACTION' ? 'user' : level.toLowerCase(),
+      source: 'frontend',
+      message,
+      data
+    });
+
     // Send to main process for UI display
     try {
       await ipcRenderer.invoke('log-frontend-event', logEntry);
@@ -92,6 +102,7 @@ ipcRenderer.on('main-log', (_, log) => {
     const prefix = `[MAIN ${level.toUpperCase()}]`;
     const args = data ? [prefix, message, data] : [prefix, message];
     (console[level] || console.log)(...args);
+    appendLogViewerEntry({ timestamp: log.timestamp, level, source: 'main', message, data });
   } catch (err) {
     console.error('[MAIN LOG] Failed to render log', err, log);
   }
@@ -103,11 +114,199 @@ ipcRenderer.on('worker-log', (_, log) => {
     const prefix = `[WORKER${workerId !== undefined ? ' ' + workerId : ''} ${level.toUpperCase()}]`;
     const args = data ? [prefix, message, data] : [prefix, message];
     (console[level] || console.log)(...args);
+    appendLogViewerEntry({ level, source: `worker ${workerId}`, message, data });
   } catch (err) {
     console.error('[WORKER LOG] Failed to render log', err, log);
   }
 });
 
+// ---------------------------------------------------------------------------
+// Log viewer
+// ---------------------------------------------------------------------------
+// Persisted entries are loaded from main when the modal opens; while it is open
+// the live main/worker/frontend streams are prepended so the view stays current.
+const LOG_VIEWER_MAX_ENTRIES = 2000;
+const LOG_VIEWER_RENDER_LIMIT = 500;
+let logViewerEntries = [];
+// Live lines are batched and added once per frame instead of re-rendering the list for each one
+let pendingLogViewerEntries = [];
+let logViewerFlushFrame = null;
+let logViewerMatchCount = 0;
+
+function isLogViewerOpen() {
+  return !!(elements.logsModal && !elements.logsModal.classList.contains('hidden'));
+}
+
+function appendLogViewerEntry(entry) {
+  if (!isLogViewerOpen()) return;
+  pendingLogViewerEntries.push({
+    timestamp: entry.timestamp || new Date().toISOString(),
+    level: entry.level || 'info',
+    source: entry.source || 'main',
+    message: entry.message || '',
+    data: entry.data === undefined ? null : entry.data
+  });
+  if (logViewerFlushFrame === null) {
+    logViewerFlushFrame = requestAnimationFrame(flushLogViewerEntries);
+  }
+}
+
+function getLogViewerFilters() {
+  return {
+    level: elements.logLevelFilter ? elements.logLevelFilter.value : 'all',
+    source: elements.logSourceFilter ? elements.logSourceFilter.value : 'all',
+    text: elements.logTextFilter ? elements.logTextFilter.value.trim().toLowerCase() : ''
+  };
+}
+
+// Prepend the lines that arrived since the last frame, keeping the rendered rows capped
+function flushLogViewerEntries() {
+  logViewerFlushFrame = null;
+  const incoming = pendingLogViewerEntries.reverse(); // newest first, like the list
+  pendingLogViewerEntries = [];
+  if (incoming.length === 0 || !isLogViewerOpen()) return;
+
+  const { level, source, text } = getLogViewerFilters();
+  const matches = entry => logEntryMatches(entry, level, source, text);
+
+  logViewerEntries = incoming.concat(logViewerEntries);
+  if (logViewerEntries.length > LOG_VIEWER_MAX_ENTRIES) {
+    const dropped = logViewerEntries.splice(LOG_VIEWER_MAX_ENTRIES);
+    logViewerMatchCount -= dropped.filter(matches).length;
+  }
+  updateLogSourceOptions();
+
+  const container = elements.logEntries;
+  if (!container) return;
+  const newRows = incoming.filter(matches);
+  if (newRows.length === 0) return;
+  logViewerMatchCount += newRows.length;
+
+  const fragment = document.createDocumentFragment();
+  newRows.slice(0, LOG_VIEWER_RENDER_LIMIT).forEach(entry => fragment.appendChild(createLogEntryRow(entry)));
+  container.prepend(fragment);
+  while (container.childElementCount > LOG_VIEWER_RENDER_LIMIT) {
+    container.lastElementChild.remove();
+  }
+  updateLogCount(container.childElementCount);
+}
+
+async function openLogViewer() {
+  showModal('logs-modal');
+  await refreshLogViewer();
+}
+
+async function refreshLogViewer() {
+  pendingLogViewerEntries = [];
+  try {
+    logViewerEntries = await ipcRenderer.invoke('get-logs', { type: 'all', limit: LOG_VIEWER_MAX_ENTRIES });
+  } catch (error) {
+    logViewerEntries = [];
+    showErrorNotification('Logs', `Failed to load logs: ${error.message}`);
+  }
+  renderLogViewer();
+}
+
+// Keep the source filter in sync with the worker ids seen in the log
+function updateLogSourceOptions() {
+  const select = elements.logSourceFilter;
+  if (!select) return;
+  const existing = new Set(Array.from(select.options).map(o => o.value));
+  const workerSources = Array.from(new Set(
+    logViewerEntries.map(e => e.source).filter(src => typeof src === 'string' && src.startsWith('worker '))
+  )).sort((a, b) => (parseInt(a.slice(7), 10) || 0) - (parseInt(b.slice(7), 10) || 0));
+
+  if (!existing.has('worker')) {
+    select.appendChild(new Option('All workers', 'worker'));
+  }
+  workerSources.forEach(src => {
+    if (!existing.has(src)) {
+      select.appendChild(new Option(src.charAt(0).toUpperCase() + src.slice(1), src));
+    }
+  });
+}
+
+function logEntryMatches(entry, level, source, text) {
+  if (level !== 'all' && entry.level !== level) return false;
+  if (source === 'worker') {
+    if (!(typeof entry.source === 'string' && entry.source.startsWith('worker'))) return false;
+  } else if (source !== 'all' && entry.source !== source) {
+    return false;
+  }
+  if (text) {
+    const haystack = `${entry.message} ${entry.data ? JSON.stringify(entry.data) : ''}`.toLowerCase();
+    if (!haystack.includes(text)) return false;
+  }
+  return true;
+}
+
+function createLogEntryRow(entry) {
+  const row = createDOMElement('div', `log-entry log-${entry.level}`);
+  const time = new Date(entry.timestamp);
+  row.appendChild(createDOMElement('span', 'log-time', {}, isNaN(time) ? '' : time.toLocaleTimeString()));
+  row.appendChild(createDOMElement('span', 'log-level', {}, String(entry.level).toUpperCase()));
+  row.appendChild(createDOMElement('span', 'log-source', {}, entry.source));
+  row.appendChild(createDOMElement('span', 'log-message', {}, entry.message));
+
+  if (entry.data !== null && entry.data !== undefined) {
+    const dataEl = createDOMElement('pre', 'log-data hidden', {},
+      typeof entry.data === 'string' ? entry.data : JSON.stringify(entry.data, null, 2));
+    row.appendChild(dataEl);
+    row.classList.add('has-data');
+    row.addEventListener('click', () => dataEl.classList.toggle('hidden'));
+  }
+  return row;
+}
+
+function updateLogCount(visibleCount) {
+  if (!elements.logCount) return;
+  elements.logCount.textContent = logViewerMatchCount > visibleCount
+    ? `Showing ${visibleCount} of ${logViewerMatchCount}`
+    : `${logViewerMatchCount} entries`;
+}
+
+function renderLogViewer() {
+  const container = elements.logEntries;
+  if (!container) return;
+
+  updateLogSourceOptions();
+
+  const { level, source, text } = getLogViewerFilters();
+  const matching = logViewerEntries.filter(entry => logEntryMatches(entry, level, source, text));
+  const visible = matching.slice(0, LOG_VIEWER_RENDER_LIMIT);
+  logViewerMatchCount = matching.length;
+
+  container.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+  visible.forEach(entry => fragment.appendChild(createLogEntryRow(entry)));
+  container.appendChild(fragment);
+
+  updateLogCount(visible.length);
+}
+
+async function clearLogViewer() {
+  const confirmed = await confirmDialog('Delete all stored log files?', 'Clear Logs');
+  if (!confirmed) return;
+  try {
+    await ipcRenderer.invoke('clear-logs', 'all');
+    await refreshLogViewer();
+  } catch (error) {
+    showErrorNotification('Logs', `Failed to clear logs: ${error.message}`);
+  }
+}
+
+async function exportDiagnostics() {
+  try {
+    frontendLogger.userAction('export-diagnostics-clicked');
+    const result = await ipcRenderer.invoke('export-diagnostics');
+    if (result && result.success) {
+      showSuccessNotification('Export Diagnostics', `Diagnostics saved to ${result.filePath}`);
+    }
+  } catch (error) {
+    showErrorNotification('Export Diagnostics', error.message);
+  }
+}
+
 // Handle comprehensive download completion notices
 ipcRenderer.on('show-download-completion-notice', (_, data) => {
   try {
@@ -178,21 +377,53 @@ const SHUFFLE_ICON = './assets/Shuffle.png';
 const NO_SHUFFLE_ICON = './assets/NoShuffle.png';
 
 // ----- Audio setup -----
-// Create a single hidden <audio> element that will be reused for every track
-const audioElement = document.createElement('audio');
-audioElement.id = 'audio-player';
-audioElement.style.display = 'none';
-document.body.appendChild(audioElement);
+// Two hidden <audio> decks: one plays while the other preloads the next track, so songs can
+// follow each other without a gap or crossfade. `audioElement` always points at the playing deck.
+function createAudioDeck(id) {
+  const element = document.createElement('audio');
+  element.id = id;
+  element.style.display = 'none';
+  element.preload = 'auto';
+  document.body.appendChild(element);
+  return { element, source: null, gain: null, trackId: null, fadeTimer: null };
+}
+
+const audioDecks = [createAudioDeck('audio-player'), createAudioDeck('audio-player-next')];
+let activeDeck = audioDecks[0];
+let audioElement = activeDeck.element;
 
 // Web Audio pipeline for true amplification beyond 1.0
+// deck source -> deck gain (track volume and fades) -> gainNode (mix) -> equalizer -> compressor
 const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-const srcNode = audioCtx.createMediaElementSource(audioElement);
 const gainNode = audioCtx.createGain();
 // Optional: tame clipping
 const compressorNode = audioCtx.createDynamicsCompressor();
 
-srcNode.connect(gainNode);
-gainNode.connect(compressorNode);
+// One filter per equalizer band; shelves at both ends, peaking filters in between
+const eqFilters = EQ_BANDS.map((frequency, i) => {
+  const filter = audioCtx.createBiquadFilter();
+  if (i === 0) filter.type = 'lowshelf';
+  else if (i === EQ_BANDS.length - 1) filter.type = 'highshelf';
+  else filter.type = 'peaking';
+  filter.frequency.value = frequency;
+  filter.Q.value = 1.41; // about one octave wide
+  filter.gain.value = 0;
+  return filter;
+});
+// Last node before the analyser/compressor chain
+const eqOutputNode = eqFilters[eqFilters.length - 1];
+
+for (const deck of audioDecks) {
+  deck.source = audioCtx.createMediaElementSource(deck.element);
+  deck.gain = audioCtx.createGain();
+  deck.source.connect(deck.gain);
+  deck.gain.connect(gainNode);
+}
+gainNode.connect(eqFilters[0]);
+for (let i = 1; i < eqFilters.length; i++) {
+  eqFilters[i - 1].connect(eqFilters[i]);
+}
+eqOutputNode.connect(compressorNode);
 compressorNode.connect(audioCtx.destination);
 
 gainNode.gain.value = 1;
@@ -201,7 +432,9 @@ const SILENT_GAIN_FLOOR = 1e-5; // ~-100 dB, effectively inaudible
 function setPipelineGain(v) {
   try {
     const gv = (typeof v === 'number' && v > 0) ? v : SILENT_GAIN_FLOOR;
-    gainNode.gain.value = gv;
+    // Cancels a running fade-in; a volume change should apply right away
+    activeDeck.gain.gain.cancelScheduledValues(audioCtx.currentTime);
+    activeDeck.gain.gain.value = gv;
   } catch (e) { frontendLogger.warn('setPipelineGain failed', e); }
 }
 
@@ -221,6 +454,8 @@ let appConfig = {};
 let lastVolume = 1;
 let globalVolume = 1; // New global volume multiplier
 let isRestoringState = false; // Flag to prevent saving during restoration
+let playQueue = []; // Up Next entries { id, trackId, playlistId }
+let isPlayingFromQueue = false; // currentTrack came from playQueue rather than playingPlaylist
 
 // Audio context & visualizer globals
 let audioContext = null;
@@ -243,10 +478,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Playlists
     playlistsContainer: document.getElementById('playlists-container'),
     createPlaylistBtn: document.getElementById('create-playlist-btn'),
+    importPlaylistBtn: document.getElementById('import-playlist-btn'),
+    importReportList: document.getElementById('import-report-list'),
+    importFolderBtn: document.getElementById('import-folder-btn'),
+    folderImportGroupBy: document.getElementById('folder-import-group-by'),
+    folderImportStatus: document.getElementById('folder-import-status'),
+    startFolderImportBtn: document.getElementById('start-folder-import-btn'),
+    cancelFolderImportBtn: document.getElementById('cancel-folder-import-btn'),
     currentPlaylistName: document.getElementById('current-playlist-name'),
     renamePlaylistBtn: document.getElementById('rename-playlist-btn'),
     deletePlaylistBtn: document.getElementById('delete-playlist-btn'),
 
+    // Library search
+    librarySearchInput: document.getElementById('library-search-input'),
+    playlistView: document.getElementById('playlist-view'),
+    searchView: document.getElementById('search-view'),
+    searchResultsTitle: document.getElementById('search-results-title'),
+    searchResults: document.getElementById('search-results'),
+
     // Tracks
     tracksContainer: document.getElementById('tracks-container'),
     tracksList: document.getElementById('tracks-list'),
@@ -263,6 +512,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     repeatBtn: document.getElementById('repeat-btn'),
     shuffleBtn: document.getElementById('shuffle-btn'),
     progressSlider: document.getElementById('progress-slider'),
+    waveformCanvas: document.getElementById('waveform-canvas'),
     volumeSlider: document.getElementById('volume-slider'),
     volumeBtn: document.getElementById('volume-btn'),
     currentTime: document.getElementById('current-time'),
@@ -279,8 +529,80 @@ document.addEventListener('DOMContentLoaded', async () => {
     themeModal: document.getElementById('theme-modal'),
     settingsModal: document.getElementById('settings-modal'),
     backupModal: document.getElementById('backup-modal'),
+    watchFoldersModal: document.getElementById('watch-folders-modal'),
+    integrityModal: document.getElementById('integrity-modal'),
     playlistNameModal: document.getElementById('playlist-name-modal'),
     trackRenameModal: document.getElementById('track-rename-modal'),
+    logsModal: document.getElementById('logs-modal'),
+
+    // Log viewer
+    logsBtn: document.getElementById('logs-btn'),
+    logLevelFilter: document.getElementById('log-level-filter'),
+    logSourceFilter: document.getElementById('log-source-filter'),
+    logTextFilter: document.getElementById('log-text-filter'),
+    logEntries: document.getElementById('log-entries'),
+    logCount: document.getElementById('log-count'),
+    refreshLogsBtn: document.getElementById('refresh-logs-btn'),
+    clearLogsBtn: document.getElementById('clear-logs-btn'),
+    exportDiagnosticsBtn: document.getElementById('export-diagnostics-btn'),
+
+    // Download queue
+    downloadsBtn: document.getElementById('downloads-btn'),
+    downloadsBadge: document.getElementById('downloads-badge'),
+    downloadsModal: document.getElementById('downloads-modal'),
+    downloadJobs: document.getElementById('download-jobs'),
+    cancelAllDownloadsBtn: document.getElementById('cancel-all-downloads-btn'),
+    clearFinishedDownloadsBtn: document.getElementById('clear-finished-downloads-btn'),
+
+    // Backup and restore
+    backupBtn: document.getElementById('backup-btn'),
+    backupDirectory: document.getElementById('backup-directory'),
+    chooseBackupDirBtn: document.getElementById('choose-backup-dir-btn'),
+    backupStatus: document.getElementById('backup-status'),
+    backupList: document.getElementById('backup-list'),
+    createBackupBtn: document.getElementById('create-backup-btn'),
+    restoreBackupFileBtn: document.getElementById('restore-backup-file-btn'),
+
+    // Watched folders
+    watchFoldersBtn: document.getElementById('watch-folders-btn'),
+    watchFolderPlaylist: document.getElementById('watch-folder-playlist'),
+    addWatchFolderBtn: document.getElementById('add-watch-folder-btn'),
+    watchFoldersList: document.getElementById('watch-folders-list'),
+
+    // Playlist subscriptions
+    playlistSourcesModal: document.getElementById('playlist-sources-modal'),
+    playlistSourcesTitle: document.getElementById('playlist-sources-title'),
+    playlistSourcesList: document.getElementById('playlist-sources-list'),
+    syncPlaylistBtn: document.getElementById('sync-playlist-btn'),
+
+    // Up Next queue
+    queueBtn: document.getElementById('queue-btn'),
+    speedBtn: document.getElementById('speed-btn'),
+    bookmarkBtn: document.getElementById('bookmark-btn'),
+    bookmarkMenu: document.getElementById('bookmark-menu'),
+    bookmarkModal: document.getElementById('bookmark-modal'),
+    bookmarkNameInput: document.getElementById('bookmark-name-input'),
+    saveBookmarkBtn: document.getElementById('save-bookmark-btn'),
+    cancelBookmarkBtn: document.getElementById('cancel-bookmark-btn'),
+    speedMenu: document.getElementById('speed-menu'),
+    speedRates: document.getElementById('speed-rates'),
+    speedScope: document.getElementById('speed-scope'),
+    speedPreservePitch: document.getElementById('speed-preserve-pitch'),
+    queueBadge: document.getElementById('queue-badge'),
+    queuePanel: document.getElementById('queue-panel'),
+    queueList: document.getElementById('queue-list'),
+    clearQueueBtn: document.getElementById('clear-queue-btn'),
+    trackContextMenu: document.getElementById('track-context-menu'),
+    playlistExportMenu: document.getElementById('playlist-export-menu'),
+
+    // Equalizer
+    eqEnabled: document.getElementById('eq-enabled'),
+    eqScope: document.getElementById('eq-scope'),
+    eqPreset: document.getElementById('eq-preset'),
+    eqBands: document.getElementById('eq-bands'),
+    eqPresetName: document.getElementById('eq-preset-name'),
+    saveEqPresetBtn: document.getElementById('save-eq-preset-btn'),
+    deleteEqPresetBtn: document.getElementById('delete-eq-preset-btn'),
 
     // Theme controls
     themeBtn: document.getElementById('theme-btn'),
@@ -303,6 +625,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     currentDataPath: document.getElementById('current-data-path'),
     changeDataPathBtn: document.getElementById('change-data-path-btn'),
     resetDataPathBtn: document.getElementById('reset-data-path-btn'),
+    relinkFilesBtn: document.getElementById('relink-files-btn'),
+    linkedFilesStatus: document.getElementById('linked-files-status'),
+    checkLibraryBtn: document.getElementById('check-library-btn'),
+    integrityStatus: document.getElementById('integrity-status'),
+    integrityList: document.getElementById('integrity-list'),
+    runIntegrityCheckBtn: document.getElementById('run-integrity-check-btn'),
 
     // Broadcast controls
     broadcastEnabled: document.getElementById('broadcast-enabled'),
@@ -320,8 +648,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     savePlaylistNameBtn: document.getElementById('save-playlist-name-btn'),
     cancelPlaylistNameBtn: document.getElementById('cancel-playlist-name-btn'),
 
-    // Track rename modal
+    // Track details modal
     trackNameInput: document.getElementById('track-name-input'),
+    trackStartInput: document.getElementById('track-start-input'),
+    trackEndInput: document.getElementById('track-end-input'),
+    trackStartNowBtn: document.getElementById('track-start-now-btn'),
+    trackEndNowBtn: document.getElementById('track-end-now-btn'),
+    trackTrimLength: document.getElementById('track-trim-length'),
+    trackSilenceSuggestion: document.getElementById('track-silence-suggestion'),
+    trackSilenceInfo: document.getElementById('track-silence-info'),
+    trackUseSuggestionBtn: document.getElementById('track-use-suggestion-btn'),
+    trackBookmarksList: document.getElementById('track-bookmarks-list'),
     saveTrackNameBtn: document.getElementById('save-track-name-btn'),
     cancelTrackNameBtn: document.getElementById('cancel-track-name-btn'),
   };
@@ -330,6 +667,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     const startTime = Date.now();
 
     appConfig = await ipcRenderer.invoke('get-app-config');
+    applyEqualizer();
+    await loadResumePositions();
     await initializeApp();
     setupEventListeners();
     setupAudioContext();
@@ -383,22 +722,6 @@ async function handleDownloadComplete({ playlistId, downloadedTracks }) {
   }
 }
 
-function setupDownloadListeners() {
-  ipcRenderer.on('download-started', () => {
-    elements.loadingOverlay.style.display = 'flex';
-    frontendLogger.info('Download started, showing loading overlay.');
-  });
-
-  ipcRenderer.on('download-finished', () => {
-    elements.loadingOverlay.style.display = 'none';
-    frontendLogger.info('Download finished, hiding loading overlay.');
-  });
-
-  // Note: download-complete handler is defined later in the IPC event listeners section
-
-  // Note: download-error handler is defined later with proper error notification
-}
-
 async function initializeApp() {
   try {
     frontendLogger.info('Starting app initialization');
@@ -415,7 +738,8 @@ async function initializeApp() {
     // Load playlists
     await loadPlaylists();
 
-
+    // Restore the download queue left from the previous session
+    await loadDownloadQueue();
 
     // Set initial state for buttons
     updateDownloadButtonState();
@@ -628,10 +952,10 @@ function toggleVisualizer(enabled) {
     }
     if (analyser) {
       // Disconnect analyser but maintain audio pipeline
-      gainNode.disconnect();
+      eqOutputNode.disconnect();
       analyser.disconnect();
-      // Reconnect gainNode directly to compressorNode to bypass analyser
-      gainNode.connect(compressorNode);
+      // Reconnect the equalizer directly to compressorNode to bypass analyser
+      eqOutputNode.connect(compressorNode);
       analyser = null;
     }
     const visualizer = elements.visualizer;
@@ -646,6 +970,7 @@ function toggleVisualizer(enabled) {
 let clockRunning = false;
 let clockAnchorTrackTime = 0; // seconds at last anchor
 let clockAnchorCtxTime = 0;   // audioCtx.currentTime at last anchor
+let clockRate = 1;            // track seconds per second of audioCtx time (the playback speed)
 
 function beginClock() {
   try {
@@ -682,7 +1007,7 @@ function getAccurateCurrentTime() {
   try {
     if (clockRunning && audioCtx && audioCtx.state !== 'suspended') {
       const delta = (audioCtx.currentTime || 0) - (clockAnchorCtxTime || 0);
-      let t = (clockAnchorTrackTime || 0) + (isFinite(delta) ? delta : 0);
+      let t = (clockAnchorTrackTime || 0) + (isFinite(delta) ? delta * clockRate : 0);
       const dur = audioElement ? (audioElement.duration || 0) : 0;
       if (dur > 0) t = Math.min(t, dur);
       if (t < 0) t = 0;
@@ -717,14 +1042,8 @@ function startUITicker() {
     worker.onmessage = () => {
       try {
         if (!audioElement) return;
-        const t = getAccurateCurrentTime();
-        if (elements.currentTime) elements.currentTime.textContent = formatTime(t);
-        if (elements.progressSlider) {
-          if (!elements.progressSlider.max || Number(elements.progressSlider.max) === 0) {
-            elements.progressSlider.max = audioElement.duration || 0;
-          }
-          elements.progressSlider.value = t;
-        }
+        updateProgressDisplay();
+        checkDeckTransition();
 
         // Unthrottled broadcast state update (~4 Hz)
         const now = Date.now();
@@ -747,14 +1066,8 @@ function startUITicker() {
     setInterval(() => {
       try {
         if (!audioElement) return;
-        const t = getAccurateCurrentTime();
-        if (elements.currentTime) elements.currentTime.textContent = formatTime(t);
-        if (elements.progressSlider) {
-          if (!elements.progressSlider.max || Number(elements.progressSlider.max) === 0) {
-            elements.progressSlider.max = audioElement.duration || 0;
-          }
-          elements.progressSlider.value = t;
-        }
+        updateProgressDisplay();
+        checkDeckTransition();
 
         const now = Date.now();
         if (now - lastBroadcastSync > 250) {
@@ -783,6 +1096,7 @@ async function loadPlaylists() {
   try {
     frontendLogger.info('Loading playlists');
     playlists = await ipcRenderer.invoke('get-playlists');
+    shareTrackObjects(playlists);
     renderPlaylists();
     frontendLogger.info('Playlists loaded successfully', { count: playlists.length });
   } catch (error) {
@@ -791,6 +1105,25 @@ async function loadPlaylists() {
   }
 }
 
+// A library track can be in several playlists; share one object so edits show up in all of them
+function shareTrackObjects(playlistList) {
+  const tracksById = new Map();
+  for (const playlist of playlistList) {
+    playlist.tracks = (playlist.tracks || []).map((track) => {
+      if (!tracksById.has(track.id)) tracksById.set(track.id, track);
+      return tracksById.get(track.id);
+    });
+  }
+}
+
+function findLoadedTrack(trackId) {
+  for (const playlist of playlists) {
+    const track = playlist.tracks.find(t => t.id === trackId);
+    if (track) return track;
+  }
+  return null;
+}
+
 function renderPlaylists() {
   frontendLogger.info(`Rendering ${playlists.length} playlists.`);
   elements.playlistsContainer.innerHTML = '';
@@ -809,6 +1142,10 @@ function renderPlaylists() {
       showErrorNotification('Render Error', `Failed to display playlist: ${playlist?.name || 'unknown'}`);
     }
   });
+
+  // Keep open search results in step with playlist changes
+  if (isLibrarySearchActive()) refreshLibrarySearch();
+  renderPlayQueue();
 }
 
 // Generic helper to create DOM elements
@@ -873,22 +1210,23 @@ function createPlaylistElement(playlist) {
   };
 
   const downloadButton = createDOMElement('button', 'btn btn-small btn-icon btn-primary');
-  downloadButton.title = 'Download Playlist';
+  downloadButton.title = 'Export Playlist';
   downloadButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-download icon-white"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>`;
-  downloadButton.onclick = async (e) => {
-    e.stopPropagation();
-    try {
-      const result = await ipcRenderer.invoke('export-playlist', playlist);
-      if (result && result.success) showErrorNotification('Download Complete', result.message);
-      else if (result && !result.success && result.message !== 'Download cancelled') showErrorNotification('Download Failed', result.message);
-    } catch (err) {
-      frontendLogger.error('Playlist download error', err);
-      showErrorNotification('Download Error', 'Failed to compress and download playlist.');
-    }
-  };
+  downloadButton.onclick = (e) => showPlaylistExportMenu(e, playlist);
 
   actionsRow.append(downloadButton, renameButton, deleteButton);
 
+  if (playlist.sources && playlist.sources.length > 0) {
+    const syncButton = createDOMElement('button', 'btn btn-small btn-icon btn-primary');
+    syncButton.title = 'Subscriptions';
+    syncButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-refresh-cw icon-white"><polyline points="23 4 23 10 17 10"></polyline><polyline points="1 20 1 14 7 14"></polyline><path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path></svg>`;
+    syncButton.onclick = (e) => {
+      e.stopPropagation();
+      openPlaylistSources(playlist.id);
+    };
+    actionsRow.appendChild(syncButton);
+  }
+
   playlistEl.append(topSection, actionsRow);
 
   playlistEl.addEventListener('click', (e) => {
@@ -946,6 +1284,9 @@ async function selectPlaylist(playlist) {
   try {
     frontendLogger.userAction('playlist-selected', { playlistId: playlist.id, playlistName: playlist.name, trackCount: playlist.tracks.length });
 
+    // Opening a playlist leaves the search results
+    if (isLibrarySearchActive()) clearLibrarySearch();
+
     currentPlaylist = playlist;
 
     // Update UI
@@ -1013,8 +1354,27 @@ function createTrackElement(track, index) {
   const trackDetails = createDOMElement('div', 'track-details');
   const fileType = track.filePath ? path.extname(track.filePath).slice(1) : (track.fileType || 'mp3');
   const typeSpan = createDOMElement('span', 'track-type', {}, fileType ? fileType.toUpperCase() : 'N/A');
-  const durationSpan = createDOMElement('span', 'track-duration', {}, track.duration ? formatTime(track.duration) : '');
+  const trimmedDuration = getTrimmedDuration(track);
+  const durationSpan = createDOMElement('span', 'track-duration', {}, trimmedDuration ? formatTime(trimmedDuration) : '');
+  if (track.duration && trimmedDuration && trimmedDuration < track.duration) {
+    durationSpan.classList.add('trimmed');
+    durationSpan.title = `Trimmed; the full file is ${formatTime(track.duration)}`;
+  }
   trackDetails.append(typeSpan, durationSpan);
+  if (track.removedUpstream) {
+    trackEl.classList.add('removed-upstream');
+    const flag = createDOMElement('span', 'track-flag', {}, 'Removed upstream');
+    flag.title = 'This video is no longer in the source playlist';
+    trackDetails.appendChild(flag);
+  }
+  if (track.missing) {
+    trackEl.classList.add('missing-file');
+    const flag = createDOMElement('span', 'track-flag', {}, 'Missing');
+    flag.title = track.linked
+      ? 'The file was deleted from its watched folder'
+      : 'The file was deleted from its watched folder; the copy in your library still plays';
+    trackDetails.appendChild(flag);
+  }
   trackInfoEl.append(trackName, trackDetails);
 
   const actions = createDOMElement('div', 'track-actions');
@@ -1066,8 +1426,25 @@ function createTrackElement(track, index) {
     }
   });
 
-  actions.append(volumeControl, downloadButton, renameButton, removeButton);
+  const queueButton = createDOMElement('button', 'btn btn-small btn-icon btn-primary track-queue-btn');
+  queueButton.title = 'Add to Queue (right-click for Play Next)';
+  queueButton.innerHTML = QUEUE_ADD_ICON;
+  queueButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    addToQueue(track, currentPlaylist);
+  });
+
+  actions.append(volumeControl, queueButton);
+  if (track.bookmarks && track.bookmarks.length > 0) {
+    const bookmarksButton = createDOMElement('button', 'btn btn-small btn-icon btn-primary track-bookmarks-btn');
+    bookmarksButton.title = `Bookmarks (${track.bookmarks.length})`;
+    bookmarksButton.innerHTML = BOOKMARK_ICON;
+    bookmarksButton.addEventListener('click', (e) => showBookmarkMenu(e, track, index));
+    actions.appendChild(bookmarksButton);
+  }
+  actions.append(downloadButton, renameButton, removeButton);
   trackEl.append(dragHandle, trackInfoEl, actions);
+  trackEl.addEventListener('contextmenu', (e) => showTrackContextMenu(e, track, currentPlaylist));
 
   volumeSlider.addEventListener('input', async (e) => {
     track.volume = e.target.value / 100;
@@ -1077,7 +1454,7 @@ function createTrackElement(track, index) {
 
     savePlaylist(true);
     if (currentTrack && currentTrack.id === track.id) {
-      const finalVolume = track.volume * globalVolume;
+      const finalVolume = getTrackOutputGain(track);
       setPipelineGain(finalVolume);
     }
     // Notify broadcast server so remote stream applies new track volume
@@ -1139,6 +1516,7 @@ function resetPlayerUI() {
   elements.currentTime.textContent = '0:00';
   elements.totalTime.textContent = '0:00';
   if (elements.progressSlider) elements.progressSlider.value = 0;
+  loadWaveform(null);
 
   // Clear playlist header data attributes for phone mode display
   const playlistHeader = document.querySelector('.playlist-header');
@@ -1160,10 +1538,13 @@ let playbackAttempts = 0;
 let lastFailedAttemptTime = 0;
 const RETRY_COOLDOWN_MS = 5 * 60 * 1000; // 5 minutes cooldown before retrying failed tracks
 
-async function playTrack(track, index, sourcePlaylist = currentPlaylist) {
-  frontendLogger.info('playTrack', { trackId: track ? track.id : null, index });
+async function playTrack(track, index, sourcePlaylist = currentPlaylist, { fromQueue = false, startPosition = null } = {}) {
+  frontendLogger.info('playTrack', { trackId: track ? track.id : null, index, fromQueue, startPosition });
   const startTime = Date.now();
   playingPlaylist = sourcePlaylist;
+  isPlayingFromQueue = fromQueue;
+  // The playing playlist may bring its own equalizer settings
+  applyEqualizer();
 
   // Prevent infinite loops - if same track fails repeatedly, skip it temporarily
   if (lastPlayedTrack === track.id) {
@@ -1190,8 +1571,20 @@ async function playTrack(track, index, sourcePlaylist = currentPlaylist) {
     playbackAttempts = 0;
   }
 
-  // Stop any currently playing track before starting a new one.
-  audioElement.pause();
+  // A track preloaded on the idle deck starts without reloading; anything else replaces the
+  // playing track on the current deck.
+  const fadeSeconds = pendingTransitionFade || 0;
+  pendingTransitionFade = null;
+  // Keep the place in the long track being left
+  if (currentTrack && currentTrack.id !== track.id && audioElement.src) rememberPosition(currentTrack, getAccurateCurrentTime());
+  const preloadedDeck = getPreloadedDeck(track);
+  if (preloadedDeck) {
+    switchToDeck(preloadedDeck, fadeSeconds);
+  } else {
+    resetDeck(getIdleDeck());
+    // Stop any currently playing track before starting a new one.
+    audioElement.pause();
+  }
 
   try {
 
@@ -1199,22 +1592,22 @@ async function playTrack(track, index, sourcePlaylist = currentPlaylist) {
       await audioCtx.resume();
     }
 
-    let absolutePath = track.filePath;
-    if (!require('path').isAbsolute(track.filePath)) {
-      absolutePath = require('path').join(require('path').dirname(require('path').dirname(__dirname)), 'data', track.filePath);
+    if (preloadedDeck) {
+      updateDurationDisplay();
+      if (startPosition !== null) audioElement.currentTime = startPosition;
+    } else {
+      audioElement.src = getTrackFileUrl(track);
+      audioElement.load();
+      // Taken as the start position once the file has loaded
+      audioElement.currentTime = startPosition !== null ? startPosition : getTrackStartPosition(track);
     }
-
-    const normalizedPath = absolutePath.replace(/\\/g, '/');
-    const fileUrl = `file:///${normalizedPath}`;
-
-    audioElement.src = fileUrl;
-    audioElement.load();
     audioElement.volume = 1;
     audioElement.muted = false; // keep unmuted; use gainNode for silence
-    audioElement.playbackRate = 1.0; // enforce normal speed
 
     currentTrack = track;
+    applyPlaybackRate(getPlaybackRateFor(track, sourcePlaylist));
     currentTrackIndex = index;
+    if (!currentWaveform || currentWaveform.trackId !== track.id) loadWaveform(track);
 
     if (elements.backgroundAlbumCover) {
       const coverSrc = track.thumbnail || (playingPlaylist ? playingPlaylist.iconPath : '') || '';
@@ -1234,8 +1627,12 @@ async function playTrack(track, index, sourcePlaylist = currentPlaylist) {
       frontendLogger.warn('Failed to broadcast track state before playback start', err);
     }
 
-    const finalVolume = track.volume * globalVolume;
-    setPipelineGain(finalVolume);
+    const finalVolume = getTrackOutputGain(track);
+    if (preloadedDeck && fadeSeconds > 0) {
+      fadeInActiveDeck(finalVolume, fadeSeconds);
+    } else {
+      setPipelineGain(finalVolume);
+    }
 
     currentAudio = audioElement;
 
@@ -1274,153 +1671,811 @@ async function playTrack(track, index, sourcePlaylist = currentPlaylist) {
   }
 }
 
-function updateRepeatIcon() {
-  if (!elements.repeatBtn) return;
-  const iconSrc = isRepeat ? REPEAT_ICON : NO_REPEAT_ICON;
-  elements.repeatBtn.innerHTML = `<img src="${iconSrc}" alt="${isRepeat ? 'Repeat enabled' : 'Repeat disabled'}" width="32" height="32">`;
-  elements.repeatBtn.classList.toggle('active', isRepeat);
+// ----- Trim points -----
+// A track's startAt/endAt cue points (seconds into the file) limit what plays of it; the file is never edited
+
+/**
+ * The part of a track that plays
+ * @param {object} track
+ * @param {number} [fileLength] length of the file; defaults to the track's stored duration
+ * @returns {{start: number, end: number}} end is the file length when there is no cue-out (0 if that is unknown)
+ */
+function getTrackTrim(track, fileLength = track ? track.duration : 0) {
+  const length = Number(fileLength) > 0 ? Number(fileLength) : 0;
+  let start = Math.max(0, Number(track && track.startAt) || 0);
+  let end = Number(track && track.endAt) > 0 ? Number(track.endAt) : length;
+  if (length > 0) {
+    start = Math.min(start, length);
+    end = Math.min(end, length);
+  }
+  // Cue points that no longer fit the file (e.g. after a relink) are ignored
+  if (end > 0 && end <= start) return { start: 0, end: length };
+  return { start, end };
+}
 
-  // Apply current theme color to the newly created SVG image using stencil approach
-  const img = elements.repeatBtn.querySelector('img');
-  if (img) {
-    const currentIconColor = getComputedStyle(document.documentElement).getPropertyValue('--theme-icon-color').trim() || '#ffffff';
-    applySVGStencilColor(img, currentIconColor);
+// Length shown for a track: its trimmed length
+function getTrimmedDuration(track) {
+  const { start, end } = getTrackTrim(track);
+  return end > start ? end - start : 0;
+}
+
+// Trim window of the playing track, measured against the loaded file
+function getPlayingTrim() {
+  const fileLength = audioElement && isFinite(audioElement.duration) ? audioElement.duration : undefined;
+  return getTrackTrim(currentTrack, fileLength);
+}
+
+// Times and the seek bar count from the cue-in, so a trimmed track shows its trimmed length
+function updateProgressDisplay() {
+  const { start, end } = getPlayingTrim();
+  const t = Math.max(0, getAccurateCurrentTime() - start);
+  if (elements.currentTime) elements.currentTime.textContent = formatTime(t);
+  if (elements.progressSlider) {
+    elements.progressSlider.max = Math.max(0, end - start);
+    elements.progressSlider.value = t;
   }
+  drawWaveform();
 }
 
-function updateShuffleIcon() {
-  if (!elements.shuffleBtn) return;
-  const iconSrc = isShuffle ? SHUFFLE_ICON : NO_SHUFFLE_ICON;
-  elements.shuffleBtn.innerHTML = `<img src="${iconSrc}" alt="${isShuffle ? 'Shuffle enabled' : 'Shuffle disabled'}" width="32" height="32">`;
-  elements.shuffleBtn.classList.toggle('active', isShuffle);
+// "1:02:03", "2:03" or "123.5" to seconds; null when empty, NaN when it can't be read
+function parseTimeInput(text) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value)) return NaN;
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
 
-  // Apply current theme color to the newly created image using stencil approach
-  const img = elements.shuffleBtn.querySelector('img');
-  if (img) {
-    const currentIconColor = getComputedStyle(document.documentElement).getPropertyValue('--theme-icon-color').trim() || '#ffffff';
-    applySVGStencilColor(img, currentIconColor);
+// ----- Waveform seek bar -----
+// The waveform is drawn behind the progress slider, which turns transparent but keeps handling seeks
+let currentWaveform = null; // { trackId, peaks }
+let waveformRequestId = 0;
+
+async function loadWaveform(track) {
+  const requestId = ++waveformRequestId;
+  setWaveform(null);
+  if (!track) return;
+  try {
+    const { peaks } = await ipcRenderer.invoke('get-track-waveform', track.id);
+    // Another track may have started while the peaks were extracted
+    if (requestId !== waveformRequestId || !peaks || peaks.length === 0) return;
+    setWaveform({ trackId: track.id, peaks });
+  } catch (error) {
+    frontendLogger.warn('Failed to load waveform', error);
   }
 }
 
-let availableIndices = [];
-let playedIndices = [];
+function setWaveform(waveform) {
+  currentWaveform = waveform;
+  if (!elements.waveformCanvas) return;
+  elements.waveformCanvas.parentElement.classList.toggle('has-waveform', !!waveform);
+  drawWaveform();
+}
 
-function generateShuffledIndices() {
-  if (!currentPlaylist || currentPlaylist.tracks.length === 0) {
-    availableIndices = [];
-    playedIndices = [];
-    return;
+function drawWaveform() {
+  const canvas = elements.waveformCanvas;
+  if (!canvas || !currentWaveform) return;
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.round(canvas.clientWidth * ratio);
+  const height = Math.round(canvas.clientHeight * ratio);
+  if (width === 0 || height === 0) return;
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
   }
 
-  // Reset both arrays
-  availableIndices = Array.from({ length: currentPlaylist.tracks.length }, (_, i) => i);
-  playedIndices = [];
+  const styles = getComputedStyle(document.documentElement);
+  const playedColor = styles.getPropertyValue('--primary-color').trim() || '#10b981';
+  const remainingColor = styles.getPropertyValue('--border-color').trim() || '#4b5563';
+  const duration = Number(elements.progressSlider.max) || 0;
+  const progress = duration > 0 ? Number(elements.progressSlider.value) / duration : 0;
+
+  // Peaks cover the whole file; draw only the trimmed part the slider spans
+  const fileLength = audioElement && isFinite(audioElement.duration) ? audioElement.duration : 0;
+  let { peaks } = currentWaveform;
+  if (fileLength > 0) {
+    const trim = getPlayingTrim();
+    const from = Math.floor(trim.start / fileLength * peaks.length);
+    const to = Math.ceil(trim.end / fileLength * peaks.length);
+    if (from > 0 || to < peaks.length) peaks = peaks.slice(from, Math.max(from + 1, to));
+  }
+  // Scale to the loudest peak so quietly mastered tracks still fill the bar
+  const loudest = Math.max(...peaks) || 1;
+  const barWidth = 2 * ratio;
+  const step = barWidth + ratio;
+  const bars = Math.floor(width / step);
 
-  // Fisher-Yates shuffle the available indices
-  for (let i = availableIndices.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [availableIndices[i], availableIndices[j]] = [availableIndices[j], availableIndices[i]];
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+  for (let i = 0; i < bars; i++) {
+    const start = Math.floor(i * peaks.length / bars);
+    const end = Math.max(start + 1, Math.floor((i + 1) * peaks.length / bars));
+    let peak = 0;
+    for (let j = start; j < end; j++) {
+      if (peaks[j] > peak) peak = peaks[j];
+    }
+    const barHeight = Math.max(ratio, (peak / loudest) * height);
+    ctx.fillStyle = (i + 0.5) / bars <= progress ? playedColor : remainingColor;
+    ctx.fillRect(i * step, (height - barHeight) / 2, barWidth, barHeight);
   }
+}
 
-  // Log the newly generated shuffle pool
-  frontendLogger.info('Generated new shuffle pool', { availableIndices: [...availableIndices] });
+// ----- Gapless playback and crossfade -----
+const PRELOAD_AHEAD_SECONDS = 20; // start loading the next track this long before the current one ends
+const MAX_CROSSFADE_SECONDS = 12;
+let pendingTransitionFade = null; // crossfade length for the automatic advance playTrack is about to run
+
+function getTransitionSettings() {
+  const playback = appConfig.playback || {};
+  return {
+    gapless: playback.gapless !== false,
+    crossfadeSeconds: Math.max(0, Math.min(MAX_CROSSFADE_SECONDS, Number(playback.crossfadeSeconds) || 0))
+  };
 }
 
-function toggleShuffle() {
-  isShuffle = !isShuffle;
-  updateShuffleIcon();
+function getTrackFileUrl(track) {
+  let absolutePath = track.filePath;
+  if (!path.isAbsolute(track.filePath)) {
+    absolutePath = path.join(path.dirname(path.dirname(__dirname)), 'data', track.filePath);
+  }
+  return `file:///${absolutePath.replace(/\\/g, '/')}`;
+}
+
+function updateDurationDisplay() {
+  const { start, end } = getPlayingTrim();
+  if (elements.totalTime) elements.totalTime.textContent = formatTime(end - start);
+  if (elements.progressSlider) elements.progressSlider.max = end - start;
+}
+
+function getIdleDeck() {
+  return audioDecks.find(deck => deck !== activeDeck);
+}
 
+function resetDeck(deck) {
+  clearTimeout(deck.fadeTimer);
+  deck.fadeTimer = null;
+  deck.trackId = null;
+  deck.element.pause();
+  if (deck.element.getAttribute('src')) {
+    deck.element.removeAttribute('src');
+    deck.element.load();
+  }
+}
+
+// Cut a crossfade short, e.g. when the user pauses halfway through it
+function stopFadingDeck() {
+  const idle = getIdleDeck();
+  if (idle.fadeTimer) resetDeck(idle);
+}
+
+// The idle deck, if it has already loaded this track and is not busy fading out
+function getPreloadedDeck(track) {
+  const idle = getIdleDeck();
+  return idle.trackId === track.id && !idle.fadeTimer ? idle : null;
+}
+
+// Work out what playNext will play without consuming the queue or the shuffle pool
+function peekNextTrack() {
+  for (const entry of playQueue) {
+    const resolved = resolveQueueEntry(entry);
+    if (resolved) return resolved.track;
+  }
+  if (!playingPlaylist || playingPlaylist.tracks.length === 0) return null;
   if (isShuffle) {
-    // Generate new shuffle order when enabling shuffle
-    generateShuffledIndices();
-    frontendLogger.info('Shuffle enabled', { playlistLength: currentPlaylist?.tracks.length });
+    return availableIndices.length > 0 ? playingPlaylist.tracks[availableIndices[0]] : null;
+  }
+  return playingPlaylist.tracks[(currentTrackIndex + 1) % playingPlaylist.tracks.length];
+}
+
+function preloadNextTrack() {
+  const idle = getIdleDeck();
+  if (idle.fadeTimer) return;
+  const next = peekNextTrack();
+  if (!next || !next.filePath || (currentTrack && next.id === currentTrack.id) || idle.trackId === next.id) return;
+
+  idle.trackId = next.id;
+  idle.element.src = getTrackFileUrl(next);
+  idle.element.load();
+  idle.element.currentTime = getTrackStartPosition(next);
+  frontendLogger.info('Preloaded next track', { trackId: next.id });
+}
+
+// Make the preloaded deck the playing one; the previous deck fades out over fadeSeconds
+function switchToDeck(deck, fadeSeconds) {
+  const outgoing = activeDeck;
+  activeDeck = deck;
+  audioElement = deck.element;
+  deck.trackId = null;
+
+  if (fadeSeconds > 0 && !outgoing.element.paused) {
+    const gain = outgoing.gain.gain;
+    const now = audioCtx.currentTime;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(SILENT_GAIN_FLOOR, now + fadeSeconds);
+    outgoing.fadeTimer = setTimeout(() => resetDeck(outgoing), fadeSeconds * 1000);
   } else {
-    // Clear shuffle data when disabling
-    availableIndices = [];
-    playedIndices = [];
-    frontendLogger.info('Shuffle disabled');
+    resetDeck(outgoing);
   }
+}
 
-  // Save shuffle state to config
-  if (appConfig.playbackState) {
-    appConfig.playbackState.isShuffle = isShuffle;
-    ipcRenderer.invoke('save-app-config', appConfig);
+function fadeInActiveDeck(targetGain, fadeSeconds) {
+  const gain = activeDeck.gain.gain;
+  const now = audioCtx.currentTime;
+  gain.cancelScheduledValues(now);
+  gain.setValueAtTime(SILENT_GAIN_FLOOR, now);
+  gain.linearRampToValueAtTime(Math.max(targetGain, SILENT_GAIN_FLOOR), now + fadeSeconds);
+}
+
+// Called from the UI ticker: preload the next track near the end of the current one and
+// start the crossfade once it is due. Gapless advances still happen on 'ended'.
+function checkDeckTransition() {
+  if (!isPlaying || !currentTrack || isRepeat || audioElement.paused) return;
+  const { gapless, crossfadeSeconds } = getTransitionSettings();
+  if (!gapless && crossfadeSeconds === 0) return;
+
+  if (!isFinite(audioElement.duration) || audioElement.duration <= 0) return;
+  // Transitions happen at the cue-out of a trimmed track
+  const { start, end } = getPlayingTrim();
+  // In real seconds: at 2× a track ends in half its length
+  const duration = (end - start) / currentPlaybackRate;
+  const remaining = (end - audioElement.currentTime) / currentPlaybackRate;
+  const fadeSeconds = Math.min(crossfadeSeconds, duration / 2);
+
+  if (remaining <= PRELOAD_AHEAD_SECONDS + fadeSeconds) preloadNextTrack();
+
+  // Only crossfade into a track that is ready; otherwise let the track end normally
+  const next = peekNextTrack();
+  if (fadeSeconds > 0 && remaining <= fadeSeconds && next && getPreloadedDeck(next)) {
+    frontendLogger.info('Starting crossfade', { from: currentTrack.id, to: next.id, seconds: remaining });
+    pendingTransitionFade = remaining;
+    playNext();
   }
 }
 
-function setupAudioEventListeners() {
-  let lastSaveTime = 0;
-  const SAVE_INTERVAL = 5000; // Save every 5 seconds
+// ----- Playback speed -----
+// A track's own `playbackRate` wins over its playlist's; both are left out at the default of 1×.
+// Positions stay in track time, so the clock advances `clockRate` track seconds per real second.
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 3;
+let currentPlaybackRate = 1;
+
+function clampPlaybackRate(rate) {
+  const value = Number(rate);
+  if (!(value > 0)) return 1;
+  return Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, value));
+}
 
-  audioElement.onloadedmetadata = () => {
-    if (elements.totalTime) elements.totalTime.textContent = formatTime(audioElement.duration);
-    if (elements.progressSlider) elements.progressSlider.max = audioElement.duration;
-    // Inform broadcast listeners about new duration/metadata
-    try { updateBroadcastState(); } catch (err) {
-      frontendLogger.warn('Failed to update broadcast state on loaded metadata', err);
-    }
-  };
-  audioElement.ontimeupdate = () => {
-    // Throttled save of playback position
-    const now = Date.now();
-    if (now - lastSaveTime > SAVE_INTERVAL) {
-      lastSaveTime = now;
-      savePlaybackState();
-    }
-  };
+function getPlaybackRateFor(track, playlist) {
+  if (track && track.playbackRate) return clampPlaybackRate(track.playbackRate);
+  if (playlist && playlist.playbackRate) return clampPlaybackRate(playlist.playbackRate);
+  return 1;
+}
 
-  audioElement.onended = () => {
-    frontendLogger.info('audioElement ended', { isRepeat, currentTrackIndex, playlistLength: currentPlaylist ? currentPlaylist.tracks.length : 0 });
-    if (isRepeat) {
-      // Restart current track seamlessly
-      audioElement.currentTime = 0;
-      audioElement.play();
-      isPlaying = true;
-      updatePlayerUI();
-    } else {
-      playNext();
-    }
-  };
+function formatPlaybackRate(rate) {
+  return `${Number(rate.toFixed(2))}×`;
+}
 
-  // Notify broadcast on any seek (mouse, keyboard, programmatic)
-  audioElement.onseeked = () => {
-    try { seekClock(audioElement ? (audioElement.currentTime || 0) : 0); } catch (err) {
-      frontendLogger.warn('Failed to seek clock on media seeked event', err);
-    }
-    try { updateBroadcastState({ action: 'seek' }); } catch (err) {
-      frontendLogger.warn('Failed to update broadcast state on media seeked event', err);
+// Set the playing deck's speed; the other deck keeps its own while it fades out
+function applyPlaybackRate(rate) {
+  // Count the time played so far at the old rate before switching
+  seekClock(getAccurateCurrentTime());
+  currentPlaybackRate = clampPlaybackRate(rate);
+  clockRate = currentPlaybackRate;
+  if (audioElement) {
+    audioElement.preservesPitch = appConfig.playback?.preservePitch ?? true;
+    // load() resets playbackRate to the default rate
+    audioElement.defaultPlaybackRate = currentPlaybackRate;
+    audioElement.playbackRate = currentPlaybackRate;
+  }
+  if (elements.speedBtn) {
+    elements.speedBtn.textContent = formatPlaybackRate(currentPlaybackRate);
+    elements.speedBtn.classList.toggle('active', currentPlaybackRate !== 1);
+  }
+  if (elements.speedMenu) {
+    elements.speedMenu.querySelectorAll('.speed-rate').forEach(button => {
+      button.classList.toggle('active', Number(button.dataset.rate) === currentPlaybackRate);
+    });
+  }
+}
+
+/**
+ * Change the speed and remember it for the playing track or its playlist
+ * @param {number} rate
+ * @param {'track'|'playlist'} scope
+ */
+async function setPlaybackRate(rate, scope = 'track') {
+  rate = clampPlaybackRate(rate);
+  // The playlist list may hold a newer copy than the one playback started from
+  const playlist = playingPlaylist ? (playlists.find(p => p.id === playingPlaylist.id) || playingPlaylist) : null;
+  const copies = playlist && playingPlaylist !== playlist ? [playlist, playingPlaylist] : [playlist];
+  const track = currentTrack && playlist ? playlist.tracks.find(t => t.id === currentTrack.id) : null;
+
+  for (const copy of copies.filter(Boolean)) {
+    const copyTrack = currentTrack ? copy.tracks.find(t => t.id === currentTrack.id) : null;
+    if (scope === 'playlist') {
+      if (rate === 1) delete copy.playbackRate; else copy.playbackRate = rate;
+      // The track's own speed would override the playlist's
+      if (copyTrack) delete copyTrack.playbackRate;
+    } else if (copyTrack) {
+      if (rate === getPlaybackRateFor(null, copy)) delete copyTrack.playbackRate; else copyTrack.playbackRate = rate;
     }
-  };
+  }
+  if (currentTrack && track && currentTrack !== track) {
+    if (track.playbackRate) currentTrack.playbackRate = track.playbackRate; else delete currentTrack.playbackRate;
+  }
+
+  applyPlaybackRate(rate);
+  frontendLogger.info('Playback speed changed', { rate, scope, trackId: currentTrack ? currentTrack.id : null });
+  // Listeners' streams restart at the new speed
+  try { updateBroadcastState({ action: 'seek' }); } catch (err) { frontendLogger.warn('Broadcast speed change failed', err); }
 
-  // Sync clock with core media events and keep rate normalized
+  if (!playlist || !currentTrack) return;
   try {
-    audioElement.onplay = () => { try { beginClock(); } catch (err) { frontendLogger.warn('Clock sync: onplay failed', err); } };
-    audioElement.onpause = () => { try { pauseClock(); } catch (err) { frontendLogger.warn('Clock sync: onpause failed', err); } };
-    audioElement.onseeking = () => { try { seekClock(audioElement ? (audioElement.currentTime || 0) : 0); } catch (err) { frontendLogger.warn('Clock sync: onseeking failed', err); } };
-    audioElement.onratechange = () => { try { audioElement.playbackRate = 1.0; } catch (err) { frontendLogger.warn('Clock sync: onratechange failed', err); } };
-  } catch (err) {
-    frontendLogger.warn('Failed to bind clock sync event listeners', err);
+    await ipcRenderer.invoke('update-playlist', playlist);
+  } catch (error) {
+    frontendLogger.error('Failed to save playback speed', error);
+    showErrorNotification('Playback Speed', 'Failed to remember the playback speed.');
   }
+}
 
-  audioElement.onerror = () => {
-    // Ignore benign errors triggered when src is intentionally cleared (e.g., MEDIA_ELEMENT_ERROR: Empty src attribute)
-    const mediaErr = audioElement.error;
-    // Suppress callbacks triggered when src is cleared or no media error information is available
-    if (!audioElement.src || !currentTrack || !mediaErr || Object.keys(mediaErr).length === 0 || (mediaErr.message && mediaErr.message.includes('Empty src attribute'))) {
+function buildSpeedMenu() {
+  if (!elements.speedRates) return;
+  elements.speedRates.innerHTML = '';
+  for (const rate of PLAYBACK_RATES) {
+    const button = createDOMElement('button', 'context-menu-item speed-rate', { rate: String(rate) }, formatPlaybackRate(rate));
+    elements.speedRates.appendChild(button);
+  }
+}
+
+function toggleSpeedMenu(e) {
+  e.stopPropagation();
+  const menu = elements.speedMenu;
+  if (!menu.classList.contains('hidden')) {
+    hideSpeedMenu();
+    return;
+  }
+  elements.speedPreservePitch.checked = appConfig.playback?.preservePitch ?? true;
+  // Default to where the current speed came from
+  elements.speedScope.value = currentTrack && currentTrack.playbackRate ? 'track' : (playingPlaylist && playingPlaylist.playbackRate ? 'playlist' : 'track');
+  menu.classList.remove('hidden');
+  // Open above the button, kept inside the window
+  const rect = e.currentTarget.getBoundingClientRect();
+  menu.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 4))}px`;
+  menu.style.top = `${Math.max(4, rect.top - menu.offsetHeight - 4)}px`;
+}
+
+function hideSpeedMenu() {
+  if (elements.speedMenu) elements.speedMenu.classList.add('hidden');
+}
+
+async function onSpeedMenuClick(e) {
+  const button = e.target.closest('.speed-rate');
+  if (!button) return;
+  await setPlaybackRate(Number(button.dataset.rate), elements.speedScope.value);
+  hideSpeedMenu();
+}
+
+async function onPreservePitchChange(e) {
+  if (!appConfig.playback) appConfig.playback = {};
+  appConfig.playback.preservePitch = e.target.checked;
+  applyPlaybackRate(currentPlaybackRate);
+  try {
+    await ipcRenderer.invoke('save-app-config', appConfig);
+  } catch (error) {
+    frontendLogger.error('Failed to save pitch setting', error);
+  }
+}
+
+// ----- Resume positions and bookmarks -----
+// Tracks at least appConfig.playback.resumeMinMinutes long pick up where they were left
+// (positions are kept by main.js). Bookmarks are named times stored on the track.
+const RESUME_MIN_PROGRESS = 10; // seconds; closer to the start isn't worth resuming
+const RESUME_END_MARGIN = 30; // seconds; closer to the end counts as finished
+let resumePositions = {}; // track id -> seconds
+
+async function loadResumePositions() {
+  try {
+    resumePositions = await ipcRenderer.invoke('get-resume-positions') || {};
+  } catch (error) {
+    frontendLogger.error('Failed to load resume positions', error);
+  }
+}
+
+function remembersPosition(track) {
+  const minutes = Number(appConfig.playback?.resumeMinMinutes ?? 20);
+  return !!track && minutes > 0 && getTrimmedDuration(track) >= minutes * 60;
+}
+
+// Where a track starts playing: its resume position if it has one, else its cue-in
+function getTrackStartPosition(track) {
+  const { start, end } = getTrackTrim(track);
+  const saved = resumePositions[track.id];
+  if (remembersPosition(track) && saved > start + RESUME_MIN_PROGRESS && (!end || saved < end - RESUME_END_MARGIN)) {
+    return saved;
+  }
+  return start;
+}
+
+/**
+ * Store the position in a long track; near its start or end the saved position is forgotten
+ * @param {object} [track]
+ * @param {number} [position] seconds into the file; Infinity when the track finished
+ * @param {boolean} [canForget] false where the position may already be reset, e.g. on pause after Stop
+ */
+function rememberPosition(track = currentTrack, position = audioElement ? audioElement.currentTime : 0, canForget = true) {
+  if (!remembersPosition(track)) return;
+  const { start, end } = getTrackTrim(track);
+  const finished = !isFinite(position) || (end > 0 && position >= end - RESUME_END_MARGIN);
+  const value = finished || position <= start + RESUME_MIN_PROGRESS ? null : Math.round(position);
+  if ((resumePositions[track.id] ?? null) === value || (value === null && !canForget)) return;
+
+  if (value === null) delete resumePositions[track.id];
+  else resumePositions[track.id] = value;
+  ipcRenderer.invoke('save-resume-position', { trackId: track.id, position: value }).catch(error => {
+    frontendLogger.warn('Failed to save resume position', error);
+  });
+}
+
+// Apply a change to every loaded copy of a track
+function updateLoadedTrackCopies(trackId, changes) {
+  const copies = new Set();
+  for (const playlist of [...playlists, playingPlaylist, currentPlaylist]) {
+    const track = playlist && playlist.tracks.find(t => t.id === trackId);
+    if (track) copies.add(track);
+  }
+  if (currentTrack && currentTrack.id === trackId) copies.add(currentTrack);
+  for (const track of copies) {
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined) delete track[key];
+      else track[key] = value;
+    }
+  }
+}
+
+async function saveTrackBookmarks(track, bookmarks) {
+  try {
+    const result = await ipcRenderer.invoke('update-track-bookmarks', { trackId: track.id, bookmarks });
+    if (!result.success) {
+      showErrorNotification('Bookmarks', result.message || 'Failed to save bookmarks.');
+      return false;
+    }
+    updateLoadedTrackCopies(track.id, { bookmarks: result.bookmarks.length > 0 ? result.bookmarks : undefined });
+    renderTracks();
+    return true;
+  } catch (error) {
+    frontendLogger.error('Failed to save bookmarks', error);
+    showErrorNotification('Bookmarks', 'Failed to save bookmarks.');
+    return false;
+  }
+}
+
+// Bookmark modal, opened from the player's bookmark button
+let pendingBookmark = null; // { track, time } captured when the button was pressed
+
+function showBookmarkModal() {
+  if (!currentTrack || !audioElement || !audioElement.src) return;
+  const time = getAccurateCurrentTime();
+  pendingBookmark = { track: currentTrack, time };
+  elements.bookmarkNameInput.value = `Bookmark at ${formatTime(time)}`;
+  showModal('bookmark-modal');
+  elements.bookmarkNameInput.select();
+}
+
+async function saveBookmark() {
+  if (!pendingBookmark) return;
+  const { track, time } = pendingBookmark;
+  const name = elements.bookmarkNameInput.value.trim() || `Bookmark at ${formatTime(time)}`;
+  await frontendLogger.userAction('bookmark-added', { trackId: track.id, time });
+  if (await saveTrackBookmarks(track, [...(track.bookmarks || []), { name, time }])) {
+    pendingBookmark = null;
+    hideModal('bookmark-modal');
+  }
+}
+
+async function deleteBookmark(track, bookmarkId) {
+  await frontendLogger.userAction('bookmark-deleted', { trackId: track.id, bookmarkId });
+  if (await saveTrackBookmarks(track, (track.bookmarks || []).filter(b => b.id !== bookmarkId))) {
+    renderTrackBookmarksList(track);
+  }
+}
+
+// Bookmarks in the track details modal
+function renderTrackBookmarksList(track) {
+  const list = elements.trackBookmarksList;
+  if (!list) return;
+  list.innerHTML = '';
+  const bookmarks = (track.bookmarks || []);
+  list.classList.toggle('hidden', bookmarks.length === 0);
+  for (const bookmark of bookmarks) {
+    const entry = createDOMElement('div', 'bookmark-entry');
+    entry.append(
+      createDOMElement('span', 'bookmark-time', {}, formatTime(bookmark.time)),
+      createDOMElement('span', 'bookmark-name', {}, bookmark.name)
+    );
+    const removeButton = createDOMElement('button', 'btn btn-small btn-secondary', {}, '×');
+    removeButton.title = 'Delete bookmark';
+    removeButton.addEventListener('click', () => deleteBookmark(track, bookmark.id));
+    entry.appendChild(removeButton);
+    list.appendChild(entry);
+  }
+}
+
+// Bookmark menu, opened from a track's bookmark button
+let bookmarkMenuTarget = null;
+
+function showBookmarkMenu(e, track, index) {
+  e.stopPropagation();
+  hideTrackContextMenu();
+  bookmarkMenuTarget = { track, index, playlist: currentPlaylist };
+  const menu = elements.bookmarkMenu;
+  menu.innerHTML = '';
+  for (const bookmark of track.bookmarks || []) {
+    const item = createDOMElement('button', 'context-menu-item', { time: String(bookmark.time) }, `${formatTime(bookmark.time)} · ${bookmark.name}`);
+    menu.appendChild(item);
+  }
+  menu.classList.remove('hidden');
+  // Open below the button, kept inside the window
+  const rect = e.currentTarget.getBoundingClientRect();
+  menu.style.left = `${Math.min(rect.left, window.innerWidth - menu.offsetWidth - 4)}px`;
+  menu.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - menu.offsetHeight - 4)}px`;
+}
+
+function hideBookmarkMenu() {
+  if (elements.bookmarkMenu) elements.bookmarkMenu.classList.add('hidden');
+  bookmarkMenuTarget = null;
+}
+
+async function onBookmarkMenuAction(e) {
+  const item = e.target.closest('.context-menu-item');
+  if (!item || !bookmarkMenuTarget) return;
+  const { track, index, playlist } = bookmarkMenuTarget;
+  hideBookmarkMenu();
+  await jumpToTime(track, index, playlist, Number(item.dataset.time));
+}
+
+// Throttle broadcasting of seek events (slider drags, bookmark jumps) to avoid flooding
+let lastSeekBroadcast = 0;
+let seekBroadcastTimer = null;
+function scheduleSeekBroadcast() {
+  const now = Date.now();
+  const THROTTLE = 250; // 4 per second
+  if (now - lastSeekBroadcast >= THROTTLE) {
+    lastSeekBroadcast = now;
+    try { updateBroadcastState({ action: 'seek' }); } catch (err) {
+      frontendLogger.warn('Failed to broadcast throttled seek event', err);
+    }
+  } else {
+    if (seekBroadcastTimer) clearTimeout(seekBroadcastTimer);
+    seekBroadcastTimer = setTimeout(() => {
+      lastSeekBroadcast = Date.now();
+      try { updateBroadcastState({ action: 'seek' }); } catch (err) {
+        frontendLogger.warn('Failed to broadcast throttled seek event', err);
+      }
+    }, THROTTLE - (now - lastSeekBroadcast));
+  }
+}
+
+// Play a track from the given time, seeking if it is already the loaded one
+async function jumpToTime(track, index, playlist, time) {
+  frontendLogger.info('Jumping to bookmark', { trackId: track.id, time });
+  if (currentTrack && currentTrack.id === track.id && audioElement && audioElement.src) {
+    audioElement.currentTime = time;
+    try { seekClock(time); } catch (err) { frontendLogger.warn('Seek clock failed', err); }
+    scheduleSeekBroadcast();
+    if (audioElement.paused) togglePlayPause();
+    return;
+  }
+  await playTrack(track, index, playlist, { startPosition: time });
+}
+
+// ----- Loudness normalization -----
+// Gains come from the background analysis in main.js (track.loudness); the per-track
+// volume sliders still apply on top as a manual trim.
+
+// Normalization gain for a track in dB, pre-amp included; 0 when off or not analysed yet
+function getNormalizationDb(track) {
+  const settings = appConfig.normalization || {};
+  const loudness = track && track.loudness;
+  if (settings.mode === 'off' || !loudness || typeof loudness.trackGain !== 'number') return 0;
+
+  const useAlbum = settings.mode === 'album' && typeof loudness.albumGain === 'number';
+  let gainDb = (useAlbum ? loudness.albumGain : loudness.trackGain) + (Number(settings.preAmp) || 0);
+  const peak = useAlbum ? loudness.albumPeak : loudness.truePeak;
+  if (settings.preventClipping !== false && typeof peak === 'number') {
+    gainDb = Math.min(gainDb, -peak);
+  }
+  return Math.round(gainDb * 100) / 100;
+}
+
+// Linear gain for a track: its own volume, the master volume and loudness normalization
+function getTrackOutputGain(track, masterVolume = globalVolume) {
+  return track.volume * masterVolume * Math.pow(10, getNormalizationDb(track) / 20);
+}
+
+// Re-apply the playing track's gain after normalization settings or data changed
+function applyNormalization() {
+  if (!currentTrack) return;
+  setPipelineGain(getTrackOutputGain(currentTrack));
+  try { updateBroadcastState(); } catch (err) {
+    frontendLogger.warn('Failed to update broadcast state after normalization change', err);
+  }
+}
+
+function updateRepeatIcon() {
+  if (!elements.repeatBtn) return;
+  const iconSrc = isRepeat ? REPEAT_ICON : NO_REPEAT_ICON;
+  elements.repeatBtn.innerHTML = `<img src="${iconSrc}" alt="${isRepeat ? 'Repeat enabled' : 'Repeat disabled'}" width="32" height="32">`;
+  elements.repeatBtn.classList.toggle('active', isRepeat);
+
+  // Apply current theme color to the newly created SVG image using stencil approach
+  const img = elements.repeatBtn.querySelector('img');
+  if (img) {
+    const currentIconColor = getComputedStyle(document.documentElement).getPropertyValue('--theme-icon-color').trim() || '#ffffff';
+    applySVGStencilColor(img, currentIconColor);
+  }
+}
+
+function updateShuffleIcon() {
+  if (!elements.shuffleBtn) return;
+  const iconSrc = isShuffle ? SHUFFLE_ICON : NO_SHUFFLE_ICON;
+  elements.shuffleBtn.innerHTML = `<img src="${iconSrc}" alt="${isShuffle ? 'Shuffle enabled' : 'Shuffle disabled'}" width="32" height="32">`;
+  elements.shuffleBtn.classList.toggle('active', isShuffle);
+
+  // Apply current theme color to the newly created image using stencil approach
+  const img = elements.shuffleBtn.querySelector('img');
+  if (img) {
+    const currentIconColor = getComputedStyle(document.documentElement).getPropertyValue('--theme-icon-color').trim() || '#ffffff';
+    applySVGStencilColor(img, currentIconColor);
+  }
+}
+
+let availableIndices = [];
+let playedIndices = [];
+
+function generateShuffledIndices() {
+  if (!currentPlaylist || currentPlaylist.tracks.length === 0) {
+    availableIndices = [];
+    playedIndices = [];
+    return;
+  }
+
+  // Reset both arrays
+  availableIndices = Array.from({ length: currentPlaylist.tracks.length }, (_, i) => i);
+  playedIndices = [];
+
+  // Fisher-Yates shuffle the available indices
+  for (let i = availableIndices.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [availableIndices[i], availableIndices[j]] = [availableIndices[j], availableIndices[i]];
+  }
+
+  // Log the newly generated shuffle pool
+  frontendLogger.info('Generated new shuffle pool', { availableIndices: [...availableIndices] });
+}
+
+function toggleShuffle() {
+  isShuffle = !isShuffle;
+  updateShuffleIcon();
+
+  if (isShuffle) {
+    // Generate new shuffle order when enabling shuffle
+    generateShuffledIndices();
+    frontendLogger.info('Shuffle enabled', { playlistLength: currentPlaylist?.tracks.length });
+  } else {
+    // Clear shuffle data when disabling
+    availableIndices = [];
+    playedIndices = [];
+    frontendLogger.info('Shuffle disabled');
+  }
+
+  // Save shuffle state to config
+  if (appConfig.playbackState) {
+    appConfig.playbackState.isShuffle = isShuffle;
+    ipcRenderer.invoke('save-app-config', appConfig);
+  }
+}
+
+function setupAudioEventListeners() {
+  let lastSaveTime = 0;
+  const SAVE_INTERVAL = 5000; // Save every 5 seconds
+  const deckHandlers = {};
+
+  deckHandlers.onloadedmetadata = () => {
+    updateDurationDisplay();
+    // Inform broadcast listeners about new duration/metadata
+    try { updateBroadcastState(); } catch (err) {
+      frontendLogger.warn('Failed to update broadcast state on loaded metadata', err);
+    }
+  };
+  deckHandlers.ontimeupdate = () => {
+    // Throttled save of playback position
+    const now = Date.now();
+    if (now - lastSaveTime > SAVE_INTERVAL) {
+      lastSaveTime = now;
+      savePlaybackState();
+      rememberPosition();
+    }
+
+    // A trimmed track ends at its cue-out
+    if (currentTrack && currentTrack.endAt && !audioElement.paused) {
+      const { end } = getPlayingTrim();
+      if (end > 0 && audioElement.currentTime >= end) deckHandlers.onended();
+    }
+  };
+
+  deckHandlers.onended = () => {
+    frontendLogger.info('audioElement ended', { isRepeat, currentTrackIndex, playlistLength: currentPlaylist ? currentPlaylist.tracks.length : 0 });
+    // Finished, so it starts from the beginning next time
+    if (currentTrack) rememberPosition(currentTrack, Infinity);
+    if (isRepeat) {
+      // Restart current track seamlessly
+      audioElement.currentTime = getPlayingTrim().start;
+      audioElement.play();
+      isPlaying = true;
+      updatePlayerUI();
+    } else {
+      playNext();
+    }
+  };
+
+  // Notify broadcast on any seek (mouse, keyboard, programmatic)
+  deckHandlers.onseeked = () => {
+    try { seekClock(audioElement ? (audioElement.currentTime || 0) : 0); } catch (err) {
+      frontendLogger.warn('Failed to seek clock on media seeked event', err);
+    }
+    try { updateBroadcastState({ action: 'seek' }); } catch (err) {
+      frontendLogger.warn('Failed to update broadcast state on media seeked event', err);
+    }
+  };
+
+  // Sync clock with core media events and keep the chosen speed
+  try {
+    deckHandlers.onplay = () => { try { beginClock(); } catch (err) { frontendLogger.warn('Clock sync: onplay failed', err); } };
+    deckHandlers.onpause = () => {
+      try { pauseClock(); } catch (err) { frontendLogger.warn('Clock sync: onpause failed', err); }
+      rememberPosition(currentTrack, audioElement.currentTime, false);
+    };
+    deckHandlers.onseeking = () => { try { seekClock(audioElement ? (audioElement.currentTime || 0) : 0); } catch (err) { frontendLogger.warn('Clock sync: onseeking failed', err); } };
+    deckHandlers.onratechange = () => {
+      try {
+        if (audioElement.playbackRate !== currentPlaybackRate) audioElement.playbackRate = currentPlaybackRate;
+      } catch (err) { frontendLogger.warn('Clock sync: onratechange failed', err); }
+    };
+  } catch (err) {
+    frontendLogger.warn('Failed to bind clock sync event listeners', err);
+  }
+
+  deckHandlers.onerror = () => {
+    // Ignore benign errors triggered when src is intentionally cleared (e.g., MEDIA_ELEMENT_ERROR: Empty src attribute)
+    const mediaErr = audioElement.error;
+    // Suppress callbacks triggered when src is cleared or no media error information is available
+    if (!audioElement.src || !currentTrack || !mediaErr || Object.keys(mediaErr).length === 0 || (mediaErr.message && mediaErr.message.includes('Empty src attribute'))) {
       return;
     }
     frontendLogger.error('Audio playback error', mediaErr, { trackId: currentTrack ? currentTrack.id : 'unknown' });
   };
 
-  // Keep AudioContext active and playback rate normalized on visibility changes
+  // Both decks share the handlers, but only the playing deck drives the UI and clock;
+  // the other one is preloading the next track or fading out the previous one.
+  for (const { element } of audioDecks) {
+    for (const [name, handler] of Object.entries(deckHandlers)) {
+      element[name] = (...args) => {
+        if (element === audioElement) handler(...args);
+      };
+    }
+  }
+
+  // Keep AudioContext active and the playback speed as chosen on visibility changes
   try {
     document.addEventListener('visibilitychange', async () => {
       try {
         if (!document.hidden && audioCtx && audioCtx.state === 'suspended') {
           await audioCtx.resume();
         }
-        if (audioElement) {
-          audioElement.playbackRate = 1.0;
+        if (audioElement && audioElement.playbackRate !== currentPlaybackRate) {
+          audioElement.playbackRate = currentPlaybackRate;
         }
       } catch (err) {
         frontendLogger.warn('Error during visibility change visibility recovery', err);
@@ -1477,10 +2532,10 @@ function updateTrackHighlight() {
   });
 
   if (currentTrack) {
-    const trackElement = document.querySelector(`[data-track-id="${currentTrack.id}"]`);
-    if (trackElement) {
+    // The track can be listed both in the playlist view and in the search results
+    document.querySelectorAll(`.track-item[data-track-id="${currentTrack.id}"]`).forEach((trackElement) => {
       trackElement.classList.add('playing');
-    }
+    });
   }
 }
 
@@ -1496,9 +2551,9 @@ function setupAudioContext() {
     analyser = audioContext.createAnalyser();
 
     // Connect the analyser to the existing audio pipeline
-    // Insert analyser between gainNode and compressorNode
-    gainNode.disconnect(compressorNode);
-    gainNode.connect(analyser);
+    // Insert analyser between the equalizer and compressorNode
+    eqOutputNode.disconnect(compressorNode);
+    eqOutputNode.connect(analyser);
     analyser.connect(compressorNode);
 
     analyser.fftSize = 256;
@@ -1650,6 +2705,10 @@ function setupBackgroundVisualizer() {
   drawBackground();
 }
 
+const QUEUE_ADD_ICON = `<svg xmlns="http://www.w3.org/2000/svg" width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-list icon-white"><line x1="8" y1="6" x2="21" y2="6"></line><line x1="8" y1="12" x2="21" y2="12"></line><line x1="8" y1="18" x2="14" y2="18"></line><line x1="3" y1="6" x2="3.01" y2="6"></line><line x1="3" y1="12" x2="3.01" y2="12"></line><line x1="18" y1="15" x2="18" y2="21"></line><line x1="15" y1="18" x2="21" y2="18"></line></svg>`;
+
+const BOOKMARK_ICON = `<svg xmlns="http://www.w3.org/2000/svg" width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-bookmark icon-white"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path></svg>`;
+
 // SVG icons for volume states
 const svgVolumeMute = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="icon-white"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><line x1="23" y1="9" x2="17" y2="15"></line><line x1="17" y1="9" x2="23" y2="15"></line></svg>`;
 const svgVolumeLow = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="icon-white"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><path d="M15.54 8.46a5 5 0 0 1 0 7.07"></path></svg>`;
@@ -1670,7 +2729,7 @@ function updateVolumeIcon(volume) {
 function setVolume(volume) {
   // Allow amplification above 1.0 safely via GainNode
   if (currentTrack) {
-    const finalVolume = currentTrack.volume * volume;
+    const finalVolume = getTrackOutputGain(currentTrack, volume);
     setPipelineGain(finalVolume);
   } else {
     setPipelineGain(volume);
@@ -1707,28 +2766,6 @@ function setupEventListeners() {
   if (elements.nextBtn) elements.nextBtn.addEventListener('click', playNext);
   if (elements.repeatBtn) elements.repeatBtn.addEventListener('click', toggleRepeat);
   if (elements.shuffleBtn) elements.shuffleBtn.addEventListener('click', toggleShuffle);
-  // Throttle broadcasting of seek events while dragging to avoid flooding
-  let lastSeekBroadcast = 0;
-  let seekBroadcastTimer = null;
-  function scheduleSeekBroadcast() {
-    const now = Date.now();
-    const THROTTLE = 250; // 4 per second
-    if (now - lastSeekBroadcast >= THROTTLE) {
-      lastSeekBroadcast = now;
-      try { updateBroadcastState({ action: 'seek' }); } catch (err) {
-        frontendLogger.warn('Failed to broadcast throttled seek event', err);
-      }
-    } else {
-      if (seekBroadcastTimer) clearTimeout(seekBroadcastTimer);
-      seekBroadcastTimer = setTimeout(() => {
-        lastSeekBroadcast = Date.now();
-        try { updateBroadcastState({ action: 'seek' }); } catch (err) {
-          frontendLogger.warn('Failed to broadcast throttled seek event', err);
-        }
-      }, THROTTLE - (now - lastSeekBroadcast));
-    }
-  }
-
   if (elements.progressSlider) {
     elements.progressSlider.addEventListener('mousedown', () => { isSeekDragging = true; });
     elements.progressSlider.addEventListener('touchstart', () => { isSeekDragging = true; }, { passive: true });
@@ -1740,8 +2777,10 @@ function setupEventListeners() {
 
   if (elements.progressSlider) elements.progressSlider.addEventListener('input', (e) => {
     if (audioElement) {
-      audioElement.currentTime = e.target.value;
-      try { seekClock(e.target.value); } catch (err) {
+      // The slider counts from the cue-in
+      const target = getPlayingTrim().start + Number(e.target.value);
+      audioElement.currentTime = target;
+      try { seekClock(target); } catch (err) {
         frontendLogger.warn('Failed to seek clock on slider input', err);
       }
       // Throttled broadcast while dragging
@@ -1764,8 +2803,8 @@ function setupEventListeners() {
     globalVolume = e.target.value / 100;
 
     if (currentTrack && audioElement) {
-      const finalVolume = currentTrack.volume * globalVolume;
-      gainNode.gain.value = finalVolume;
+      const finalVolume = getTrackOutputGain(currentTrack);
+      setPipelineGain(finalVolume);
     }
     updateVolumeIcon(globalVolume);
 
@@ -1778,10 +2817,91 @@ function setupEventListeners() {
 
   // Playlist controls
   if (elements.createPlaylistBtn) elements.createPlaylistBtn.addEventListener('click', () => showPlaylistNameModal());
+  if (elements.importPlaylistBtn) elements.importPlaylistBtn.addEventListener('click', importPlaylistFiles);
+  if (elements.importFolderBtn) elements.importFolderBtn.addEventListener('click', () => showModal('folder-import-modal'));
+  if (elements.startFolderImportBtn) elements.startFolderImportBtn.addEventListener('click', startFolderImport);
+  if (elements.cancelFolderImportBtn) elements.cancelFolderImportBtn.addEventListener('click', cancelFolderImport);
+
+  // Library search
+  if (elements.librarySearchInput) {
+    elements.librarySearchInput.addEventListener('input', onLibrarySearchInput);
+    elements.librarySearchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') clearLibrarySearch();
+    });
+  }
+
+  // Playback speed
+  if (elements.speedBtn) {
+    buildSpeedMenu();
+    elements.speedBtn.addEventListener('click', toggleSpeedMenu);
+    elements.speedMenu.addEventListener('click', onSpeedMenuClick);
+    elements.speedPreservePitch.addEventListener('change', onPreservePitchChange);
+    document.addEventListener('click', (e) => {
+      if (!elements.speedMenu.contains(e.target)) hideSpeedMenu();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') hideSpeedMenu();
+    });
+  }
+
+  // Bookmarks
+  if (elements.bookmarkBtn) elements.bookmarkBtn.addEventListener('click', showBookmarkModal);
+  if (elements.bookmarkNameInput) {
+    elements.bookmarkNameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') saveBookmark();
+    });
+  }
+  if (elements.bookmarkMenu) {
+    elements.bookmarkMenu.addEventListener('click', onBookmarkMenuAction);
+    document.addEventListener('click', (e) => {
+      if (!elements.bookmarkMenu.contains(e.target)) hideBookmarkMenu();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') hideBookmarkMenu();
+    });
+    document.addEventListener('scroll', hideBookmarkMenu, true);
+  }
+
+  // Up Next queue
+  if (elements.queueBtn) elements.queueBtn.addEventListener('click', togglePlayQueuePanel);
+  if (elements.clearQueueBtn) elements.clearQueueBtn.addEventListener('click', clearPlayQueue);
+  if (elements.trackContextMenu) {
+    elements.trackContextMenu.addEventListener('click', onTrackContextMenuAction);
+    document.addEventListener('click', (e) => {
+      if (!elements.trackContextMenu.contains(e.target)) hideTrackContextMenu();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') hideTrackContextMenu();
+    });
+    window.addEventListener('blur', hideTrackContextMenu);
+    document.addEventListener('scroll', hideTrackContextMenu, true);
+  }
+  if (elements.playlistExportMenu) {
+    elements.playlistExportMenu.addEventListener('click', onPlaylistExportMenuAction);
+    document.addEventListener('click', (e) => {
+      if (!elements.playlistExportMenu.contains(e.target)) hidePlaylistExportMenu();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') hidePlaylistExportMenu();
+    });
+    window.addEventListener('blur', hidePlaylistExportMenu);
+  }
   if (elements.deletePlaylistBtn) elements.deletePlaylistBtn.addEventListener('click', deleteCurrentPlaylist);
 
   // Download
   if (elements.downloadBtn) elements.downloadBtn.addEventListener('click', downloadFromUrl);
+  if (elements.downloadsBtn) elements.downloadsBtn.addEventListener('click', openDownloadsPanel);
+  if (elements.cancelAllDownloadsBtn) elements.cancelAllDownloadsBtn.addEventListener('click', async () => {
+    if (await confirmDialog('Cancel all queued and running downloads?', 'Cancel Downloads')) {
+      await ipcRenderer.invoke('cancel-all-downloads');
+    }
+  });
+  if (elements.clearFinishedDownloadsBtn) elements.clearFinishedDownloadsBtn.addEventListener('click', () => {
+    ipcRenderer.invoke('clear-finished-downloads');
+  });
+  if (elements.syncPlaylistBtn) elements.syncPlaylistBtn.addEventListener('click', () => {
+    if (sourcesPlaylistId) syncPlaylist(sourcesPlaylistId);
+  });
 
   // Theme
   if (elements.themeBtn) elements.themeBtn.addEventListener('click', () => showModal('theme-modal'));
@@ -1789,14 +2909,29 @@ function setupEventListeners() {
   if (elements.resetThemeBtn) elements.resetThemeBtn.addEventListener('click', resetTheme);
 
   // Backup
-  if (elements.backupBtn) elements.backupBtn.addEventListener('click', () => showModal('backup-modal'));
+  if (elements.backupBtn) elements.backupBtn.addEventListener('click', openBackupPanel);
   if (elements.createBackupBtn) elements.createBackupBtn.addEventListener('click', createBackup);
+  if (elements.chooseBackupDirBtn) elements.chooseBackupDirBtn.addEventListener('click', chooseBackupDirectory);
+  if (elements.restoreBackupFileBtn) elements.restoreBackupFileBtn.addEventListener('click', () => restoreBackup(null));
+
+  // Watched folders
+  if (elements.watchFoldersBtn) elements.watchFoldersBtn.addEventListener('click', openWatchFoldersPanel);
+  if (elements.addWatchFolderBtn) elements.addWatchFolderBtn.addEventListener('click', addWatchedFolder);
 
   // Settings
   if (elements.settingsBtn) elements.settingsBtn.addEventListener('click', () => {
     loadSettings().then(() => showModal('settings-modal'));
   });
 
+  // Log viewer
+  if (elements.logsBtn) elements.logsBtn.addEventListener('click', openLogViewer);
+  if (elements.refreshLogsBtn) elements.refreshLogsBtn.addEventListener('click', refreshLogViewer);
+  if (elements.clearLogsBtn) elements.clearLogsBtn.addEventListener('click', clearLogViewer);
+  if (elements.exportDiagnosticsBtn) elements.exportDiagnosticsBtn.addEventListener('click', exportDiagnostics);
+  if (elements.logLevelFilter) elements.logLevelFilter.addEventListener('change', renderLogViewer);
+  if (elements.logSourceFilter) elements.logSourceFilter.addEventListener('change', renderLogViewer);
+  if (elements.logTextFilter) elements.logTextFilter.addEventListener('input', renderLogViewer);
+
 
   // Support buttons - Ko-fi and GitHub
   const setupExternalLink = (btnId, url, actionName) => {
@@ -1850,6 +2985,19 @@ function setupEventListeners() {
     });
   }
 
+  // Equalizer
+  if (elements.eqEnabled) {
+    elements.eqEnabled.addEventListener('change', () => {
+      getGlobalEqualizer().enabled = elements.eqEnabled.checked;
+      applyEqualizer();
+      scheduleEqualizerSave();
+    });
+  }
+  if (elements.eqScope) elements.eqScope.addEventListener('change', onEqualizerScopeChange);
+  if (elements.eqPreset) elements.eqPreset.addEventListener('change', onEqualizerPresetChange);
+  if (elements.saveEqPresetBtn) elements.saveEqPresetBtn.addEventListener('click', saveEqualizerPreset);
+  if (elements.deleteEqPresetBtn) elements.deleteEqPresetBtn.addEventListener('click', deleteEqualizerPreset);
+
   // Auto-save settings when any setting changes
   const settingsModal = document.getElementById('settings-modal');
   if (settingsModal) {
@@ -1874,6 +3022,7 @@ function setupEventListeners() {
 
         // Auto-save all settings
         await saveSettings();
+        if (configPath.startsWith('normalization.')) applyNormalization();
         frontendLogger.info('Setting auto-saved', { configPath, value: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
       });
     });
@@ -1901,6 +3050,10 @@ function setupEventListeners() {
     });
   }
 
+  if (elements.relinkFilesBtn) elements.relinkFilesBtn.addEventListener('click', relinkLinkedFiles);
+  if (elements.checkLibraryBtn) elements.checkLibraryBtn.addEventListener('click', openIntegrityPanel);
+  if (elements.runIntegrityCheckBtn) elements.runIntegrityCheckBtn.addEventListener('click', runLibraryCheck);
+
   if (elements.resetDataPathBtn) {
     elements.resetDataPathBtn.addEventListener('click', async () => {
       showLoading('Resetting to default...');
@@ -1927,7 +3080,8 @@ function setupEventListeners() {
   // Modal save/cancel buttons
   const modalButtons = [
     { save: 'savePlaylistNameBtn', cancel: 'cancelPlaylistNameBtn', modal: 'playlist-name-modal', saveHandler: savePlaylistName },
-    { save: 'saveTrackNameBtn', cancel: 'cancelTrackNameBtn', modal: 'track-rename-modal', saveHandler: saveTrackName }
+    { save: 'saveTrackNameBtn', cancel: 'cancelTrackNameBtn', modal: 'track-rename-modal', saveHandler: saveTrackDetails },
+    { save: 'saveBookmarkBtn', cancel: 'cancelBookmarkBtn', modal: 'bookmark-modal', saveHandler: saveBookmark }
   ];
 
   modalButtons.forEach(({ save, cancel, modal, saveHandler }) => {
@@ -1935,6 +3089,13 @@ function setupEventListeners() {
     if (elements[cancel]) elements[cancel].addEventListener('click', () => hideModal(modal));
   });
 
+  // Track details cue points
+  elements.trackStartNowBtn.addEventListener('click', () => setCuePointToNow(elements.trackStartInput));
+  elements.trackEndNowBtn.addEventListener('click', () => setCuePointToNow(elements.trackEndInput));
+  elements.trackStartInput.addEventListener('input', updateTrimLengthPreview);
+  elements.trackEndInput.addEventListener('input', updateTrimLengthPreview);
+  elements.trackUseSuggestionBtn.addEventListener('click', useSilenceSuggestion);
+
   // Drag and drop
   elements.dropZone.addEventListener('dragover', handleDragOver);
   elements.dropZone.addEventListener('drop', handleFileDrop);
@@ -1964,7 +3125,7 @@ function setupEventListeners() {
         if (currentPlaylist) {
           const track = currentPlaylist.tracks.find(t => t.id === trackId);
           if (track) {
-            showTrackRenameModal(track);
+            showTrackDetailsModal(track);
           }
         }
       }
@@ -2001,6 +3162,8 @@ function setupEventListeners() {
       appConfig.playbackState.currentPlaylistId = currentPlaylist ? currentPlaylist.id : null;
       appConfig.playbackState.currentTime = audioElement.currentTime || 0;
       appConfig.playbackState.isRepeat = isRepeat;
+      appConfig.playbackState.queue = playQueue;
+      rememberPosition();
 
       // Fire and forget - don't wait for response
       ipcRenderer.invoke('save-app-config', appConfig);
@@ -2016,13 +3179,14 @@ function togglePlayPause() {
   if (!audioElement || !currentTrack) return;
 
   if (isPlaying) {
+    stopFadingDeck();
     audioElement.pause();
     isPlaying = false;
     try { pauseClock(); } catch (e) { frontendLogger.warn('pauseClock failed', e); }
   } else {
     // Recalculate volume before resuming playback
     if (currentTrack) {
-      const finalVolume = currentTrack.volume * globalVolume;
+      const finalVolume = getTrackOutputGain(currentTrack);
       setPipelineGain(finalVolume);
     }
     audioElement.play().then(() => { try { beginClock(); } catch (e) { frontendLogger.warn('beginClock failed', e); } }).catch(error => {
@@ -2034,7 +3198,8 @@ function togglePlayPause() {
 }
 
 function playNext() {
-  frontendLogger.info('playNext called', { currentTrackIndex, playlistLength: playingPlaylist ? playingPlaylist.tracks.length : 0, isShuffle, shuffleIndex });
+  frontendLogger.info('playNext called', { currentTrackIndex, playlistLength: playingPlaylist ? playingPlaylist.tracks.length : 0, isShuffle, shuffleIndex, queued: playQueue.length });
+  if (playNextFromQueue()) return;
   if (!playingPlaylist || playingPlaylist.tracks.length === 0) return;
 
   let nextIndex;
@@ -2070,6 +3235,12 @@ function playPrevious() {
   frontendLogger.info('playPrevious called', { currentTrackIndex, playlistLength: playingPlaylist ? playingPlaylist.tracks.length : 0, isShuffle, shuffleIndex });
   if (!playingPlaylist || playingPlaylist.tracks.length === 0) return;
 
+  // Going back from a queued track returns to the playlist track that was playing before it
+  if (isPlayingFromQueue && playingPlaylist.tracks[currentTrackIndex]) {
+    playTrack(playingPlaylist.tracks[currentTrackIndex], currentTrackIndex, playingPlaylist);
+    return;
+  }
+
   let prevIndex;
   if (isShuffle) {
     if (playedIndices.length > 1) {
@@ -2085,8 +3256,9 @@ function playPrevious() {
       // restart the current track to strictly enforce standard playback expectations.
       frontendLogger.info('No previous history in shuffle mode, restarting current track');
       if (typeof audioElement !== 'undefined' && audioElement) {
-        audioElement.currentTime = 0;
-        try { seekClock(0); } catch (err) { frontendLogger.warn('Seek clock failed', err); }
+        const { start } = getPlayingTrim();
+        audioElement.currentTime = start;
+        try { seekClock(start); } catch (err) { frontendLogger.warn('Seek clock failed', err); }
         try { updateBroadcastState({ action: 'seek' }); } catch (err) { frontendLogger.warn('Broadcast seek failed', err); }
       }
       return;
@@ -2109,8 +3281,11 @@ function toggleRepeat() {
 
 function stopTrack() {
   if (audioElement) {
+    stopFadingDeck();
+    // Stopping goes back to the start, but a long track keeps its place for next time
+    rememberPosition(currentTrack, audioElement.currentTime, false);
     audioElement.pause();
-    audioElement.currentTime = 0;
+    audioElement.currentTime = getPlayingTrim().start;
     isPlaying = false;
     updatePlayerUI();
   }
@@ -2208,7 +3383,7 @@ function calculatePlaylistDuration(playlist) {
     if (!track || track.duration == null) {
       return total;
     }
-    return total + track.duration;
+    return total + getTrimmedDuration(track);
   }, 0);
 }
 
@@ -2258,60 +3433,988 @@ function confirmDialog(message, title = 'Confirm') {
       hideModal('confirm-modal');
     };
 
-    const onYes = () => {
-      cleanup();
-      resolve(true);
-    };
-    const onNo = () => {
-      cleanup();
-      resolve(false);
-    };
+    const onYes = () => {
+      cleanup();
+      resolve(true);
+    };
+    const onNo = () => {
+      cleanup();
+      resolve(false);
+    };
+
+    yesBtn.addEventListener('click', onYes);
+    noBtn.addEventListener('click', onNo);
+    modal.querySelector('.modal-close').addEventListener('click', onNo);
+
+    showModal('confirm-modal');
+    yesBtn.focus();
+  });
+}
+
+// Download functionality
+async function downloadFromUrl() {
+  frontendLogger.info('Download button clicked');
+
+  const url = elements.urlInput.value.trim();
+  if (!url || !currentPlaylist) {
+    frontendLogger.warn('Download attempted with missing URL or playlist', { url: !!url, hasPlaylist: !!currentPlaylist });
+    showErrorNotification('Missing Information', 'Please enter a URL and select a playlist first.');
+    return;
+  }
+
+  const startTime = Date.now();
+  try {
+    frontendLogger.userAction('download-from-url-initiated', {
+      url,
+      playlistId: currentPlaylist.id,
+      playlistName: currentPlaylist.name
+    });
+
+    const result = await ipcRenderer.invoke('download-from-url', {
+      url: url,
+      playlistId: currentPlaylist.id
+    });
+
+    elements.urlInput.value = '';
+    frontendLogger.info('Download queued', { url, jobId: result.jobId, elapsedMs: Date.now() - startTime });
+  } catch (error) {
+    frontendLogger.error('Error downloading from URL', error, { url, playlistId: currentPlaylist?.id });
+    showErrorNotification('Download Error', 'Error downloading from URL. Please check the URL and try again.');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Download queue panel
+// ---------------------------------------------------------------------------
+let downloadQueueSnapshot = { jobs: [] };
+
+const DOWNLOAD_TASK_LABELS = {
+  'queued': 'Queued',
+  'fetching-metadata': 'Fetching metadata',
+  'downloading': 'Downloading',
+  'converting': 'Converting',
+  'done': 'Done',
+  'failed': 'Failed',
+  'cancelled': 'Cancelled'
+};
+
+const DOWNLOAD_JOB_LABELS = {
+  'pending': 'Waiting',
+  'fetching': 'Fetching track list',
+  'active': 'Downloading',
+  'completed': 'Finished',
+  'failed': 'Failed',
+  'cancelled': 'Cancelled'
+};
+
+function isTaskUnfinished(task) {
+  return !['done', 'failed', 'cancelled'].includes(task.status);
+}
+
+async function loadDownloadQueue() {
+  try {
+    downloadQueueSnapshot = await ipcRenderer.invoke('get-download-queue');
+  } catch (error) {
+    frontendLogger.error('Failed to load download queue', error);
+  }
+  renderDownloadQueue();
+}
+
+function updateDownloadsBadge() {
+  if (!elements.downloadsBadge) return;
+  const unfinished = downloadQueueSnapshot.jobs.reduce((count, job) => {
+    if (job.status === 'pending' || job.status === 'fetching') return count + 1;
+    return count + job.tasks.filter(isTaskUnfinished).length;
+  }, 0);
+  elements.downloadsBadge.textContent = unfinished > 99 ? '99+' : String(unfinished);
+  elements.downloadsBadge.classList.toggle('hidden', unfinished === 0);
+}
+
+function createQueueActionButton(label, handler) {
+  const btn = createDOMElement('button', 'btn btn-small btn-secondary', {}, label);
+  btn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    try {
+      await handler();
+    } catch (error) {
+      showErrorNotification('Downloads', error.message);
+    }
+  });
+  return btn;
+}
+
+function createDownloadTaskElement(task) {
+  const row = createDOMElement('div', `download-task status-${task.status}`, { taskId: task.id });
+
+  const info = createDOMElement('div', 'download-task-info');
+  info.appendChild(createDOMElement('span', 'download-task-title', {}, task.trackInfo.title || task.trackInfo.url));
+
+  let statusText = DOWNLOAD_TASK_LABELS[task.status] || task.status;
+  if (task.status === 'downloading' && task.progress) {
+    statusText += ` ${task.progress.toFixed(1)}%`;
+  }
+  const statusEl = createDOMElement('span', 'download-task-status', {}, statusText);
+  if (task.error) statusEl.title = task.error;
+  info.appendChild(statusEl);
+  row.appendChild(info);
+
+  if (task.status === 'downloading') {
+    const bar = createDOMElement('div', 'download-progress-bar');
+    const fill = createDOMElement('div', 'download-progress-fill');
+    fill.style.width = `${Math.min(100, task.progress || 0)}%`;
+    bar.appendChild(fill);
+    row.appendChild(bar);
+  }
+
+  const actions = createDOMElement('div', 'download-task-actions');
+  if (isTaskUnfinished(task)) {
+    actions.appendChild(createQueueActionButton('Cancel', () => ipcRenderer.invoke('cancel-download-task', task.id)));
+  } else if (task.status === 'failed' || task.status === 'cancelled') {
+    actions.appendChild(createQueueActionButton('Retry', () => ipcRenderer.invoke('retry-download-task', task.id)));
+  }
+  row.appendChild(actions);
+
+  return row;
+}
+
+function createDownloadJobElement(job) {
+  const jobEl = createDOMElement('div', `download-job status-${job.status}`, { jobId: job.id });
+
+  const header = createDOMElement('div', 'download-job-header');
+  const titleEl = createDOMElement('div', 'download-job-title');
+  titleEl.appendChild(createDOMElement('span', 'download-job-url', {}, job.url));
+  titleEl.appendChild(createDOMElement('span', 'download-job-playlist', {}, `→ ${job.playlistName || 'Unknown playlist'}`));
+  header.appendChild(titleEl);
+
+  const done = job.tasks.filter(t => t.status === 'done').length;
+  const failed = job.tasks.filter(t => t.status === 'failed').length;
+  const parts = [DOWNLOAD_JOB_LABELS[job.status] || job.status];
+  if (job.tasks.length > 0) parts.push(`${done}/${job.tasks.length} done`);
+  if (failed > 0) parts.push(`${failed} failed`);
+  if (job.skipped > 0) parts.push(`${job.skipped} already in playlist`);
+  const summaryEl = createDOMElement('span', 'download-job-summary', {}, parts.join(' • '));
+  if (job.error) summaryEl.title = job.error;
+  header.appendChild(summaryEl);
+
+  const actions = createDOMElement('div', 'download-job-actions');
+  const hasUnfinished = job.status === 'pending' || job.status === 'fetching' || job.tasks.some(isTaskUnfinished);
+  const hasRetryable = job.status === 'failed' || job.tasks.some(t => t.status === 'failed' || t.status === 'cancelled');
+  if (hasUnfinished) {
+    actions.appendChild(createQueueActionButton('Cancel All', () => ipcRenderer.invoke('cancel-download-job', job.id)));
+  }
+  if (hasRetryable) {
+    actions.appendChild(createQueueActionButton('Retry Failed', () => ipcRenderer.invoke('retry-download-job', job.id)));
+  }
+  header.appendChild(actions);
+  jobEl.appendChild(header);
+
+  if (job.error) {
+    jobEl.appendChild(createDOMElement('div', 'download-job-error', {}, job.error));
+  }
+
+  const tasksEl = createDOMElement('div', 'download-tasks');
+  job.tasks.forEach(task => tasksEl.appendChild(createDownloadTaskElement(task)));
+  jobEl.appendChild(tasksEl);
+
+  return jobEl;
+}
+
+function renderDownloadQueue() {
+  updateDownloadsBadge();
+
+  const container = elements.downloadJobs;
+  if (!container || !elements.downloadsModal || elements.downloadsModal.classList.contains('hidden')) return;
+
+  // Preserve scroll position across the frequent progress re-renders
+  const scrollTop = container.scrollTop;
+  container.innerHTML = '';
+
+  if (downloadQueueSnapshot.jobs.length === 0) {
+    container.appendChild(createDOMElement('p', 'download-queue-empty', {}, 'No downloads queued.'));
+    return;
+  }
+
+  // Newest requests first
+  [...downloadQueueSnapshot.jobs].reverse().forEach(job => container.appendChild(createDownloadJobElement(job)));
+  container.scrollTop = scrollTop;
+}
+
+function openDownloadsPanel() {
+  showModal('downloads-modal');
+  renderDownloadQueue();
+}
+
+// Playlist subscriptions panel
+let sourcesPlaylistId = null;
+
+function formatSyncTime(isoString) {
+  return isoString ? new Date(isoString).toLocaleString() : 'never';
+}
+
+function renderPlaylistSources() {
+  const container = elements.playlistSourcesList;
+  const playlist = playlists.find(p => p.id === sourcesPlaylistId);
+  if (!container || !playlist) return;
+
+  elements.playlistSourcesTitle.textContent = `Subscriptions: ${playlist.name}`;
+  container.innerHTML = '';
+
+  const sources = playlist.sources || [];
+  if (sources.length === 0) {
+    container.appendChild(createDOMElement('p', 'download-queue-empty', {}, 'This playlist has no source URLs.'));
+    if (elements.syncPlaylistBtn) elements.syncPlaylistBtn.disabled = true;
+    return;
+  }
+  if (elements.syncPlaylistBtn) elements.syncPlaylistBtn.disabled = false;
+
+  sources.forEach((source) => {
+    const row = createDOMElement('div', 'playlist-source');
+    const info = createDOMElement('div', 'playlist-source-info');
+    info.append(
+      createDOMElement('span', 'playlist-source-title', {}, source.title || source.url),
+      createDOMElement('span', 'playlist-source-url', {}, source.url),
+      createDOMElement('span', 'playlist-source-synced', {}, `Last synced: ${formatSyncTime(source.lastSyncedAt)}`)
+    );
+
+    const actions = createDOMElement('div', 'download-job-actions');
+    actions.append(
+      createQueueActionButton('Sync', () => syncPlaylist(playlist.id)),
+      createQueueActionButton('Remove', () => removePlaylistSource(playlist.id, source.url))
+    );
+
+    row.append(info, actions);
+    container.appendChild(row);
+  });
+}
+
+function openPlaylistSources(playlistId) {
+  sourcesPlaylistId = playlistId;
+  showModal('playlist-sources-modal');
+  renderPlaylistSources();
+}
+
+async function syncPlaylist(playlistId) {
+  try {
+    await frontendLogger.userAction('sync-playlist', { playlistId });
+    const result = await ipcRenderer.invoke('sync-playlist', playlistId);
+    if (result.queued > 0) {
+      showSuccessNotification('Sync Started', 'Checking the source playlists for new videos.');
+    } else {
+      showSuccessNotification('Sync', 'A sync for this playlist is already in progress.');
+    }
+  } catch (error) {
+    frontendLogger.error('Failed to sync playlist', error, { playlistId });
+    showErrorNotification('Sync Error', error.message);
+  }
+}
+
+async function removePlaylistSource(playlistId, url) {
+  const playlist = playlists.find(p => p.id === playlistId);
+  if (!playlist) return;
+  if (!await confirmDialog('Stop syncing this source? Tracks already downloaded stay in the playlist.', 'Remove Source')) return;
+
+  playlist.sources = (playlist.sources || []).filter(s => s.url !== url);
+  await ipcRenderer.invoke('update-playlist', playlist);
+  renderPlaylists();
+  renderPlaylistSources();
+}
+
+// Playlist file import
+function createImportResultElement(result) {
+  const resultEl = createDOMElement('div', result.error ? 'download-job status-failed' : 'download-job');
+
+  const header = createDOMElement('div', 'download-job-header');
+  const titleEl = createDOMElement('div', 'download-job-title');
+  titleEl.appendChild(createDOMElement('span', 'download-job-url', {}, result.file));
+  if (result.name) titleEl.appendChild(createDOMElement('span', 'download-job-playlist', {}, `→ ${result.name}`));
+  header.appendChild(titleEl);
+
+  if (!result.error) {
+    const parts = [`${result.added} added`];
+    if (result.reused > 0) parts.push(`${result.reused} already in library`);
+    // Downloads don't keep their place in the imported list; they are appended as they finish
+    if (result.queued > 0) parts.push(`${result.queued} queued for download (added at the end)`);
+    if (result.unresolved.length > 0) parts.push(`${result.unresolved.length} not found`);
+    header.appendChild(createDOMElement('span', 'download-job-summary', {}, parts.join(' • ')));
+  }
+  resultEl.appendChild(header);
+
+  if (result.error) {
+    resultEl.appendChild(createDOMElement('div', 'download-job-error', {}, result.error));
+  } else if (result.unresolved.length > 0) {
+    const list = createDOMElement('ul', 'import-unresolved');
+    result.unresolved.forEach(({ location, reason }) => {
+      const item = createDOMElement('li', '');
+      const locationEl = createDOMElement('span', 'import-unresolved-location', {}, location);
+      locationEl.title = location;
+      item.append(locationEl, createDOMElement('span', 'import-unresolved-reason', {}, reason));
+      list.appendChild(item);
+    });
+    resultEl.appendChild(list);
+  }
+  return resultEl;
+}
+
+async function importPlaylistFiles() {
+  try {
+    frontendLogger.userAction('import-playlist-files-clicked');
+    const response = await ipcRenderer.invoke('import-playlist-files');
+    if (!response.success) return;
+
+    const imported = response.results.filter(result => !result.error);
+    const queued = imported.reduce((sum, result) => sum + result.queued, 0);
+    await showImportResults(response.results, 'Import Complete',
+      `${imported.length} playlist${imported.length === 1 ? '' : 's'} imported${queued > 0 ? `, ${queued} tracks queued for download and added at the end as they finish` : ''}.`);
+  } catch (error) {
+    showErrorNotification('Import Failed', error.message);
+  }
+}
+
+// Select the first new playlist, then show the report if something needs attention or the summary otherwise
+async function showImportResults(results, title, summary) {
+  const imported = results.filter(result => !result.error);
+  if (imported.length > 0) {
+    await reloadAndRefreshUI();
+    const firstPlaylist = playlists.find(p => p.id === imported[0].playlistId);
+    if (firstPlaylist) selectPlaylist(firstPlaylist);
+  }
+
+  // Only bother the user with the report when something needs their attention
+  const needsReport = results.some(result => result.error || result.unresolved.length > 0);
+  if (needsReport) {
+    elements.importReportList.innerHTML = '';
+    results.forEach(result => elements.importReportList.appendChild(createImportResultElement(result)));
+    showModal('import-report-modal');
+  } else {
+    showSuccessNotification(title, summary);
+  }
+}
+
+// Folder import
+const FOLDER_IMPORT_PHASE_LABELS = {
+  scanning: 'Looking for audio files',
+  reading: 'Reading tags',
+  importing: 'Importing'
+};
+let isFolderImportRunning = false;
+
+function setFolderImportRunning(running) {
+  isFolderImportRunning = running;
+  elements.startFolderImportBtn.disabled = running;
+  elements.folderImportGroupBy.disabled = running;
+  elements.cancelFolderImportBtn.classList.toggle('hidden', !running);
+  if (!running) {
+    elements.folderImportStatus.textContent = '';
+    elements.folderImportStatus.classList.add('hidden');
+  }
+}
+
+async function startFolderImport() {
+  const groupBy = elements.folderImportGroupBy.value;
+  frontendLogger.userAction('import-folder-clicked', { groupBy });
+  setFolderImportRunning(true);
+  try {
+    const response = await ipcRenderer.invoke('import-folder', { groupBy });
+    if (!response.success) return;
+
+    hideModal('folder-import-modal');
+    const created = response.results.filter(result => !result.error);
+    const tracks = created.reduce((sum, result) => sum + result.added, 0);
+    const summary = `${created.length} playlist${created.length === 1 ? '' : 's'} created with ${tracks} tracks`;
+    await showImportResults(response.results,
+      response.cancelled ? 'Import Cancelled' : 'Import Complete',
+      response.cancelled ? `Import cancelled; ${summary} so far.` : `${summary}.`);
+  } catch (error) {
+    showErrorNotification('Import Failed', error.message);
+  } finally {
+    setFolderImportRunning(false);
+  }
+}
+
+async function cancelFolderImport() {
+  try {
+    await ipcRenderer.invoke('cancel-folder-import');
+    elements.folderImportStatus.textContent = 'Cancelling...';
+  } catch (error) {
+    showErrorNotification('Import', error.message);
+  }
+}
+
+ipcRenderer.on('folder-import-progress', (event, progress) => {
+  if (!isFolderImportRunning || !progress) return;
+  const label = FOLDER_IMPORT_PHASE_LABELS[progress.phase] || 'Working';
+  let text = progress.total ? `${label}: ${progress.done}/${progress.total}` : `${label}...`;
+  if (progress.playlist) text += ` (${progress.playlist})`;
+  elements.folderImportStatus.textContent = text;
+  elements.folderImportStatus.classList.remove('hidden');
+});
+
+
+// Backup and restore panel
+const BACKUP_PHASE_LABELS = {
+  scanning: 'Checking files',
+  archiving: 'Writing backup',
+  verifying: 'Verifying backup'
+};
+let isBackupRunning = false;
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+function setBackupStatus(text) {
+  if (!elements.backupStatus) return;
+  elements.backupStatus.textContent = text || '';
+  elements.backupStatus.classList.toggle('hidden', !text);
+}
+
+function updateBackupButtons(hasDirectory) {
+  if (elements.createBackupBtn) elements.createBackupBtn.disabled = isBackupRunning || !hasDirectory;
+  if (elements.restoreBackupFileBtn) elements.restoreBackupFileBtn.disabled = isBackupRunning;
+  if (elements.chooseBackupDirBtn) elements.chooseBackupDirBtn.disabled = isBackupRunning;
+}
+
+async function renderBackups() {
+  const container = elements.backupList;
+  if (!container) return;
+
+  let info;
+  try {
+    info = await ipcRenderer.invoke('get-backups');
+  } catch (error) {
+    showErrorNotification('Backup', `Failed to list backups: ${error.message}`);
+    return;
+  }
+
+  isBackupRunning = isBackupRunning || info.running;
+  elements.backupDirectory.value = info.directory || 'No folder selected';
+  updateBackupButtons(!!info.directory);
+  container.innerHTML = '';
+
+  if (!info.directory) {
+    container.appendChild(createDOMElement('p', 'download-queue-empty', {}, 'Choose a folder for your backups, ideally on another drive.'));
+    return;
+  }
+  if (info.backups.length === 0) {
+    container.appendChild(createDOMElement('p', 'download-queue-empty', {}, 'No backups in this folder yet.'));
+    return;
+  }
+
+  info.backups.forEach((backup) => {
+    const row = createDOMElement('div', 'backup-entry');
+    const details = `${backup.fileCount} files, ${formatBytes(backup.totalBytes)} • ` +
+      `${backup.addedFiles} new (${formatBytes(backup.addedBytes)})`;
+    const infoEl = createDOMElement('div', 'backup-entry-info');
+    infoEl.append(
+      createDOMElement('span', 'backup-entry-date', {}, new Date(backup.createdAt).toLocaleString()),
+      createDOMElement('span', 'backup-entry-details', {}, details)
+    );
+
+    const actions = createDOMElement('div', 'download-job-actions');
+    const restoreBtn = createQueueActionButton('Restore', () => restoreBackup(backup.filePath, backup.createdAt));
+    restoreBtn.disabled = isBackupRunning;
+    actions.appendChild(restoreBtn);
+
+    row.append(infoEl, actions);
+    container.appendChild(row);
+  });
+}
+
+function openBackupPanel() {
+  showModal('backup-modal');
+  renderBackups();
+}
+
+async function chooseBackupDirectory() {
+  try {
+    const result = await ipcRenderer.invoke('choose-backup-directory');
+    if (!result.success) return;
+    // Keep the local copy in sync so the next settings save doesn't undo the change
+    appConfig.backup = { ...(appConfig.backup || {}), directory: result.directory };
+    await renderBackups();
+  } catch (error) {
+    showErrorNotification('Backup', error.message);
+  }
+}
+
+async function createBackup() {
+  frontendLogger.userAction('create-backup-clicked');
+  isBackupRunning = true;
+  updateBackupButtons(true);
+  setBackupStatus('Starting backup...');
+  try {
+    const result = await ipcRenderer.invoke('create-backup');
+    showSuccessNotification('Backup Complete', `${result.addedFiles} new or changed files saved (${formatBytes(result.addedBytes)}).`);
+  } catch (error) {
+    showErrorNotification('Backup Failed', error.message);
+  } finally {
+    isBackupRunning = false;
+    setBackupStatus('');
+    await renderBackups();
+  }
+}
+
+async function restoreBackup(archivePath, createdAt = null) {
+  const which = createdAt ? `the backup from ${new Date(createdAt).toLocaleString()}` : 'a backup';
+  const confirmed = await confirmDialog(
+    `Replace your songs, playlists and settings with ${which}? Playback stops and the app reloads when the restore is done.`,
+    'Restore Backup'
+  );
+  if (!confirmed) return;
+
+  frontendLogger.userAction('restore-backup-clicked', { archivePath });
+  isBackupRunning = true;
+  updateBackupButtons(true);
+  setBackupStatus('Checking backup...');
+  try {
+    // On success the main process reloads the window, so this only returns for cancels and failures
+    const result = await ipcRenderer.invoke('restore-backup', archivePath);
+    if (result && !result.success) setBackupStatus('');
+  } catch (error) {
+    showErrorNotification('Restore Failed', error.message);
+    setBackupStatus('');
+  } finally {
+    isBackupRunning = false;
+    await renderBackups();
+  }
+}
+
+ipcRenderer.on('backup-progress', (event, progress) => {
+  if (!progress) return;
+  const label = BACKUP_PHASE_LABELS[progress.phase] || 'Working';
+  setBackupStatus(progress.total ? `${label}: ${progress.done}/${progress.total}` : `${label}...`);
+});
+
+ipcRenderer.on('backup-created', () => {
+  if (elements.backupModal && !elements.backupModal.classList.contains('hidden') && !isBackupRunning) {
+    renderBackups();
+  }
+});
+
+ipcRenderer.on('backup-restored', (event, { createdAt }) => {
+  showSuccessNotification('Restore Complete', `Library restored from the backup of ${new Date(createdAt).toLocaleString()}.`);
+});
+
+// Watched folders panel
+async function renderWatchedFolders(folders = null) {
+  const container = elements.watchFoldersList;
+  if (!container) return;
+
+  if (!folders) {
+    try {
+      ({ folders } = await ipcRenderer.invoke('get-watched-folders'));
+    } catch (error) {
+      showErrorNotification('Watched Folders', `Failed to list watched folders: ${error.message}`);
+      return;
+    }
+  }
+
+  // Target playlist for the next folder; keep the choice across re-renders
+  const select = elements.watchFolderPlaylist;
+  const selected = select.value;
+  select.innerHTML = '';
+  const newPlaylistOption = createDOMElement('option', '', {}, 'New playlist named after the folder');
+  newPlaylistOption.value = '';
+  select.appendChild(newPlaylistOption);
+  playlists.forEach((playlist) => {
+    const option = createDOMElement('option', '', {}, playlist.name);
+    option.value = playlist.id;
+    select.appendChild(option);
+  });
+  select.value = playlists.some(p => p.id === selected) ? selected : '';
+
+  container.innerHTML = '';
+  if (folders.length === 0) {
+    container.appendChild(createDOMElement('p', 'download-queue-empty', {}, 'No watched folders yet. New audio files in a watched folder are added to its playlist automatically.'));
+    return;
+  }
+
+  folders.forEach((folder) => {
+    const playlist = playlists.find(p => p.id === folder.playlistId);
+    let details = `→ ${playlist ? playlist.name : 'Unknown playlist'} • ${folder.fileCount} files`;
+    if (folder.missingCount > 0) details += `, ${folder.missingCount} missing`;
+    if (!folder.watching) details += ' • not watching (folder unavailable)';
+
+    const row = createDOMElement('div', 'watch-folder-entry');
+    const infoEl = createDOMElement('div', 'watch-folder-info');
+    infoEl.append(
+      createDOMElement('span', 'watch-folder-path', {}, folder.path),
+      createDOMElement('span', 'watch-folder-details', {}, details)
+    );
+    infoEl.title = folder.lastScannedAt ? `Last scanned ${new Date(folder.lastScannedAt).toLocaleString()}` : 'Not scanned yet';
+
+    const actions = createDOMElement('div', 'download-job-actions');
+    actions.append(
+      createQueueActionButton('Rescan', () => rescanWatchedFolder(folder.id)),
+      createQueueActionButton('Stop Watching', () => removeWatchedFolder(folder))
+    );
+
+    row.append(infoEl, actions);
+    container.appendChild(row);
+  });
+}
+
+function openWatchFoldersPanel() {
+  showModal('watch-folders-modal');
+  renderWatchedFolders();
+}
+
+async function addWatchedFolder() {
+  try {
+    const playlistId = elements.watchFolderPlaylist.value || null;
+    const result = await ipcRenderer.invoke('add-watched-folder', { playlistId });
+    if (!result.success) return;
+    frontendLogger.userAction('watched-folder-added', { playlistId: playlistId || result.createdPlaylistId });
+    if (result.createdPlaylistId) await reloadAndRefreshUI();
+    await renderWatchedFolders(result.folders);
+  } catch (error) {
+    showErrorNotification('Watched Folders', error.message);
+  }
+}
+
+async function removeWatchedFolder(folder) {
+  const confirmed = await confirmDialog(
+    `Stop watching "${folder.path}"? Tracks already imported stay in their playlist.`,
+    'Stop Watching Folder'
+  );
+  if (!confirmed) return;
+  try {
+    const result = await ipcRenderer.invoke('remove-watched-folder', folder.id);
+    await renderWatchedFolders(result.folders);
+  } catch (error) {
+    showErrorNotification('Watched Folders', error.message);
+  }
+}
+
+async function rescanWatchedFolder(folderId) {
+  try {
+    const result = await ipcRenderer.invoke('rescan-watched-folder', folderId);
+    await renderWatchedFolders(result.folders);
+  } catch (error) {
+    showErrorNotification('Watched Folders', error.message);
+  }
+}
+
+ipcRenderer.on('watched-folder-updated', async (event, { playlistId, added, updated, missing }) => {
+  await reloadAndRefreshUI(playlistId);
+  if (elements.watchFoldersModal && !elements.watchFoldersModal.classList.contains('hidden')) {
+    renderWatchedFolders();
+  }
+  if (added > 0) {
+    const playlist = playlists.find(p => p.id === playlistId);
+    showSuccessNotification('Watched Folder', `${added} new track${added === 1 ? '' : 's'} added to ${playlist ? playlist.name : 'a playlist'}.`);
+  }
+  frontendLogger.info('Watched folder synced', { playlistId, added, updated, missing });
+});
+
+// Library search
+const SEARCH_DEBOUNCE_MS = 150;
+let searchDebounceTimer = null;
+
+function isLibrarySearchActive() {
+  return !!(elements.librarySearchInput && elements.librarySearchInput.value.trim());
+}
+
+function onLibrarySearchInput() {
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(refreshLibrarySearch, SEARCH_DEBOUNCE_MS);
+}
+
+function clearLibrarySearch() {
+  clearTimeout(searchDebounceTimer);
+  elements.librarySearchInput.value = '';
+  refreshLibrarySearch();
+}
+
+function refreshLibrarySearch() {
+  if (!elements.searchView || !elements.playlistView) return;
+
+  const query = elements.librarySearchInput.value.trim();
+  elements.searchView.classList.toggle('hidden', !query);
+  elements.playlistView.classList.toggle('hidden', !!query);
+  elements.searchResults.innerHTML = '';
+  if (!query) return;
+
+  const results = searchTracks(query, playlists);
+  elements.searchResultsTitle.textContent = `${results.length} result${results.length === 1 ? '' : 's'} for "${query}"`;
+
+  if (results.length === 0) {
+    elements.searchResults.appendChild(createDOMElement('p', 'search-empty', {}, 'No tracks match your search.'));
+    return;
+  }
+  results.forEach(result => elements.searchResults.appendChild(createSearchResultElement(result)));
+}
+
+function createSearchResultElement({ track, playlist, index, playlistCount }) {
+  const resultEl = createDOMElement('div', 'track-item search-result', { trackId: track.id });
+  if (currentTrack && currentTrack.id === track.id) {
+    resultEl.classList.add('playing');
+  }
+
+  const trackInfoEl = createDOMElement('div', 'track-info');
+  const trackDetails = createDOMElement('div', 'track-details');
+  [track.artist, track.album].filter(Boolean).forEach((text) => {
+    trackDetails.appendChild(createDOMElement('span', 'search-result-meta', {}, text));
+  });
+  const playlistLabel = playlistCount > 1 ? `${playlist.name} +${playlistCount - 1}` : playlist.name;
+  trackDetails.appendChild(createDOMElement('span', 'search-result-playlist', {}, playlistLabel));
+  if (track.duration) {
+    trackDetails.appendChild(createDOMElement('span', 'track-duration', {}, formatTime(getTrimmedDuration(track))));
+  }
+  trackInfoEl.append(createDOMElement('div', 'track-name', {}, track.name), trackDetails);
+
+  const actions = createDOMElement('div', 'track-actions');
+  const addButton = createDOMElement('button', 'btn btn-small btn-icon btn-primary');
+  const alreadyAdded = !!currentPlaylist && currentPlaylist.tracks.some(t => t.id === track.id);
+  addButton.disabled = !currentPlaylist || alreadyAdded;
+  if (!currentPlaylist) {
+    addButton.title = 'Select a playlist to add tracks to it';
+  } else {
+    addButton.title = alreadyAdded ? `Already in ${currentPlaylist.name}` : `Add to ${currentPlaylist.name}`;
+  }
+  addButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-plus icon-white"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>`;
+  addButton.onclick = (e) => {
+    e.stopPropagation();
+    addTrackToCurrentPlaylist(track);
+  };
+  const queueButton = createDOMElement('button', 'btn btn-small btn-icon btn-primary');
+  queueButton.title = 'Add to Queue (right-click for Play Next)';
+  queueButton.innerHTML = QUEUE_ADD_ICON;
+  queueButton.onclick = (e) => {
+    e.stopPropagation();
+    addToQueue(track, playlist);
+  };
+  actions.append(queueButton, addButton);
+
+  resultEl.append(trackInfoEl, actions);
+  resultEl.addEventListener('contextmenu', (e) => showTrackContextMenu(e, track, playlist));
+
+  // Play from the track's own playlist so next/previous continue there
+  resultEl.addEventListener('click', () => {
+    frontendLogger.userAction('search-result-played', { trackId: track.id, playlistId: playlist.id });
+    playTrack(track, index, playlist);
+  });
+
+  return resultEl;
+}
+
+async function addTrackToCurrentPlaylist(track) {
+  if (!currentPlaylist || currentPlaylist.tracks.some(t => t.id === track.id)) return;
+
+  frontendLogger.userAction('search-result-added', { trackId: track.id, playlistId: currentPlaylist.id });
+  currentPlaylist.tracks.push(track);
+  await savePlaylist();
+  renderTracks();
+  showSuccessNotification('Track Added', `Added "${track.name}" to ${currentPlaylist.name}.`);
+}
+
+// Up Next queue
+// Queued tracks play before the playing playlist continues. While one plays, playingPlaylist and
+// currentTrackIndex still point at the playlist position, so the playlist resumes where it left off.
+let contextMenuTarget = null; // { track, playlist } the track context menu was opened on
+let draggedQueueIndex = -1;
+
+function resolveQueueEntry(entry) {
+  const playlist = playlists.find(p => p.id === entry.playlistId) || null;
+  const track = (playlist && playlist.tracks.find(t => t.id === entry.trackId)) || findLoadedTrack(entry.trackId);
+  return track ? { track, playlist } : null;
+}
+
+function queueChanged() {
+  savePlaybackState();
+  renderPlayQueue();
+}
+
+function addToQueue(track, playlist, playNextInQueue = false) {
+  const entry = { id: generateSessionId(), trackId: track.id, playlistId: playlist ? playlist.id : null };
+  if (playNextInQueue) {
+    playQueue.unshift(entry);
+  } else {
+    playQueue.push(entry);
+  }
+  frontendLogger.userAction(playNextInQueue ? 'queue-play-next' : 'queue-add', { trackId: track.id, playlistId: entry.playlistId });
+  queueChanged();
+}
+
+function removeFromQueue(entryId) {
+  playQueue = playQueue.filter(entry => entry.id !== entryId);
+  queueChanged();
+}
+
+function clearPlayQueue() {
+  playQueue = [];
+  queueChanged();
+}
+
+function moveQueueEntry(fromIndex, toIndex) {
+  if (fromIndex === toIndex || !playQueue[fromIndex] || !playQueue[toIndex]) return;
+  const [entry] = playQueue.splice(fromIndex, 1);
+  playQueue.splice(toIndex, 0, entry);
+  queueChanged();
+}
+
+// Play the first queued track that still exists. Returns false when the queue is empty.
+function playNextFromQueue() {
+  let dropped = false;
+  while (playQueue.length > 0) {
+    const entry = playQueue.shift();
+    const resolved = resolveQueueEntry(entry);
+    if (!resolved) {
+      frontendLogger.warn('Skipping queued track that no longer exists', { trackId: entry.trackId });
+      dropped = true;
+      continue;
+    }
+    queueChanged();
+
+    // Nothing has played yet: continue in the queued track's own playlist afterwards
+    if (!playingPlaylist && resolved.playlist) {
+      const index = resolved.playlist.tracks.indexOf(resolved.track);
+      playTrack(resolved.track, index, resolved.playlist);
+    } else {
+      playTrack(resolved.track, currentTrackIndex, playingPlaylist, { fromQueue: true });
+    }
+    return true;
+  }
+  if (dropped) queueChanged();
+  return false;
+}
+
+// Jump straight to an entry; the entries before it stay queued
+function playQueueEntry(entryId) {
+  const index = playQueue.findIndex(entry => entry.id === entryId);
+  if (index === -1) return;
+  const [entry] = playQueue.splice(index, 1);
+  playQueue.unshift(entry);
+  playNextFromQueue();
+}
+
+function togglePlayQueuePanel() {
+  const isOpen = !elements.queuePanel.classList.toggle('hidden');
+  elements.queueBtn.classList.toggle('active', isOpen);
+  if (isOpen) renderPlayQueue();
+}
+
+function createQueueEntryElement(entry, index) {
+  const resolved = resolveQueueEntry(entry);
+  const entryEl = createDOMElement('div', 'queue-item', { entryId: entry.id, queueIndex: index });
+  entryEl.draggable = true;
 
-    yesBtn.addEventListener('click', onYes);
-    noBtn.addEventListener('click', onNo);
-    modal.querySelector('.modal-close').addEventListener('click', onNo);
+  const info = createDOMElement('div', 'queue-item-info');
+  info.appendChild(createDOMElement('div', 'track-name', {}, resolved ? resolved.track.name : 'Missing track'));
+  const details = [resolved && resolved.track.artist, resolved && resolved.playlist && resolved.playlist.name].filter(Boolean);
+  if (details.length > 0) {
+    info.appendChild(createDOMElement('div', 'queue-item-details', {}, details.join(' · ')));
+  }
 
-    showModal('confirm-modal');
-    yesBtn.focus();
+  const removeButton = createDOMElement('button', 'btn btn-small btn-icon btn-secondary');
+  removeButton.title = 'Remove from Up Next';
+  removeButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-x icon-white"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
+  removeButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    removeFromQueue(entry.id);
+  });
+
+  entryEl.append(info, removeButton);
+  entryEl.addEventListener('click', () => playQueueEntry(entry.id));
+  entryEl.addEventListener('dragstart', (e) => {
+    draggedQueueIndex = index;
+    e.dataTransfer.effectAllowed = 'move';
+    entryEl.classList.add('dragging');
+  });
+  entryEl.addEventListener('dragend', () => entryEl.classList.remove('dragging'));
+  entryEl.addEventListener('dragover', (e) => e.preventDefault());
+  entryEl.addEventListener('drop', (e) => {
+    e.preventDefault();
+    moveQueueEntry(draggedQueueIndex, index);
+    draggedQueueIndex = -1;
   });
+
+  return entryEl;
 }
 
-// Download functionality
-async function downloadFromUrl() {
-  frontendLogger.info('Download button clicked');
+function renderPlayQueue() {
+  if (elements.queueBadge) {
+    elements.queueBadge.textContent = String(playQueue.length);
+    elements.queueBadge.classList.toggle('hidden', playQueue.length === 0);
+  }
+  if (!elements.queueList || elements.queuePanel.classList.contains('hidden')) return;
 
-  const url = elements.urlInput.value.trim();
-  if (!url || !currentPlaylist) {
-    frontendLogger.warn('Download attempted with missing URL or playlist', { url: !!url, hasPlaylist: !!currentPlaylist });
-    showErrorNotification('Missing Information', 'Please enter a URL and select a playlist first.');
+  elements.queueList.innerHTML = '';
+  if (playQueue.length === 0) {
+    elements.queueList.appendChild(createDOMElement('p', 'queue-empty', {}, 'Right-click a track to play it next or add it to the queue.'));
     return;
   }
+  playQueue.forEach((entry, index) => elements.queueList.appendChild(createQueueEntryElement(entry, index)));
+}
 
-  const startTime = Date.now();
-  try {
-    frontendLogger.userAction('download-from-url-initiated', {
-      url,
-      playlistId: currentPlaylist.id,
-      playlistName: currentPlaylist.name
-    });
+function showTrackContextMenu(e, track, playlist) {
+  e.preventDefault();
+  contextMenuTarget = { track, playlist };
+  const menu = elements.trackContextMenu;
+  menu.classList.remove('hidden');
+  // Keep the menu inside the window
+  const x = Math.min(e.clientX, window.innerWidth - menu.offsetWidth - 4);
+  const y = Math.min(e.clientY, window.innerHeight - menu.offsetHeight - 4);
+  menu.style.left = `${x}px`;
+  menu.style.top = `${y}px`;
+}
 
-    // Show loading overlay immediately when download starts
-    console.log('Starting download for URL:', url); // Debug log
-    showLoading('Preparing download...');
+function hideTrackContextMenu() {
+  if (elements.trackContextMenu) elements.trackContextMenu.classList.add('hidden');
+  contextMenuTarget = null;
+}
 
-    console.log('Sending IPC download request...'); // Debug log
-    const result = await ipcRenderer.invoke('download-from-url', {
-      url: url,
-      playlistId: currentPlaylist.id
-    });
-    console.log('IPC download request result:', result); // Debug log
+function onTrackContextMenuAction(e) {
+  const item = e.target.closest('.context-menu-item');
+  if (!item || !contextMenuTarget) return;
+  const { track, playlist } = contextMenuTarget;
+  addToQueue(track, playlist, item.dataset.action === 'play-next');
+  hideTrackContextMenu();
+}
 
-    elements.urlInput.value = '';
-    frontendLogger.info('Download request sent successfully', { url });
-  } catch (error) {
-    hideLoading(); // Hide loading on error
-    frontendLogger.error('Error downloading from URL', error, { url, playlistId: currentPlaylist?.id });
-    showErrorNotification('Download Error', 'Error downloading from URL. Please check the URL and try again.');
+// Playlist export menu
+let exportMenuPlaylist = null;
+
+function showPlaylistExportMenu(e, playlist) {
+  e.stopPropagation();
+  hideTrackContextMenu();
+  exportMenuPlaylist = playlist;
+  const menu = elements.playlistExportMenu;
+  menu.classList.remove('hidden');
+  // Open below the button, kept inside the window
+  const rect = e.currentTarget.getBoundingClientRect();
+  menu.style.left = `${Math.min(rect.left, window.innerWidth - menu.offsetWidth - 4)}px`;
+  menu.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - menu.offsetHeight - 4)}px`;
+}
+
+function hidePlaylistExportMenu() {
+  if (elements.playlistExportMenu) elements.playlistExportMenu.classList.add('hidden');
+  exportMenuPlaylist = null;
+}
+
+function onPlaylistExportMenuAction(e) {
+  const item = e.target.closest('.context-menu-item');
+  if (!item || !exportMenuPlaylist) return;
+  const playlist = exportMenuPlaylist;
+  hidePlaylistExportMenu();
+  exportPlaylist(playlist, item.dataset.format);
+}
+
+async function exportPlaylist(playlist, format) {
+  try {
+    frontendLogger.userAction('export-playlist', { playlistId: playlist.id, format });
+    // The zip of audio files is built from the renderer's copy; the playlist formats read the saved playlist
+    const result = format === 'zip'
+      ? await ipcRenderer.invoke('export-playlist', playlist)
+      : await ipcRenderer.invoke('export-playlist-file', { playlistId: playlist.id, format });
+    if (result && result.success) showSuccessNotification('Export Complete', result.message);
+    else if (result && !/cancelled/i.test(result.message || '')) showErrorNotification('Export Failed', result.message);
+  } catch (err) {
+    frontendLogger.error('Playlist export error', err);
+    showErrorNotification('Export Error', err.message || 'Failed to export playlist.');
   }
 }
 
@@ -2450,16 +4553,97 @@ async function savePlaylist(skipRender = false) {
 }
 
 // Track management
-async function showTrackRenameModal(track) {
-  await frontendLogger.userAction('track-rename-modal-opened', { trackId: track.id, currentName: track.name });
+// Show a cue point in m:ss; the exact value is kept for as long as the field isn't edited
+function setCuePointInput(input, seconds) {
+  input.value = seconds ? formatTime(seconds) : '';
+  input.dataset.original = input.value;
+  input.dataset.seconds = seconds ? String(seconds) : '';
+}
+
+// The cue point in a field in seconds; undefined when cleared, NaN when invalid
+function readCuePoint(input) {
+  if (input.value.trim() === input.dataset.original) {
+    return input.dataset.seconds ? Number(input.dataset.seconds) : undefined;
+  }
+  const seconds = parseTimeInput(input.value);
+  return seconds === null || seconds === 0 ? undefined : seconds;
+}
+
+// Length left after the cue points typed into the track details modal
+function updateTrimLengthPreview() {
+  const track = currentPlaylist && currentPlaylist.tracks.find(t => t.id === elements.saveTrackNameBtn.dataset.trackId);
+  if (!track || !elements.trackTrimLength) return;
+  const start = readCuePoint(elements.trackStartInput);
+  const end = readCuePoint(elements.trackEndInput);
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    elements.trackTrimLength.textContent = 'Use m:ss, h:mm:ss or seconds.';
+    return;
+  }
+  const preview = getTrackTrim({ ...track, startAt: start, endAt: end });
+  const length = preview.end - preview.start;
+  elements.trackTrimLength.textContent = track.duration
+    ? `Plays ${formatTime(length)} of ${formatTime(track.duration)}`
+    : '';
+}
+
+// What silence detection found for a track (see download settings); null if it wasn't analyzed
+function describeSilence(silence) {
+  if (!silence || silence.error || silence.version === undefined) return null;
+  const parts = [];
+  if (silence.removed) {
+    parts.push(`Removed ${formatTime(silence.leading)} of silence at the start and ${formatTime(silence.trailing)} at the end.`);
+  } else if (silence.startAt !== null || silence.endAt !== null) {
+    const cues = [];
+    if (silence.startAt !== null) cues.push(`start at ${formatTime(silence.startAt)}`);
+    if (silence.endAt !== null) cues.push(`end at ${formatTime(silence.endAt)}`);
+    parts.push(`Silence detected: ${cues.join(', ')}.`);
+  }
+  if (silence.gaps && silence.gaps.length > 0) {
+    const gaps = silence.gaps.map(gap => `${formatTime(gap.start)}-${formatTime(gap.end)}`);
+    parts.push(`Silent gap${gaps.length > 1 ? 's' : ''} at ${gaps.join(', ')}.`);
+  }
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+async function showTrackDetailsModal(track) {
+  await frontendLogger.userAction('track-details-modal-opened', { trackId: track.id, currentName: track.name });
   elements.trackNameInput.value = track.name;
+  setCuePointInput(elements.trackStartInput, track.startAt);
+  setCuePointInput(elements.trackEndInput, track.endAt);
   elements.saveTrackNameBtn.dataset.trackId = track.id;
+
+  // "Now" picks up the playback position, so it only makes sense for the playing track
+  const isPlayingTrack = !!(currentTrack && currentTrack.id === track.id && audioElement && audioElement.src);
+  elements.trackStartNowBtn.classList.toggle('hidden', !isPlayingTrack);
+  elements.trackEndNowBtn.classList.toggle('hidden', !isPlayingTrack);
+
+  const silenceInfo = describeSilence(track.silence);
+  elements.trackSilenceSuggestion.classList.toggle('hidden', !silenceInfo);
+  elements.trackSilenceInfo.textContent = silenceInfo || '';
+  const hasSuggestion = !!(silenceInfo && !track.silence.removed && (track.silence.startAt !== null || track.silence.endAt !== null));
+  elements.trackUseSuggestionBtn.classList.toggle('hidden', !hasSuggestion);
+
+  renderTrackBookmarksList(track);
+  updateTrimLengthPreview();
   showModal('track-rename-modal');
   elements.trackNameInput.focus();
 }
 
-async function saveTrackName() {
-  await frontendLogger.userAction('track-name-save-clicked');
+function useSilenceSuggestion() {
+  const track = currentPlaylist && currentPlaylist.tracks.find(t => t.id === elements.saveTrackNameBtn.dataset.trackId);
+  if (!track || !track.silence) return;
+  setCuePointInput(elements.trackStartInput, track.silence.startAt || undefined);
+  setCuePointInput(elements.trackEndInput, track.silence.endAt || undefined);
+  updateTrimLengthPreview();
+}
+
+function setCuePointToNow(input) {
+  setCuePointInput(input, getAccurateCurrentTime());
+  updateTrimLengthPreview();
+}
+
+async function saveTrackDetails() {
+  await frontendLogger.userAction('track-details-save-clicked');
   const trackId = elements.saveTrackNameBtn.dataset.trackId;
   const newName = elements.trackNameInput.value.trim();
 
@@ -2467,10 +4651,38 @@ async function saveTrackName() {
 
   const track = currentPlaylist.tracks.find(t => t.id === trackId);
   if (track) {
-    await frontendLogger.info('Renaming track', { trackId: track.id, oldName: track.name, newName });
+    const startAt = readCuePoint(elements.trackStartInput);
+    const endAt = readCuePoint(elements.trackEndInput);
+    if (Number.isNaN(startAt) || Number.isNaN(endAt)) {
+      showErrorNotification('Invalid Time', 'Enter cue points as m:ss, h:mm:ss or seconds.');
+      return;
+    }
+    if (endAt !== undefined && endAt <= (startAt || 0)) {
+      showErrorNotification('Invalid Time', 'The end point must come after the start point.');
+      return;
+    }
+    if (track.duration && (startAt || 0) >= track.duration) {
+      showErrorNotification('Invalid Time', `The start point must be before the end of the track (${formatTime(track.duration)}).`);
+      return;
+    }
+
+    await frontendLogger.info('Saving track details', { trackId: track.id, oldName: track.name, newName, startAt, endAt });
     track.name = newName;
+    if (startAt === undefined) delete track.startAt; else track.startAt = startAt;
+    if (endAt === undefined) delete track.endAt; else track.endAt = endAt;
     await savePlaylist(true);
     renderTracks();
+
+    if (currentTrack && currentTrack.id === track.id) {
+      currentTrack = track;
+      updateDurationDisplay();
+      const { start } = getPlayingTrim();
+      if (audioElement.currentTime < start) {
+        audioElement.currentTime = start;
+        try { seekClock(start); } catch (err) { frontendLogger.warn('Seek clock failed', err); }
+      }
+      updateBroadcastState();
+    }
   }
 
   hideModal('track-rename-modal');
@@ -2514,11 +4726,12 @@ async function handleFileDrop(e) {
     try {
       let track;
 
-      // Check if file has a path (from file selector) or needs content reading (from drag & drop)
-      if (file.path) {
+      // Dropped files have a path in Electron; only read the content when there is none (it can't be linked then)
+      const filePath = file.path || (webUtils && webUtils.getPathForFile ? webUtils.getPathForFile(file) : '');
+      if (filePath) {
         // File from file selector - use existing IPC handler
         track = await ipcRenderer.invoke('add-local-file', {
-          filePath: file.path,
+          filePath,
           playlistId: currentPlaylist.id
         });
       } else {
@@ -2604,7 +4817,8 @@ function handleTrackReorder(e) {
     renderTracks();
 
     // After reordering, find the new index of the currently playing track
-    if (currentTrack) {
+    // (a queued track keeps the index of the playlist position it interrupted)
+    if (currentTrack && !isPlayingFromQueue) {
       // Use optional chaining to safely access id in case of undefined blanks
       currentTrackIndex = currentPlaylist.tracks.findIndex(t => t?.id === currentTrack.id);
     }
@@ -2678,6 +4892,7 @@ async function loadSettings() {
   try {
     appConfig = await ipcRenderer.invoke('get-app-config');
     updateSettingsInputs(appConfig);
+    renderEqualizerSettings();
 
     // Initialize broadcast UI
     await updateBroadcastUI();
@@ -2685,6 +4900,7 @@ async function loadSettings() {
     // Load data path
     const currentDataPath = await ipcRenderer.invoke('get-current-data-path');
     if (elements.currentDataPath) elements.currentDataPath.value = currentDataPath;
+    await updateLinkedFilesStatus();
 
     return appConfig;
   } catch (error) {
@@ -2694,6 +4910,216 @@ async function loadSettings() {
   }
 }
 
+async function updateLinkedFilesStatus() {
+  if (!elements.linkedFilesStatus) return;
+  try {
+    const { linked, broken } = await ipcRenderer.invoke('get-linked-files-status');
+    elements.linkedFilesStatus.textContent = linked === 0
+      ? 'No linked files'
+      : `${linked} linked file${linked === 1 ? '' : 's'}${broken > 0 ? `, ${broken} not found` : ''}`;
+    elements.linkedFilesStatus.classList.toggle('status-missing', broken > 0);
+    if (elements.relinkFilesBtn) elements.relinkFilesBtn.disabled = broken === 0;
+  } catch (error) {
+    frontendLogger.error('Failed to check linked files', error);
+  }
+}
+
+// Point linked tracks at their files' new location, e.g. after a NAS share was mounted elsewhere
+async function relinkLinkedFiles() {
+  try {
+    const result = await ipcRenderer.invoke('relink-linked-files');
+    if (!result.success) return;
+    frontendLogger.userAction('relink-linked-files', { broken: result.broken, relinked: result.relinked });
+    if (result.relinked > 0) {
+      await reloadAndRefreshUI(currentPlaylist ? currentPlaylist.id : null);
+    }
+    const notFound = result.broken - result.relinked;
+    if (notFound > 0) {
+      showErrorNotification('Relink', `Relinked ${result.relinked} file(s); ${notFound} still not found in that folder.`);
+    } else if (result.broken > 0) {
+      showSuccessNotification('Relink', `Relinked ${result.relinked} file(s).`);
+    }
+  } catch (error) {
+    showErrorNotification('Relink', error.message);
+  } finally {
+    await updateLinkedFilesStatus();
+  }
+}
+
+// Library integrity check
+const INTEGRITY_ISSUE_LABELS = {
+  missing: 'File not found',
+  empty: 'File is empty',
+  unreadable: 'File can\'t be decoded',
+  'no-duration': 'No duration',
+  'broken-icon': 'Playlist icon not found'
+};
+let integrityReport = null;
+let isIntegrityCheckRunning = false;
+
+function setIntegrityStatus(text) {
+  if (!elements.integrityStatus) return;
+  elements.integrityStatus.textContent = text || '';
+  elements.integrityStatus.classList.toggle('hidden', !text);
+}
+
+function openIntegrityPanel() {
+  showModal('integrity-modal');
+  if (integrityReport) renderIntegrityReport();
+  else runLibraryCheck();
+}
+
+async function runLibraryCheck() {
+  if (isIntegrityCheckRunning) return;
+  isIntegrityCheckRunning = true;
+  elements.runIntegrityCheckBtn.disabled = true;
+  elements.integrityList.innerHTML = '';
+  setIntegrityStatus('Checking library...');
+  try {
+    const result = await ipcRenderer.invoke('check-library-integrity');
+    if (!result.success) {
+      setIntegrityStatus(result.message);
+      return;
+    }
+    integrityReport = result;
+    frontendLogger.userAction('library-check', {
+      playlists: result.playlists.length,
+      unreferenced: result.unreferenced.length
+    });
+    renderIntegrityReport();
+  } catch (error) {
+    setIntegrityStatus('');
+    showErrorNotification('Library Check', error.message);
+  } finally {
+    isIntegrityCheckRunning = false;
+    elements.runIntegrityCheckBtn.disabled = false;
+  }
+}
+
+function renderIntegrityReport() {
+  const container = elements.integrityList;
+  const { checkedTracks, probed, playlists: reported, unreferenced } = integrityReport;
+  const issueCount = reported.reduce((sum, p) => sum + p.issues.length, 0);
+
+  let summary = `Checked ${checkedTracks} tracks: ${issueCount === 0 ? 'no problems found' : `${issueCount} problem${issueCount === 1 ? '' : 's'} in ${reported.length} playlist${reported.length === 1 ? '' : 's'}`}.`;
+  if (!probed) summary += ' FFprobe is not available, so files were not test-decoded.';
+  setIntegrityStatus(summary);
+
+  container.innerHTML = '';
+  reported.forEach((playlist) => {
+    container.appendChild(createDOMElement('h4', 'integrity-playlist', {}, playlist.name));
+    playlist.issues.forEach(issue => container.appendChild(createIntegrityIssueElement(playlist, issue)));
+  });
+
+  if (unreferenced.length > 0) {
+    const totalSize = unreferenced.reduce((sum, file) => sum + file.size, 0);
+    container.appendChild(createDOMElement('h4', 'integrity-playlist', {}, 'Not in any playlist'));
+    const row = createDOMElement('div', 'integrity-entry');
+    const infoEl = createDOMElement('div', 'integrity-info');
+    infoEl.append(
+      createDOMElement('span', 'integrity-name', {}, `${unreferenced.length} unused file${unreferenced.length === 1 ? '' : 's'} in songs/`),
+      createDOMElement('span', 'integrity-details', {}, formatBytes(totalSize))
+    );
+    infoEl.title = unreferenced.map(file => file.name).join('\n');
+    const actions = createDOMElement('div', 'download-job-actions');
+    actions.appendChild(createQueueActionButton('Delete Files', () => deleteUnreferencedFiles()));
+    row.append(infoEl, actions);
+    container.appendChild(row);
+  }
+
+  if (issueCount === 0 && unreferenced.length === 0) {
+    container.appendChild(createDOMElement('p', 'download-queue-empty', {}, 'Every track has a playable file and every icon was found.'));
+  }
+}
+
+function createIntegrityIssueElement(playlist, issue) {
+  let details = INTEGRITY_ISSUE_LABELS[issue.type] || issue.type;
+  if (issue.detail) details += `: ${issue.detail}`;
+  if (issue.linked) details += ' (linked file)';
+
+  const row = createDOMElement('div', 'integrity-entry');
+  const infoEl = createDOMElement('div', 'integrity-info');
+  infoEl.append(
+    createDOMElement('span', 'integrity-name', {}, issue.type === 'broken-icon' ? issue.iconPath : issue.name),
+    createDOMElement('span', 'integrity-details', {}, details)
+  );
+
+  const repair = action => repairIntegrityIssue(playlist, issue, action);
+  const actions = createDOMElement('div', 'download-job-actions');
+  if (issue.type === 'broken-icon') {
+    actions.appendChild(createQueueActionButton('Clear Icon', () => repair('clear-icon')));
+  } else if (issue.type === 'no-duration') {
+    actions.appendChild(createQueueActionButton('Fix Duration', () => repair('fix-duration')));
+  } else {
+    if (issue.url) actions.appendChild(createQueueActionButton('Re-download', () => repair('redownload')));
+    actions.append(
+      createQueueActionButton('Relink...', () => repair('relink')),
+      createQueueActionButton('Remove', () => repair('remove'))
+    );
+  }
+
+  row.append(infoEl, actions);
+  return row;
+}
+
+async function repairIntegrityIssue(playlist, issue, action) {
+  if (action === 'remove') {
+    const confirmed = await confirmDialog(`Remove "${issue.name}" from ${playlist.name}?`, 'Remove Track');
+    if (!confirmed) return;
+  }
+  try {
+    const result = await ipcRenderer.invoke('repair-integrity-issue', { action, playlistId: playlist.id, trackId: issue.trackId });
+    if (!result.success) {
+      if (result.message && action !== 'relink') showErrorNotification('Library Check', result.message);
+      return;
+    }
+    frontendLogger.userAction('integrity-issue-repaired', { action, playlistId: playlist.id, trackId: issue.trackId });
+
+    // A fixed file is fixed in every playlist that has the track; removing only affects this playlist
+    const isSettled = (p, i) => (issue.trackId && action !== 'remove'
+      ? i.trackId === issue.trackId
+      : p.id === playlist.id && i.trackId === issue.trackId && i.type === issue.type);
+    integrityReport.playlists = integrityReport.playlists
+      .map(p => ({ ...p, issues: p.issues.filter(i => !isSettled(p, i)) }))
+      .filter(p => p.issues.length > 0);
+    renderIntegrityReport();
+
+    if (result.queued) {
+      showSuccessNotification('Library Check', `Downloading "${issue.name}" again.`);
+    } else {
+      await reloadAndRefreshUI(currentPlaylist ? currentPlaylist.id : null);
+    }
+  } catch (error) {
+    showErrorNotification('Library Check', error.message);
+  }
+}
+
+async function deleteUnreferencedFiles() {
+  const count = integrityReport.unreferenced.length;
+  const confirmed = await confirmDialog(
+    `Delete ${count} file${count === 1 ? '' : 's'} from the songs folder that no playlist uses?`,
+    'Delete Unused Files'
+  );
+  if (!confirmed) return;
+  try {
+    const result = await ipcRenderer.invoke('repair-integrity-issue', { action: 'delete-unreferenced' });
+    integrityReport.unreferenced = [];
+    renderIntegrityReport();
+    showSuccessNotification('Library Check', `Deleted ${result.deleted} unused file${result.deleted === 1 ? '' : 's'}.`);
+  } catch (error) {
+    showErrorNotification('Library Check', error.message);
+  }
+}
+
+ipcRenderer.on('integrity-check-progress', (event, { checked, total }) => {
+  if (isIntegrityCheckRunning) setIntegrityStatus(`Checking library... ${checked}/${total} tracks`);
+});
+
+ipcRenderer.on('track-repaired', async (event, { trackId }) => {
+  await reloadAndRefreshUI(currentPlaylist ? currentPlaylist.id : null);
+  frontendLogger.info('Missing file downloaded again', { trackId });
+});
+
 // Load app version from package.json
 async function loadAppVersion() {
   try {
@@ -2826,6 +5252,187 @@ async function saveSettings() {
   }
 }
 
+// Equalizer
+// appConfig.equalizer holds the global settings; a playlist's own `equalizer` overrides them
+// while that playlist is playing. The settings panel edits either one.
+const EQ_SAVE_DELAY_MS = 400;
+let eqSaveTimer = null;
+let eqSavePlaylist = null; // playlist whose override changed since the last save
+
+function getGlobalEqualizer() {
+  if (!appConfig.equalizer) {
+    appConfig.equalizer = { enabled: true, preset: 'flat', gains: normalizeGains([]), userPresets: {} };
+  }
+  if (!appConfig.equalizer.userPresets) appConfig.equalizer.userPresets = {};
+  return appConfig.equalizer;
+}
+
+function applyEqualizer() {
+  const global = getGlobalEqualizer();
+  const settings = playingPlaylist && playingPlaylist.equalizer ? playingPlaylist.equalizer : global;
+  const gains = normalizeGains(global.enabled === false ? [] : settings.gains);
+  const now = audioCtx.currentTime;
+  eqFilters.forEach((filter, i) => {
+    // Short glide so preset changes don't click
+    filter.gain.setTargetAtTime(gains[i], now, 0.02);
+  });
+}
+
+// The settings object the panel is currently editing
+function getEditedEqualizer() {
+  if (elements.eqScope && elements.eqScope.value === 'playlist' && currentPlaylist && currentPlaylist.equalizer) {
+    return currentPlaylist.equalizer;
+  }
+  return getGlobalEqualizer();
+}
+
+function scheduleEqualizerSave(playlist = null) {
+  if (playlist) eqSavePlaylist = playlist;
+  clearTimeout(eqSaveTimer);
+  eqSaveTimer = setTimeout(async () => {
+    const changedPlaylist = eqSavePlaylist;
+    eqSavePlaylist = null;
+    try {
+      await ipcRenderer.invoke('save-app-config', appConfig);
+      if (changedPlaylist) await ipcRenderer.invoke('update-playlist', changedPlaylist);
+    } catch (error) {
+      frontendLogger.error('Failed to save equalizer settings', error);
+      showErrorNotification('Equalizer', 'Failed to save equalizer settings.');
+    }
+  }, EQ_SAVE_DELAY_MS);
+}
+
+function equalizerChanged() {
+  applyEqualizer();
+  scheduleEqualizerSave(getEditedEqualizer() === getGlobalEqualizer() ? null : currentPlaylist);
+}
+
+function formatFrequency(frequency) {
+  return frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+}
+
+function formatGain(gain) {
+  return `${gain > 0 ? '+' : ''}${gain} dB`;
+}
+
+function renderEqualizerPresets() {
+  const edited = getEditedEqualizer();
+  const presets = listPresets(getGlobalEqualizer().userPresets);
+  const isKnownPreset = presets.some(preset => preset.id === edited.preset);
+
+  elements.eqPreset.innerHTML = '';
+  if (!isKnownPreset) elements.eqPreset.appendChild(new Option('Custom', 'custom'));
+  presets.forEach(preset => elements.eqPreset.appendChild(new Option(preset.name, preset.id)));
+  elements.eqPreset.value = isKnownPreset ? edited.preset : 'custom';
+  elements.deleteEqPresetBtn.disabled = !isKnownPreset || !edited.preset.startsWith(USER_PRESET_PREFIX);
+}
+
+function renderEqualizerBands() {
+  const gains = normalizeGains(getEditedEqualizer().gains);
+  elements.eqBands.innerHTML = '';
+
+  EQ_BANDS.forEach((frequency, i) => {
+    const band = createDOMElement('div', 'eq-band');
+    const valueLabel = createDOMElement('span', 'eq-band-value', {}, formatGain(gains[i]));
+    const slider = createDOMElement('input', 'slider eq-band-slider');
+    slider.type = 'range';
+    slider.min = -EQ_MAX_GAIN;
+    slider.max = EQ_MAX_GAIN;
+    slider.step = 0.5;
+    slider.value = gains[i];
+    slider.addEventListener('input', () => {
+      const edited = getEditedEqualizer();
+      edited.gains = normalizeGains(edited.gains);
+      edited.gains[i] = Number(slider.value);
+      edited.preset = 'custom';
+      valueLabel.textContent = formatGain(edited.gains[i]);
+      renderEqualizerPresets();
+      equalizerChanged();
+    });
+    band.append(createDOMElement('span', 'eq-band-label', {}, `${formatFrequency(frequency)} Hz`), slider, valueLabel);
+    elements.eqBands.appendChild(band);
+  });
+}
+
+function renderEqualizerSettings() {
+  if (!elements.eqBands) return;
+
+  const playlistOption = elements.eqScope.querySelector('option[value="playlist"]');
+  playlistOption.disabled = !currentPlaylist;
+  playlistOption.textContent = currentPlaylist ? `Only "${currentPlaylist.name}"` : 'Selected playlist only';
+  elements.eqScope.value = currentPlaylist && currentPlaylist.equalizer ? 'playlist' : 'global';
+  elements.eqEnabled.checked = getGlobalEqualizer().enabled !== false;
+
+  renderEqualizerPresets();
+  renderEqualizerBands();
+}
+
+// Switch the selected playlist between its own equalizer and the global one
+function onEqualizerScopeChange() {
+  if (!currentPlaylist) {
+    elements.eqScope.value = 'global';
+    return;
+  }
+  if (elements.eqScope.value === 'playlist') {
+    const global = getGlobalEqualizer();
+    currentPlaylist.equalizer = { preset: global.preset, gains: normalizeGains(global.gains) };
+  } else {
+    delete currentPlaylist.equalizer;
+  }
+  frontendLogger.userAction('equalizer-scope-changed', { playlistId: currentPlaylist.id, scope: elements.eqScope.value });
+  renderEqualizerSettings();
+  applyEqualizer();
+  scheduleEqualizerSave(currentPlaylist);
+}
+
+function onEqualizerPresetChange() {
+  const presetId = elements.eqPreset.value;
+  const gains = getPresetGains(presetId, getGlobalEqualizer().userPresets);
+  if (!gains) return;
+
+  const edited = getEditedEqualizer();
+  edited.preset = presetId;
+  edited.gains = gains;
+  renderEqualizerPresets();
+  renderEqualizerBands();
+  equalizerChanged();
+}
+
+function saveEqualizerPreset() {
+  const name = elements.eqPresetName.value.trim();
+  if (!name) {
+    showErrorNotification('Equalizer', 'Enter a name for the preset.');
+    return;
+  }
+
+  const edited = getEditedEqualizer();
+  getGlobalEqualizer().userPresets[name] = normalizeGains(edited.gains);
+  edited.preset = USER_PRESET_PREFIX + name;
+  elements.eqPresetName.value = '';
+  frontendLogger.userAction('equalizer-preset-saved', { name });
+  renderEqualizerPresets();
+  equalizerChanged();
+}
+
+async function deleteEqualizerPreset() {
+  const edited = getEditedEqualizer();
+  if (!edited.preset || !edited.preset.startsWith(USER_PRESET_PREFIX)) return;
+
+  const name = edited.preset.slice(USER_PRESET_PREFIX.length);
+  if (!await confirmDialog(`Delete the equalizer preset "${name}"?`, 'Delete Preset')) return;
+
+  const global = getGlobalEqualizer();
+  delete global.userPresets[name];
+  // Anything still pointing at the preset keeps its gains as a custom curve
+  for (const settings of [global, ...playlists.map(p => p.equalizer).filter(Boolean)]) {
+    if (settings.preset === edited.preset) settings.preset = 'custom';
+  }
+  edited.preset = 'custom';
+  frontendLogger.userAction('equalizer-preset-deleted', { name });
+  renderEqualizerPresets();
+  equalizerChanged();
+}
+
 // Broadcast-specific settings functions
 async function saveBroadcastSettings() {
   try {
@@ -2890,6 +5497,8 @@ function updateBroadcastStatus(isRunning, url) {
 
 function updateBroadcastState(extra = {}) {
   try {
+    // The stream and listeners' clocks use the same trim window as the player
+    const trim = getPlayingTrim();
     const broadcastState = {
       track: currentTrack ? {
         id: currentTrack.id,
@@ -2897,7 +5506,10 @@ function updateBroadcastState(extra = {}) {
         artist: currentTrack.artist || 'Unknown Artist',
         filePath: currentTrack.filePath,
         duration: currentTrack.duration || 0,
+        startAt: trim.start,
+        endAt: trim.end,
         volume: typeof currentTrack.volume === 'number' ? currentTrack.volume : 1,
+        gainDb: getNormalizationDb(currentTrack), // applied to the stream by ffmpeg
         thumbnail: currentTrack.thumbnail || null
       } : null,
       isPlaying: isPlaying,
@@ -2911,6 +5523,7 @@ function updateBroadcastState(extra = {}) {
       } : null,
       repeat: isRepeat,
       shuffle: isShuffle,
+      playbackRate: currentPlaybackRate, // listeners' clocks and the stream's tempo follow it
       timestamp: Date.now(), // Add server timestamp for synchronization
       ...extra
     };
@@ -3021,6 +5634,8 @@ async function savePlaybackState() {
   // Save shuffle state
   appConfig.playbackState.isShuffle = isShuffle;
 
+  appConfig.playbackState.queue = playQueue;
+
 }
 
 async function restorePlaybackState() {
@@ -3068,6 +5683,12 @@ async function restorePlaybackState() {
       // If shuffle was enabled, we'll regenerate shuffled indices when a playlist is selected
     }
 
+    // Restore the Up Next queue; entries are resolved against playlists when they play
+    if (Array.isArray(state.queue)) {
+      playQueue = state.queue.filter(entry => entry && entry.id && entry.trackId);
+      renderPlayQueue();
+    }
+
     // Restore playlist and track
     if (state.currentPlaylistId && state.currentTrackId) {
       console.log('Attempting to restore playlist and track');
@@ -3107,15 +5728,19 @@ async function restorePlaybackState() {
           // Load the track but don't auto-play
           currentTrack = track;
           currentTrackIndex = trackIndex;
+          loadWaveform(track);
 
           // Set up audio source
           audioElement.src = track.filePath;
+          applyPlaybackRate(getPlaybackRateFor(track, playlist));
 
           // Wait for metadata to load, then set current time
           audioElement.addEventListener('loadedmetadata', () => {
             // Only restore track time if setting is enabled
             if (typeof state.currentTime === 'number' && state.currentTime >= 0 && state.saveTrackTime !== false) {
-              audioElement.currentTime = state.currentTime;
+              audioElement.currentTime = Math.max(state.currentTime, getPlayingTrim().start);
+            } else {
+              audioElement.currentTime = getPlayingTrim().start;
             }
             updatePlayerUI();
             updateTrackHighlight();
@@ -3216,6 +5841,11 @@ function setupErrorHandlers() {
 
   // Enhanced audio error handling system
   let errorHandlingInProgress = false;
+  let unplayableLinkedTracks = 0; // in a row, so a disconnected drive doesn't skip through the playlist forever
+
+  audioElement.addEventListener('playing', () => {
+    unplayableLinkedTracks = 0;
+  });
 
   // Primary error handler - catches most errors
   audioElement.addEventListener('error', async (event) => {
@@ -3245,6 +5875,23 @@ function setupErrorHandlers() {
       src: src
     });
 
+    // A linked file may be on a drive that isn't connected; skip it and leave it for relinking
+    if (currentTrack.linked) {
+      showErrorNotification('File Not Found', `${currentTrack.name} could not be played. Reconnect its drive or use Relink Moved Files in settings.`);
+      unplayableLinkedTracks++;
+      if (currentPlaylist && unplayableLinkedTracks < currentPlaylist.tracks.length) {
+        setTimeout(() => {
+          errorHandlingInProgress = false;
+          playNext();
+        }, 500);
+      } else {
+        unplayableLinkedTracks = 0;
+        errorHandlingInProgress = false;
+        resetPlayerUI();
+      }
+      return;
+    }
+
     // Automatic track disposal for missing files
     const trackToRemove = currentTrack;
     frontendLogger.warn(`Removing problematic track: ${trackToRemove.name} (file likely missing or corrupt)`);
@@ -3327,24 +5974,6 @@ try {
   console.error('Failed to wire cookies.txt upload button', uiErr);
 }
 
-// Track current download progress
-let currentDownloadProgress = {
-  title: '',
-  percentage: 0,
-  isDownloading: false
-};
-
-// Helper function to reset download progress
-function resetDownloadProgress() {
-  currentDownloadProgress = {
-    title: '',
-    percentage: 0,
-    isDownloading: false
-  };
-}
-
-
-
 // Helper to reload playlists and refresh the UI, typically after a background update
 async function reloadAndRefreshUI(playlistIdToRefresh = null) {
   frontendLogger.info('Reloading playlists and refreshing UI');
@@ -3363,13 +5992,6 @@ async function reloadAndRefreshUI(playlistIdToRefresh = null) {
 ipcRenderer.on('download-complete', async (event, data) => {
   frontendLogger.info('Download completed', data);
 
-  resetDownloadProgress();
-
-  // Add a small delay so users can see the completion message
-  setTimeout(() => {
-    hideLoading();
-  }, 2000); // 2 second delay
-
   if (data && data.downloadedTracks && data.downloadedTracks.length > 0) {
     await reloadAndRefreshUI(data.playlistId);
   }
@@ -3393,7 +6015,7 @@ function handleNewTracks(playlistId, tracksToAdd) {
 
   const playlist = playlists.find(p => p.id === playlistId);
   if (playlist) {
-    playlist.tracks.push(...tracksToAdd);
+    playlist.tracks.push(...tracksToAdd.map(track => findLoadedTrack(track.id) || track));
     refreshPlaylistUI(playlistId);
     frontendLogger.info(`Playlist updated successfully with ${tracksToAdd.length} new track(s).`);
   } else {
@@ -3409,49 +6031,24 @@ ipcRenderer.on('track-downloaded', (event, { playlistId, track }) => {
   }
 });
 
-ipcRenderer.on('download-progress', (event, { taskId, progress, trackInfo }) => {
-  console.log('Download progress received:', { taskId, progress, trackInfo }); // Debug log
-  frontendLogger.info('Download progress update', { taskId, progress, track: trackInfo?.title || 'unknown' });
-
-  let message = '';
-  if (trackInfo) {
-    // Stage: preparing downloads with total track count
-    if (trackInfo.totalTracks !== undefined) {
-      message = trackInfo.title;
-      if (trackInfo.skippedTracks > 0) {
-        message += ` (${trackInfo.skippedTracks} already exist)`;
-      }
-    } else
-      // Special case: initial metadata fetch
-      if (taskId === 'fetching-info') {
-        message = trackInfo.title;
-      } else if (trackInfo.completed !== undefined && trackInfo.total !== undefined) {
-        // Overall progress message
-        const progressPercent = typeof progress === 'number' ? `${progress}%` : '';
-        message = `${trackInfo.title} (${trackInfo.completed}/${trackInfo.total}) ${progressPercent}`;
-
-        if (trackInfo.successful > 0 || trackInfo.failed > 0) {
-          const stats = [];
-          if (trackInfo.successful > 0) stats.push(`${trackInfo.successful} successful`);
-          if (trackInfo.failed > 0) stats.push(`${trackInfo.failed} failed`);
-          if (stats.length > 0) {
-            message += ` - ${stats.join(', ')}`;
-          }
-        }
-      } else {
-        // Individual track progress
-        const titlePart = trackInfo.title ? `"${trackInfo.title}"` : '...';
-        const progressPart = typeof progress === 'number' ? `${progress.toFixed(1)}%` : '';
-        message = `Downloading ${titlePart} ${progressPart}`.trim();
-      }
-  } else {
-    // Fallback message
-    const progressPart = typeof progress === 'number' ? `${progress.toFixed(1)}%` : '';
-    message = `Downloading... ${progressPart}`.trim();
-  }
+// Damaged playlists or settings were replaced with their latest snapshot
+ipcRenderer.on('files-recovered', (event, files) => {
+  const restored = files.map(file => `${file.name} (copy from ${new Date(file.savedAt).toLocaleString()})`);
+  showErrorNotification(
+    'Files Recovered',
+    `Some files were damaged, probably by a crash or power loss, and were restored from their last good copy: ${restored.join(', ')}. Changes made after that copy are lost.`
+  );
+  frontendLogger.warn('Damaged files restored from snapshots', { files });
+});
+
+ipcRenderer.on('playlist-sources-updated', async (event, { playlistId }) => {
+  await reloadAndRefreshUI(playlistId);
+  if (sourcesPlaylistId === playlistId) renderPlaylistSources();
+});
 
-  console.log('Updating loading message to:', message); // Debug log
-  showLoading(message);
+ipcRenderer.on('download-queue-updated', (event, snapshot) => {
+  downloadQueueSnapshot = snapshot || { jobs: [] };
+  renderDownloadQueue();
 });
 
 // Stop playback when requested by main process (e.g., before backup restore)
@@ -3461,10 +6058,8 @@ ipcRenderer.on('stop-playback', () => {
       currentAudio.pause();
       currentAudio.src = '';
     }
-    if (typeof audioElement !== 'undefined' && audioElement && typeof audioElement.pause === 'function') {
-      audioElement.pause();
-      audioElement.src = '';
-    }
+    // Both decks, so a preloaded next track doesn't keep its file open either
+    audioDecks.forEach(deck => resetDeck(deck));
     isPlaying = false;
     resetPlayerUI();
     frontendLogger.info('Playback stopped by main process');
@@ -3479,15 +6074,9 @@ ipcRenderer.on('download-error', (event, errorData) => {
   // Enhanced error logging with more details
   frontendLogger.error('Download failed with error details', errorData, {
     timestamp: new Date().toISOString(),
-    userAgent: navigator.userAgent,
-    downloadInProgress: currentDownloadProgress.isDownloading
+    userAgent: navigator.userAgent
   });
 
-  // Reset progress tracking
-  resetDownloadProgress();
-
-  hideLoading();
-
   // Show proper UI notification instead of alert
   showErrorNotification(
     'Download Failed',
@@ -3497,6 +6086,30 @@ ipcRenderer.on('download-error', (event, errorData) => {
 
 
 
+ipcRenderer.on('loudness-analysis-complete', async (event, result) => {
+  frontendLogger.info(`Loudness analysis completed: ${result.analyzed} tracks analysed, ${result.failed} failed`);
+  if (result.analyzed === 0) return;
+
+  await reloadAndRefreshUI(currentPlaylist?.id);
+  // Point the playing track at its reloaded copy so the new gain applies right away
+  if (currentTrack) {
+    currentTrack = findLoadedTrack(currentTrack.id) || currentTrack;
+    applyNormalization();
+  }
+});
+
+// Silence detection may have set trim points or shortened files
+ipcRenderer.on('silence-analysis-complete', async (event, result) => {
+  frontendLogger.info(`Silence detection completed: ${result.analyzed} tracks analysed, ${result.failed} failed`);
+  if (result.analyzed === 0) return;
+
+  await reloadAndRefreshUI(currentPlaylist?.id);
+  if (currentTrack) {
+    currentTrack = findLoadedTrack(currentTrack.id) || currentTrack;
+    updateDurationDisplay();
+  }
+});
+
 ipcRenderer.on('durations-updated', async (event, result) => {
   frontendLogger.info(`Duration update completed: ${result.updated} tracks updated, ${result.failed} failed`);
 
@@ -0,0 +1,387 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const extract = require('extract-zip');
+const logger = require('./logger');
+
+const BACKUP_FORMAT = 'mmp-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_PREFIX = 'mmp-backup-';
+const MANIFEST_ENTRY = 'manifest.json';
+const MANIFEST_SUFFIX = '.manifest.json';
+
+// What a backup covers, relative to the data directory. Logs, locks, cookies and the
+// download queue are deliberately left out.
+const BACKUP_ITEMS = ['songs', 'playlists', 'icons', 'library.json', 'config/app.json', 'config/theme.json', 'config/watched-folders.json'];
+
+// Unfinished downloads, other temporary files and the JSON snapshots kept by safeJson
+const SKIPPED_FILE_PATTERN = /\.(part|ytdl|tmp|bak|corrupt)$/i;
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Manifest paths always use forward slashes so backups move between platforms
+function toManifestPath(relPath) {
+  return relPath.split(path.sep).join('/');
+}
+
+// Reject manifest paths that would land outside the backed-up items ("../../x", absolute paths)
+function isSafeManifestPath(relPath) {
+  if (typeof relPath !== 'string' || relPath.startsWith('/') || /^[a-zA-Z]:/.test(relPath)) return false;
+  const parts = relPath.split('/');
+  if (parts.some(part => part === '' || part === '.' || part === '..' || part.includes('\\'))) return false;
+  return BACKUP_ITEMS.some(item => relPath === item || relPath.startsWith(`${item}/`));
+}
+
+function isSafeEntryPath(entry) {
+  if (typeof entry !== 'string' || !entry.startsWith('files/')) return false;
+  return isSafeManifestPath(entry.slice('files/'.length));
+}
+
+/**
+ * Incremental library backups. Each backup is a single zip holding a manifest of every file in
+ * the library with its size and SHA-256, plus the files that changed since the previous backup.
+ * Unchanged files point at the older archive that already holds them, so restoring a backup
+ * needs the archives it refers to in the same folder.
+ * A copy of each manifest is kept next to its archive so the next backup can be planned
+ * without opening any zip.
+ */
+class BackupManager {
+  constructor(dataPath) {
+    this.dataPath = dataPath;
+  }
+
+  async collectFiles() {
+    const files = [];
+    const visit = async (relPath) => {
+      const absPath = path.join(this.dataPath, relPath);
+      let stat;
+      try {
+        stat = await fs.stat(absPath);
+      } catch (error) {
+        return; // optional item such as theme.json
+      }
+      if (stat.isDirectory()) {
+        for (const name of await fs.readdir(absPath)) {
+          await visit(path.join(relPath, name));
+        }
+      } else if (stat.isFile() && !SKIPPED_FILE_PATTERN.test(relPath)) {
+        files.push({ relPath: toManifestPath(relPath), absPath, size: stat.size, mtimeMs: Math.floor(stat.mtimeMs) });
+      }
+    };
+    for (const item of BACKUP_ITEMS) {
+      await visit(path.join(...item.split('/')));
+    }
+    return files;
+  }
+
+  /**
+   * Manifests of the backups in a folder, newest first
+   * @param {string} directory
+   * @returns {Promise<object[]>} manifests with an extra `archive` file name
+   */
+  async readManifests(directory) {
+    if (!directory || !(await fs.pathExists(directory))) return [];
+
+    const manifests = [];
+    for (const name of await fs.readdir(directory)) {
+      if (!name.startsWith(BACKUP_PREFIX) || !name.endsWith(MANIFEST_SUFFIX)) continue;
+      const archive = name.slice(0, -MANIFEST_SUFFIX.length) + '.zip';
+      try {
+        if (!(await fs.pathExists(path.join(directory, archive)))) continue;
+        const manifest = await fs.readJson(path.join(directory, name));
+        manifests.push({ ...manifest, archive });
+      } catch (error) {
+        logger.warn(`Skipping unreadable backup manifest: ${name}`, error);
+      }
+    }
+    return manifests.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  async listBackups(directory) {
+    const manifests = await this.readManifests(directory);
+    return manifests.map(manifest => ({
+      archive: manifest.archive,
+      filePath: path.join(directory, manifest.archive),
+      createdAt: manifest.createdAt,
+      appVersion: manifest.appVersion,
+      fileCount: Object.keys(manifest.files || {}).length,
+      totalBytes: manifest.totalBytes || 0,
+      addedFiles: manifest.addedFiles || 0,
+      addedBytes: manifest.addedBytes || 0
+    }));
+  }
+
+  /**
+   * Write a new backup archive to `directory`, storing only files the previous backup doesn't hold
+   * @param {string} directory
+   * @param {{appVersion?: string, onProgress?: function}} options
+   * @returns {Promise<{archive: string, fileCount: number, addedFiles: number, addedBytes: number}>}
+   */
+  async createBackup(directory, { appVersion = null, onProgress = () => {} } = {}) {
+    await fs.ensureDir(directory);
+
+    const createdAt = new Date();
+    const stamp = createdAt.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const archiveName = `${BACKUP_PREFIX}${stamp}.zip`;
+    const archivePath = path.join(directory, archiveName);
+    if (await fs.pathExists(archivePath)) {
+      throw new Error('A backup was created less than a second ago');
+    }
+
+    const [previous] = await this.readManifests(directory);
+    const previousFiles = (previous && previous.files) || {};
+    const archiveExists = new Map();
+    const isStored = async (location) => {
+      if (!archiveExists.has(location.archive)) {
+        archiveExists.set(location.archive, await fs.pathExists(path.join(directory, location.archive)));
+      }
+      return archiveExists.get(location.archive);
+    };
+
+    // Checksums of everything the older archives hold, so renamed or copied files aren't stored twice
+    const storedByHash = new Map();
+    for (const info of Object.values(previousFiles)) {
+      if (info.sha256 && !storedByHash.has(info.sha256)) storedByHash.set(info.sha256, info);
+    }
+
+    const files = await this.collectFiles();
+    const manifestFiles = {};
+    const toAdd = [];
+    let totalBytes = 0;
+    let addedBytes = 0;
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      onProgress({ phase: 'scanning', done: i, total: files.length });
+      totalBytes += file.size;
+
+      // Same size and modification time as last time: trust the previous checksum
+      const known = previousFiles[file.relPath];
+      if (known && known.size === file.size && known.mtimeMs === file.mtimeMs && await isStored(known)) {
+        manifestFiles[file.relPath] = { ...known };
+        continue;
+      }
+
+      const sha256 = await hashFile(file.absPath);
+      const stored = storedByHash.get(sha256);
+      if (stored && stored.size === file.size && await isStored(stored)) {
+        manifestFiles[file.relPath] = { size: file.size, mtimeMs: file.mtimeMs, sha256, archive: stored.archive, entry: stored.entry };
+        continue;
+      }
+
+      const entry = { size: file.size, mtimeMs: file.mtimeMs, sha256, archive: archiveName, entry: `files/${file.relPath}` };
+      manifestFiles[file.relPath] = entry;
+      storedByHash.set(sha256, entry);
+      toAdd.push(file);
+      addedBytes += file.size;
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: createdAt.toISOString(),
+      appVersion,
+      totalBytes,
+      addedFiles: toAdd.length,
+      addedBytes,
+      files: manifestFiles
+    };
+
+    // Write under a temporary name so an interrupted backup never looks like a finished one
+    const partialPath = `${archivePath}.partial`;
+    try {
+      await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(partialPath);
+        // Audio is already compressed; storing it as-is keeps backups fast
+        const archive = archiver('zip', { store: true });
+
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+        archive.on('progress', ({ entries }) => {
+          onProgress({ phase: 'archiving', done: entries.processed, total: entries.total });
+        });
+
+        archive.pipe(output);
+        for (const file of toAdd) {
+          archive.file(file.absPath, { name: `files/${file.relPath}` });
+        }
+        archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_ENTRY });
+        archive.finalize();
+      });
+      await fs.move(partialPath, archivePath);
+    } catch (error) {
+      await fs.remove(partialPath).catch(() => {});
+      throw error;
+    }
+
+    const manifestPath = path.join(directory, archiveName.slice(0, -'.zip'.length) + MANIFEST_SUFFIX);
+    await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+
+    return { archive: archiveName, fileCount: files.length, addedFiles: toAdd.length, addedBytes };
+  }
+
+  /**
+   * Keep the newest `keepCount` backups. Older archives are deleted once no kept backup refers to them.
+   * @returns {Promise<number>} number of archives deleted
+   */
+  async prune(directory, keepCount) {
+    const manifests = await this.readManifests(directory);
+    const kept = manifests.slice(0, Math.max(1, Math.floor(Number(keepCount)) || 1));
+    for (const manifest of manifests.slice(kept.length)) {
+      await fs.remove(path.join(directory, manifest.archive.slice(0, -'.zip'.length) + MANIFEST_SUFFIX));
+    }
+
+    const referenced = new Set(kept.map(manifest => manifest.archive));
+    for (const manifest of kept) {
+      for (const info of Object.values(manifest.files || {})) referenced.add(info.archive);
+    }
+
+    let removed = 0;
+    for (const name of await fs.readdir(directory)) {
+      if (!name.startsWith(BACKUP_PREFIX)) continue;
+      const isArchive = name.endsWith('.zip') || name.endsWith('.zip.partial');
+      if (isArchive && !referenced.has(name)) {
+        await fs.remove(path.join(directory, name));
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Unpack a backup and every archive it refers to into `stagingDir/data`, checking each file
+   * against the manifest. Nothing in the data directory is touched.
+   * @param {string} archivePath
+   * @param {string} stagingDir
+   * @param {function} onProgress
+   * @returns {Promise<{manifest: object, dataDir: string}>}
+   */
+  async prepareRestore(archivePath, stagingDir, onProgress = () => {}) {
+    const directory = path.dirname(archivePath);
+    const archiveName = path.basename(archivePath);
+    const dataDir = path.join(stagingDir, 'data');
+    const unpackDir = path.join(stagingDir, 'unpacked');
+
+    await fs.remove(stagingDir);
+    await fs.ensureDir(dataDir);
+
+    const unpack = async (name) => {
+      const target = path.join(unpackDir, name);
+      await fs.remove(target);
+      await extract(path.join(directory, name), { dir: path.resolve(target) });
+      return target;
+    };
+
+    let manifest;
+    let ownDir;
+    try {
+      ownDir = await unpack(archiveName);
+      manifest = await fs.readJson(path.join(ownDir, MANIFEST_ENTRY));
+    } catch (error) {
+      throw new Error(`Not a valid backup archive: ${error.message}`);
+    }
+    if (manifest.format !== BACKUP_FORMAT || typeof manifest.files !== 'object' || !manifest.files) {
+      throw new Error('Not a valid backup archive: the manifest is missing or unrecognised');
+    }
+    if (manifest.version > BACKUP_VERSION) {
+      throw new Error('This backup was made by a newer version of the app');
+    }
+
+    // Group the files by the archive that holds them and check the whole chain is present
+    const byArchive = new Map();
+    for (const [relPath, info] of Object.entries(manifest.files)) {
+      if (!isSafeManifestPath(relPath) || !info || !isSafeEntryPath(info.entry) ||
+        typeof info.archive !== 'string' || path.basename(info.archive) !== info.archive) {
+        throw new Error(`Backup manifest has an invalid entry: ${relPath}`);
+      }
+      if (!byArchive.has(info.archive)) byArchive.set(info.archive, []);
+      byArchive.get(info.archive).push([relPath, info]);
+    }
+    for (const name of byArchive.keys()) {
+      if (name !== archiveName && !(await fs.pathExists(path.join(directory, name)))) {
+        throw new Error(`Backup is incomplete: ${name} is missing from ${directory}`);
+      }
+    }
+
+    const total = Object.keys(manifest.files).length;
+    let done = 0;
+    for (const [name, entries] of byArchive) {
+      const sourceDir = name === archiveName ? ownDir : await unpack(name);
+      const placed = new Map(); // entry -> restored path, for files stored once under several names
+      for (const [relPath, info] of entries) {
+        onProgress({ phase: 'verifying', done: done++, total });
+        const target = path.join(dataDir, ...relPath.split('/'));
+        const source = placed.get(info.entry) || path.join(sourceDir, ...info.entry.split('/'));
+        if (!(await fs.pathExists(source))) {
+          throw new Error(`Backup is damaged: ${relPath} is missing from ${name}`);
+        }
+        if (placed.has(info.entry)) {
+          await fs.copy(source, target);
+        } else {
+          await fs.move(source, target);
+          placed.set(info.entry, target);
+        }
+        if ((await hashFile(target)) !== info.sha256) {
+          throw new Error(`Backup is damaged: checksum mismatch for ${relPath}`);
+        }
+      }
+      await fs.remove(sourceDir);
+    }
+    await fs.remove(unpackDir);
+
+    return { manifest, dataDir };
+  }
+
+  /**
+   * Swap restored data into the data directory. Each item is moved by rename, and everything
+   * already swapped is put back if one of them fails.
+   * @param {string} restoredDir directory laid out like the data directory
+   */
+  async swapIn(restoredDir) {
+    const previousDir = path.join(this.dataPath, 'restore-previous');
+    await fs.remove(previousDir);
+
+    const swapped = [];
+    try {
+      for (const item of BACKUP_ITEMS) {
+        const relPath = path.join(...item.split('/'));
+        const current = path.join(this.dataPath, relPath);
+        const restored = path.join(restoredDir, relPath);
+        if (await fs.pathExists(current)) {
+          await fs.move(current, path.join(previousDir, relPath));
+        }
+        swapped.push(relPath);
+        if (await fs.pathExists(restored)) {
+          await fs.move(restored, current);
+        }
+      }
+    } catch (error) {
+      logger.error('Restore swap failed, putting the current data back', error);
+      for (const relPath of swapped.reverse()) {
+        const current = path.join(this.dataPath, relPath);
+        const previous = path.join(previousDir, relPath);
+        await fs.remove(current);
+        if (await fs.pathExists(previous)) {
+          await fs.move(previous, current);
+        }
+      }
+      throw error;
+    }
+
+    await fs.remove(previousDir);
+  }
+}
+
+BackupManager.hashFile = hashFile;
+
+module.exports = BackupManager;
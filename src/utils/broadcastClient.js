@@ -57,6 +57,7 @@ function applyEffectiveVolume() {
 // Last known server state for UI clock
 let uiBaseCurrent = 0;
 let uiBaseTimestamp = 0;
+let uiPlaybackRate = 1; // the player's speed; the track clock runs that much faster
 let uiIsPlaying = false;
 let uiDuration = 0;
 let lastActionAppliedAt = 0; // timestamp of last processed explicit action
@@ -64,7 +65,7 @@ let lastActionAppliedAt = 0; // timestamp of last processed explicit action
 function updateUiClock() {
     try {
         if (uiBaseTimestamp === 0) return;
-        const elapsed = uiIsPlaying ? (Date.now() - uiBaseTimestamp) / 1000 : 0;
+        const elapsed = uiIsPlaying ? (Date.now() - uiBaseTimestamp) / 1000 * uiPlaybackRate : 0;
         let t = uiBaseCurrent + elapsed;
         if (uiDuration > 0) t = Math.min(t, uiDuration);
         document.getElementById('current-time').textContent = formatTime(t);
@@ -148,6 +149,7 @@ function processUpdate(state, allowSync = true) {
         uiBaseCurrent = serverTimeNow;
         uiBaseTimestamp = Date.now();
         uiIsPlaying = !!state.isPlaying;
+        uiPlaybackRate = state.playbackRate > 0 ? state.playbackRate : 1;
         uiDuration = state.duration || 0;
         // Server time is UI-only; no diff computation in simplified mode
     }
@@ -208,13 +208,31 @@ class BroadcastServer extends EventEmitter {
     }
   }
 
+  /**
+   * atempo filters for a playback speed. One atempo covers 0.5-2x, so faster speeds are chained;
+   * the stream always keeps the original pitch.
+   */
+  buildTempoFilters(rate) {
+    const filters = [];
+    let remaining = rate;
+    while (remaining > 2) {
+      filters.push('atempo=2');
+      remaining /= 2;
+    }
+    if (remaining !== 1) filters.push(`atempo=${Number(remaining.toFixed(4))}`);
+    return filters;
+  }
+
   // Return a sanitized, minimal state suitable for public clients
   buildPublicState() {
     const s = this.currentState || {};
     const serverNow = Date.now();
     // Publish raw currentTime without extrapolation
-    const base = (typeof s.currentTime === 'number') ? s.currentTime : 0;
-    const dur = s.duration || (s.track && s.track.duration) || 0;
+    // Listeners see a trimmed track the way the player shows it: timed from its cue-in
+    const trimStart = (s.track && Number(s.track.startAt)) || 0;
+    const trimEnd = (s.track && Number(s.track.endAt)) || 0;
+    const base = (typeof s.currentTime === 'number') ? Math.max(0, s.currentTime - trimStart) : 0;
+    const dur = trimEnd > trimStart ? trimEnd - trimStart : (s.duration || (s.track && s.track.duration) || 0);
     let effectiveCurrent = base;
     if (dur > 0) effectiveCurrent = Math.min(effectiveCurrent, dur);
     const ephemeralAction = (s.action && (serverNow - (s.actionAt || 0) < 1500)) ? s.action : null;
@@ -231,7 +249,7 @@ class BroadcastServer extends EventEmitter {
       id: s.track.id,
       name: s.track.name,
       artist: s.track.artist || 'Unknown Artist',
-      duration: s.track.duration || 0,
+      duration: trimEnd > trimStart ? trimEnd - trimStart : (s.track.duration || 0),
       volume: typeof s.track.volume === 'number' ? s.track.volume : 1,
       thumbnail: albumArtUrl
     } : null;
@@ -240,10 +258,11 @@ class BroadcastServer extends EventEmitter {
       isPlaying: !!s.isPlaying,
       currentTime: effectiveCurrent,
       serverCurrentTime: effectiveCurrent,
-      duration: s.duration || 0,
+      duration: trimEnd > trimStart ? dur : (s.duration || 0),
       playlistName: s.playlist && s.playlist.name ? s.playlist.name : null,
       repeat: !!s.repeat,
       shuffle: !!s.shuffle,
+      playbackRate: Number(s.playbackRate) > 0 ? Number(s.playbackRate) : 1,
       timestamp: serverNow,
       action: ephemeralAction,
       actionAt: ephemeralAction ? (s.actionAt || 0) : null
@@ -467,19 +486,39 @@ class BroadcastServer extends EventEmitter {
         return;
       }
 
-      const startAt = Math.max(0, Number(this.currentState.currentTime) || 0);
+      // Stay within the track's cue points
+      const trimStart = Math.max(0, Number(track.startAt) || 0);
+      const trimEnd = Number(track.endAt) || 0;
+      const startAt = Math.max(trimStart, Number(this.currentState.currentTime) || 0);
+      // Playback speed: the file is read that much faster than real time and its tempo changed to match
+      const rate = Number(this.currentState.playbackRate) > 0 ? Number(this.currentState.playbackRate) : 1;
       const args = [
         '-hide_banner',
         '-loglevel', 'error',
-        '-re',
+        ...(rate === 1 ? ['-re'] : ['-readrate', String(rate)]),
         '-ss', String(startAt),
         '-i', filePath,
-        '-vn',
+        '-vn'
+      ];
+      if (trimEnd > startAt) {
+        args.push('-t', String((trimEnd - startAt) / rate));
+      }
+      const filters = [];
+      // Loudness normalization chosen by the player, in dB
+      const gainDb = Number(track.gainDb) || 0;
+      if (gainDb !== 0) {
+        filters.push(`volume=${gainDb.toFixed(2)}dB`);
+      }
+      filters.push(...this.buildTempoFilters(rate));
+      if (filters.length > 0) {
+        args.push('-af', filters.join(','));
+      }
+      args.push(
         '-acodec', 'libmp3lame',
         '-b:a', '192k',
         '-f', 'mp3',
         'pipe:1'
-      ];
+      );
 
       const streamProcess = spawn(ffmpegPath, args, { windowsHide: true });
       let closed = false;
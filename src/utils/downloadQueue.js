@@ -0,0 +1,308 @@
+const fs = require('fs-extra');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const safeJson = require('./safeJson');
+
+// Task states shown in the downloads panel
+const TASK_STATUS = {
+  QUEUED: 'queued',
+  FETCHING_METADATA: 'fetching-metadata',
+  DOWNLOADING: 'downloading',
+  CONVERTING: 'converting',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Job (one pasted URL) states
+const JOB_STATUS = {
+  PENDING: 'pending', // waiting for playlist info to be fetched
+  FETCHING: 'fetching',
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const ACTIVE_TASK_STATUSES = [TASK_STATUS.FETCHING_METADATA, TASK_STATUS.DOWNLOADING, TASK_STATUS.CONVERTING];
+const TERMINAL_TASK_STATUSES = [TASK_STATUS.DONE, TASK_STATUS.FAILED, TASK_STATUS.CANCELLED];
+
+/**
+ * Persistent download queue. Holds one job per requested URL and one task per track,
+ * and writes its state to disk so unfinished downloads resume after a restart.
+ * Dispatching tasks to the worker pool is left to the caller (main.js).
+ */
+class DownloadQueue extends EventEmitter {
+  constructor(queueFilePath) {
+    super();
+    this.queueFilePath = queueFilePath;
+    this.jobs = [];
+    this.saveTimer = null;
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.queueFilePath)) {
+        const data = await safeJson.readJson(this.queueFilePath);
+        this.jobs = Array.isArray(data.jobs) ? data.jobs : [];
+      }
+    } catch (error) {
+      logger.error('Failed to load download queue, starting empty', error);
+      this.jobs = [];
+    }
+
+    // Anything that was in flight when the app closed starts over
+    for (const job of this.jobs) {
+      if (job.status === JOB_STATUS.FETCHING) {
+        job.status = JOB_STATUS.PENDING;
+      }
+      for (const task of job.tasks) {
+        if (ACTIVE_TASK_STATUSES.includes(task.status)) {
+          task.status = TASK_STATUS.QUEUED;
+          task.progress = 0;
+        }
+      }
+    }
+
+    logger.info('Download queue loaded', { jobs: this.jobs.length, queuedTasks: this.getQueuedTasks().length });
+  }
+
+  // Debounced save: progress updates arrive several times per second
+  save() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      safeJson.writeJson(this.queueFilePath, { jobs: this.jobs }).catch((error) => {
+        logger.error('Failed to save download queue', error);
+      });
+    }, 500);
+  }
+
+  // Synchronous save used on shutdown
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    try {
+      safeJson.writeJsonSync(this.queueFilePath, { jobs: this.jobs });
+    } catch (error) {
+      logger.error('Failed to flush download queue', error);
+    }
+  }
+
+  changed() {
+    this.save();
+    this.emit('changed', this.getSnapshot());
+  }
+
+  getSnapshot() {
+    return { jobs: this.jobs };
+  }
+
+  /**
+   * @param {string} url
+   * @param {string} playlistId
+   * @param {string} playlistName
+   * @param {{replaceTrackId?: string}} options replaceTrackId: download the URL again as the file of
+   *   an existing track (repairing a missing file) instead of adding a new track
+   */
+  addJob(url, playlistId, playlistName, { replaceTrackId = null } = {}) {
+    const job = {
+      id: uuidv4(),
+      url,
+      playlistId,
+      playlistName: playlistName || '',
+      replaceTrackId,
+      status: JOB_STATUS.PENDING,
+      error: null,
+      skipped: 0,
+      createdAt: new Date().toISOString(),
+      tasks: []
+    };
+    this.jobs.push(job);
+    this.changed();
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.find(j => j.id === jobId) || null;
+  }
+
+  findTask(taskId) {
+    for (const job of this.jobs) {
+      const task = job.tasks.find(t => t.id === taskId);
+      if (task) return { job, task };
+    }
+    return { job: null, task: null };
+  }
+
+  getNextPendingJob() {
+    return this.jobs.find(j => j.status === JOB_STATUS.PENDING) || null;
+  }
+
+  getQueuedTasks() {
+    const tasks = [];
+    for (const job of this.jobs) {
+      if (job.status !== JOB_STATUS.ACTIVE) continue;
+      tasks.push(...job.tasks.filter(t => t.status === TASK_STATUS.QUEUED));
+    }
+    return tasks;
+  }
+
+  getActiveTasks() {
+    return this.jobs.flatMap(job => job.tasks.filter(t => ACTIVE_TASK_STATUSES.includes(t.status)));
+  }
+
+  getActiveTaskCount() {
+    return this.getActiveTasks().length;
+  }
+
+  updateJob(jobId, patch) {
+    const job = this.getJob(jobId);
+    if (!job) return null;
+    Object.assign(job, patch);
+    this.changed();
+    return job;
+  }
+
+  /**
+   * Turn fetched playlist entries into per-track tasks
+   * @param {string} jobId
+   * @param {object[]} trackInfos entries from fetchPlaylistInfo that are not yet in the playlist
+   * @param {number} skipped number of entries skipped as duplicates
+   */
+  setJobEntries(jobId, trackInfos, skipped = 0) {
+    const job = this.getJob(jobId);
+    if (!job) return null;
+
+    job.skipped = skipped;
+    job.tasks = trackInfos.map(info => ({
+      id: uuidv4(),
+      jobId,
+      // Keep only what the worker needs; flat-playlist entries carry a lot of noise
+      trackInfo: {
+        id: info.id,
+        title: info.title,
+        url: info.url,
+        webpage_url: info.webpage_url
+      },
+      status: TASK_STATUS.QUEUED,
+      progress: 0,
+      error: null,
+      ageRestricted: false,
+      track: null,
+      appended: false
+    }));
+    job.status = job.tasks.length > 0 ? JOB_STATUS.ACTIVE : JOB_STATUS.COMPLETED;
+    this.changed();
+    return job;
+  }
+
+  updateTask(taskId, patch) {
+    const { task } = this.findTask(taskId);
+    if (!task) return null;
+    Object.assign(task, patch);
+    this.changed();
+    return task;
+  }
+
+  // Apply a stage or progress report from a worker, ignoring tasks cancelled in the meantime
+  reportTaskActivity(taskId, patch) {
+    const { task } = this.findTask(taskId);
+    if (!task || !ACTIVE_TASK_STATUSES.includes(task.status)) return null;
+    Object.assign(task, patch);
+    this.changed();
+    return task;
+  }
+
+  /**
+   * A job is finished once none of its tasks can still change state
+   * @returns {boolean}
+   */
+  isJobSettled(job) {
+    return job.tasks.every(t => TERMINAL_TASK_STATUSES.includes(t.status));
+  }
+
+  cancelTask(taskId) {
+    const { job, task } = this.findTask(taskId);
+    if (!task || TERMINAL_TASK_STATUSES.includes(task.status)) return null;
+
+    const wasActive = ACTIVE_TASK_STATUSES.includes(task.status);
+    task.status = TASK_STATUS.CANCELLED;
+    task.progress = 0;
+    this.changed();
+    return { job, task, wasActive };
+  }
+
+  /**
+   * Cancel every unfinished task of a job (or the job itself if it has not been expanded yet)
+   * @returns {object[]} tasks that were running and need their worker stopped
+   */
+  cancelJob(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) return [];
+
+    const running = [];
+    for (const task of job.tasks) {
+      if (TERMINAL_TASK_STATUSES.includes(task.status)) continue;
+      if (ACTIVE_TASK_STATUSES.includes(task.status)) running.push(task);
+      task.status = TASK_STATUS.CANCELLED;
+      task.progress = 0;
+    }
+
+    if (job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.FETCHING || job.tasks.length === 0) {
+      job.status = JOB_STATUS.CANCELLED;
+    }
+    this.changed();
+    return running;
+  }
+
+  retryTask(taskId) {
+    const { job, task } = this.findTask(taskId);
+    if (!task || (task.status !== TASK_STATUS.FAILED && task.status !== TASK_STATUS.CANCELLED)) return null;
+
+    Object.assign(task, { status: TASK_STATUS.QUEUED, progress: 0, error: null, ageRestricted: false });
+    job.status = JOB_STATUS.ACTIVE;
+    this.changed();
+    return task;
+  }
+
+  /**
+   * Retry a whole job: failed/cancelled tasks are re-queued, or the URL is fetched again
+   * if the job never got past the playlist info step.
+   */
+  retryJob(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) return null;
+
+    if (job.tasks.length === 0) {
+      Object.assign(job, { status: JOB_STATUS.PENDING, error: null });
+    } else {
+      let retried = 0;
+      for (const task of job.tasks) {
+        if (task.status === TASK_STATUS.FAILED || task.status === TASK_STATUS.CANCELLED) {
+          Object.assign(task, { status: TASK_STATUS.QUEUED, progress: 0, error: null, ageRestricted: false });
+          retried++;
+        }
+      }
+      if (retried === 0) return job;
+      job.status = JOB_STATUS.ACTIVE;
+    }
+    this.changed();
+    return job;
+  }
+
+  // Drop jobs that can no longer change state
+  clearFinished() {
+    const finished = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+    this.jobs = this.jobs.filter(job => !(finished.includes(job.status) && this.isJobSettled(job)));
+    this.changed();
+  }
+}
+
+DownloadQueue.TASK_STATUS = TASK_STATUS;
+DownloadQueue.JOB_STATUS = JOB_STATUS;
+
+module.exports = DownloadQueue;
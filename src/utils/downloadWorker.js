@@ -8,10 +8,92 @@ const workerId = process.env.WORKER_ID || 'unknown';
 const ytDlpPath = process.env.YT_DLP_PATH;
 const ffmpegPath = process.env.FFMPEG_PATH;
 
+// The task currently being processed, so a cancelTask message can reach its subprocess
+let activeTask = null;
+
+class TaskCancelledError extends Error {
+  constructor(taskId) {
+    super(`Task ${taskId} was cancelled`);
+    this.name = 'TaskCancelledError';
+  }
+}
+
+function throwIfCancelled(taskId) {
+  if (activeTask && activeTask.taskId === taskId && activeTask.cancelled) {
+    throw new TaskCancelledError(taskId);
+  }
+}
+
+// Spawn yt-dlp so the whole tree (including the ffmpeg it launches) can be killed on cancel
+function spawnTracked(cmd, args, options = {}) {
+  const child = spawn(cmd, args, { detached: process.platform !== 'win32', ...options });
+  if (activeTask) activeTask.child = child;
+  return child;
+}
+
+function killProcessTree(child) {
+  if (!child || child.exitCode !== null) return;
+  try {
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F']);
+    } else {
+      // Negative pid targets the process group created by the detached spawn
+      process.kill(-child.pid, 'SIGKILL');
+    }
+  } catch (err) {
+    try {
+      child.kill('SIGKILL');
+    } catch (e) {
+      // already gone
+    }
+  }
+}
+
+// Remove files yt-dlp created for this task (.part, .ytdl, intermediate webm/m4a, temp mp3)
+async function removePartialFiles(task) {
+  if (!task.fileBase) return;
+  const files = await fs.readdir(task.songsPath);
+  for (const file of files) {
+    if (task.preexistingFiles.has(file)) continue;
+    if (file === `${task.fileBase}.mp3` || file.startsWith(`${task.fileBase}.`)) {
+      await fs.remove(path.join(task.songsPath, file));
+      process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Removed partial file:`, data: file });
+    }
+  }
+}
+
+async function cancelActiveTask(taskId) {
+  const task = activeTask;
+  if (!task || task.taskId !== taskId || task.cancelled) return;
+
+  task.cancelled = true;
+  process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Cancelling task:`, data: taskId });
+
+  const child = task.child;
+  if (child && child.exitCode === null) {
+    await new Promise((resolve) => {
+      const timeout = setTimeout(resolve, 5000);
+      child.once('close', () => {
+        clearTimeout(timeout);
+        resolve();
+      });
+      killProcessTree(child);
+    });
+  }
+
+  try {
+    await removePartialFiles(task);
+  } catch (err) {
+    process.send({ type: 'log', level: 'warn', message: `[Worker ${workerId}] Failed to clean partial files:`, data: err.message });
+  }
+
+  process.send({ type: 'cancelled', taskId });
+}
+
 // Helper: spawn with promise
 function spawnPromise(cmd, args, options = {}) {
   return new Promise((resolve, reject) => {
-    const child = spawn(cmd, args, options);
+    const child = spawnTracked(cmd, args, options);
     let stdout = '';
     let stderr = '';
     child.stdout.on('data', (d) => stdout += d.toString());
@@ -34,11 +116,28 @@ function spawnPromise(cmd, args, options = {}) {
 // Handle messages from the main process
 process.on('message', async (task) => {
   process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Received message:`, data: task });
+  if (task.type === 'cancelTask') {
+    await cancelActiveTask(task.taskId);
+    return;
+  }
+
   try {
     if (task.type === 'downloadTrack') {
+      activeTask = {
+        taskId: task.taskId,
+        songsPath: task.songsPath,
+        cancelled: false,
+        child: null,
+        fileBase: null,
+        preexistingFiles: new Set()
+      };
       process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Starting downloadTrack for:`, data: task.trackInfo.title });
-      logger.info(`Worker ${workerId} starting download:`, { title: task.trackInfo.title });
       const result = await downloadTrack(task.trackInfo, task.songsPath, task.taskId, task.cookiesPath);
+      if (activeTask.cancelled) {
+        // Cancelled right as it finished; cancelActiveTask removes the file and reports
+        return;
+      }
+      activeTask = null;
       process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Download completed successfully:`, data: result.name });
 
       process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Sending completion message for task:`, data: task.taskId });
@@ -49,8 +148,12 @@ process.on('message', async (task) => {
       });
     }
   } catch (error) {
+    // cancelActiveTask reports the outcome itself once cleanup is done
+    if (activeTask && activeTask.taskId === task.taskId && activeTask.cancelled) {
+      return;
+    }
+    activeTask = null;
     process.send({ type: 'log', level: 'error', message: `[Worker ${workerId}] Error processing task:`, data: error.message });
-    logger.error(`Worker ${workerId} error processing task:`, { error: error.message, taskId: task.taskId });
     process.send({
       type: 'failed',
       taskId: task.taskId,
@@ -66,10 +169,10 @@ async function downloadTrack(initialTrackInfo, songsPath, taskId, cookiesPath) {
   const workerId = process.env.WORKER_ID || 'unknown';
   const startTime = Date.now();
   process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] downloadTrack() called with:`, data: { title: initialTrackInfo.title, songsPath, taskId } });
-  logger.info(`Worker ${workerId} starting track download`, { title: initialTrackInfo.title });
   const trackUrl = initialTrackInfo.webpage_url || initialTrackInfo.url;
 
   // --- Step 1: Fetch full metadata for the single track ---
+  process.send({ type: 'status', taskId, status: 'fetching-metadata' });
   process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Step 1: Getting metadata for:`, data: initialTrackInfo.url });
   // Try multiple bypass strategies for age-restricted content
   const metadataArgs = [
@@ -108,6 +211,8 @@ async function downloadTrack(initialTrackInfo, songsPath, taskId, cookiesPath) {
     trackInfo = JSON.parse(result.stdout);
     process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Metadata fetched successfully with enhanced bypass` });
   } catch (firstError) {
+    throwIfCancelled(taskId);
+
     // Check if this is an age restriction error that might be solved with cookies
     const isBlocked = firstError.stderr && (
       firstError.stderr.includes('Sign in to confirm your age') ||
@@ -165,8 +270,17 @@ async function downloadTrack(initialTrackInfo, songsPath, taskId, cookiesPath) {
     }
   }
 
+  throwIfCancelled(taskId);
+
   // --- Step 2: Perform the actual download ---
-  const finalFilename = path.join(songsPath, `${trackInfo.title.replace(/[\/\:*?"<>|]/g, '_')}.mp3`);
+  const fileBase = trackInfo.title.replace(/[\/\:*?"<>|]/g, '_');
+  const finalFilename = path.join(songsPath, `${fileBase}.mp3`);
+
+  // Remember what already exists so a cancel only removes files this download created
+  if (activeTask && activeTask.taskId === taskId) {
+    activeTask.fileBase = fileBase;
+    activeTask.preexistingFiles = new Set(await fs.readdir(songsPath));
+  }
   process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Step 2: Download setup:`, data: { finalFilename, url: trackInfo.webpage_url } });
   const downloadArgs = [
     '-x', // Extract audio
@@ -210,6 +324,7 @@ async function downloadTrack(initialTrackInfo, songsPath, taskId, cookiesPath) {
   process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Download args:`, data: downloadArgs });
 
   logger.info(`Worker ${workerId} starting ffmpeg download...`, { path: finalFilename });
+  process.send({ type: 'status', taskId, status: 'downloading', fileBase });
 
   // Use a custom spawn wrapper for download that handles progress reporting
   await new Promise((resolve, reject) => {
@@ -217,18 +332,25 @@ async function downloadTrack(initialTrackInfo, songsPath, taskId, cookiesPath) {
       if (!ytDlpPath) {
         return reject(new Error('yt-dlp path is not available for the final download step.'));
       }
+      try {
+        throwIfCancelled(taskId);
+      } catch (err) {
+        return reject(err);
+      }
       process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Spawning yt-dlp process (attempt ${attempt + 1})` });
-      const downloadProcess = spawn(ytDlpPath, downloadArgs);
+      const downloadProcess = spawnTracked(ytDlpPath, downloadArgs);
       let stderr = '';
       let lastProgress = 0;
+      let convertingReported = false;
       process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Process spawned, PID:`, data: downloadProcess.pid });
 
-      downloadProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        stderr += output;
-
-        // Debug: log all stderr output to see what yt-dlp actually sends
-        process.send({ type: 'log', level: 'debug', message: `[Worker ${workerId}] yt-dlp stderr:`, data: output.trim() });
+      // yt-dlp prints progress and post-processing lines on stdout, errors on stderr
+      const handleOutput = (output) => {
+        // yt-dlp hands the file to ffmpeg for mp3 extraction once the download finishes
+        if (!convertingReported && output.includes('[ExtractAudio]')) {
+          convertingReported = true;
+          process.send({ type: 'status', taskId, status: 'converting' });
+        }
 
         const progressMatch = output.match(/\s(\d{1,3}(\.\d)?)%/);
         if (progressMatch) {
@@ -240,6 +362,18 @@ async function downloadTrack(initialTrackInfo, songsPath, taskId, cookiesPath) {
             process.send({ type: 'progress', taskId, progress });
           }
         }
+      };
+
+      downloadProcess.stdout.on('data', (data) => handleOutput(data.toString()));
+
+      downloadProcess.stderr.on('data', (data) => {
+        const output = data.toString();
+        stderr += output;
+
+        // Debug: log all stderr output to see what yt-dlp actually sends
+        process.send({ type: 'log', level: 'debug', message: `[Worker ${workerId}] yt-dlp stderr:`, data: output.trim() });
+
+        handleOutput(output);
       });
 
       downloadProcess.on('close', (code) => {
@@ -248,9 +382,10 @@ async function downloadTrack(initialTrackInfo, songsPath, taskId, cookiesPath) {
           process.send({ type: 'log', level: 'info', message: `[Worker ${workerId}] Download successful!` });
           resolve();
         } else {
-          process.send({ type: 'log', level: 'error', message: `[Worker ${workerId}] Download failed with code ${code}, stderr:`, data: stderr.substring(0, 200) });
           logger.warn(`Worker ${workerId} download failed (attempt ${attempt + 1}). Code: ${code}`, { stderr });
-          if (attempt < maxAttempts - 1) {
+          if (activeTask && activeTask.taskId === taskId && activeTask.cancelled) {
+            reject(new TaskCancelledError(taskId));
+          } else if (attempt < maxAttempts - 1) {
             setTimeout(() => attemptDownload(attempt + 1), 2000 * (attempt + 1));
           } else {
             reject(new Error(`Download failed after ${maxAttempts} attempts. Exit code: ${code}`));
@@ -260,7 +395,6 @@ async function downloadTrack(initialTrackInfo, songsPath, taskId, cookiesPath) {
 
       downloadProcess.on('error', (err) => {
         process.send({ type: 'log', level: 'error', message: `[Worker ${workerId}] Spawn error:`, data: err.message });
-        logger.error(`Worker ${workerId} spawn error on download.`, { error: err });
         reject(err);
       });
     };
@@ -307,6 +441,8 @@ async function downloadTrack(initialTrackInfo, songsPath, taskId, cookiesPath) {
 // Handle process termination gracefully
 process.on('SIGTERM', () => {
   logger.info(`Worker ${workerId} received SIGTERM, shutting down gracefully`);
+  // yt-dlp runs in its own process group, so it would outlive us otherwise
+  if (activeTask) killProcessTree(activeTask.child);
   process.exit(0);
 });
 
@@ -317,13 +453,12 @@ process.on('SIGINT', () => {
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  logger.error(`Worker ${workerId} uncaught exception:`, error);
-  process.exit(1);
+  logger.crash(error, `Uncaught exception in download worker ${workerId}`).finally(() => process.exit(1));
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  logger.error(`Worker ${workerId} unhandled rejection:`, reason);
-  process.exit(1);
+  const error = reason instanceof Error ? reason : new Error(String(reason));
+  logger.crash(error, `Unhandled promise rejection in download worker ${workerId}`).finally(() => process.exit(1));
 });
 
 logger.info(`Download worker ${workerId} initialized and ready`);
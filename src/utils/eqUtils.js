@@ -0,0 +1,72 @@
+/**
+ * Equalizer bands and presets used by the Web Audio pipeline
+ */
+
+// Centre frequencies (Hz) of the 10 bands; the first and last are shelves
+const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_MAX_GAIN = 12; // dB either way
+const USER_PRESET_PREFIX = 'user:';
+
+const BUILT_IN_PRESETS = {
+  flat: { name: 'Flat', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  bassBoost: { name: 'Bass Boost', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  bassCut: { name: 'Bass Cut', gains: [-6, -5, -4, -2, 0, 0, 0, 0, 0, 0] },
+  trebleBoost: { name: 'Treble Boost', gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  vocal: { name: 'Vocal', gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  rock: { name: 'Rock', gains: [5, 3, 1, -1, -2, -1, 1, 3, 4, 5] },
+  pop: { name: 'Pop', gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+  jazz: { name: 'Jazz', gains: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+  classical: { name: 'Classical', gains: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4] },
+  electronic: { name: 'Electronic', gains: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] },
+  loudness: { name: 'Loudness', gains: [5, 3, 0, 0, -1, 0, -1, 0, 3, 4] }
+};
+
+/**
+ * Coerce stored gains to one number per band within ±EQ_MAX_GAIN
+ * @param {number[]} gains
+ * @returns {number[]}
+ */
+function normalizeGains(gains) {
+  return EQ_BANDS.map((_, i) => {
+    const gain = Number(Array.isArray(gains) ? gains[i] : 0) || 0;
+    return Math.max(-EQ_MAX_GAIN, Math.min(EQ_MAX_GAIN, gain));
+  });
+}
+
+/**
+ * Gains of a built-in preset ("rock") or a user preset ("user:My Car")
+ * @param {string} presetId
+ * @param {object} userPresets name -> gains, from appConfig.equalizer.userPresets
+ * @returns {number[]|null} null if the preset does not exist
+ */
+function getPresetGains(presetId, userPresets = {}) {
+  if (!presetId) return null;
+  if (presetId.startsWith(USER_PRESET_PREFIX)) {
+    const gains = userPresets[presetId.slice(USER_PRESET_PREFIX.length)];
+    return gains ? normalizeGains(gains) : null;
+  }
+  const preset = BUILT_IN_PRESETS[presetId];
+  return preset ? normalizeGains(preset.gains) : null;
+}
+
+/**
+ * Every selectable preset, built-ins first
+ * @param {object} userPresets
+ * @returns {{id: string, name: string, builtIn: boolean}[]}
+ */
+function listPresets(userPresets = {}) {
+  const builtIn = Object.entries(BUILT_IN_PRESETS).map(([id, preset]) => ({ id, name: preset.name, builtIn: true }));
+  const user = Object.keys(userPresets)
+    .sort((a, b) => a.localeCompare(b))
+    .map(name => ({ id: USER_PRESET_PREFIX + name, name, builtIn: false }));
+  return [...builtIn, ...user];
+}
+
+module.exports = {
+  EQ_BANDS,
+  EQ_MAX_GAIN,
+  USER_PRESET_PREFIX,
+  normalizeGains,
+  getPresetGains,
+  listPresets
+};
@@ -1,4 +1,4 @@
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const { app } = require('electron');
@@ -124,6 +124,253 @@ class FFmpegHelper {
         });
     }
 
+    /**
+     * Measure integrated loudness (LUFS), true peak (dBTP) and loudness range (LU)
+     * with a single analysis pass of the loudnorm filter
+     */
+    measureLoudness(filePath, timeoutMs = 10 * 60 * 1000) {
+        return new Promise((resolve, reject) => {
+            if (!this.ffmpegPath) {
+                reject(new Error('FFmpeg is not available'));
+                return;
+            }
+
+            const args = ['-hide_banner', '-nostats', '-i', filePath, '-vn', '-af', 'loudnorm=print_format=json', '-f', 'null', '-'];
+            const ffmpegProcess = spawn(this.ffmpegPath, args, { windowsHide: true });
+            const timer = setTimeout(() => ffmpegProcess.kill(), timeoutMs);
+            let stderr = '';
+
+            ffmpegProcess.stderr.on('data', (data) => {
+                // The stats are printed last; only the tail is needed
+                stderr = (stderr + data).slice(-16384);
+            });
+            ffmpegProcess.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            ffmpegProcess.on('close', (code) => {
+                clearTimeout(timer);
+                const match = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+                if (code !== 0 || !match) {
+                    reject(new Error(`Loudness measurement failed (exit code ${code})`));
+                    return;
+                }
+                try {
+                    const stats = JSON.parse(match[0]);
+                    resolve({
+                        integrated: parseFloat(stats.input_i),
+                        truePeak: parseFloat(stats.input_tp),
+                        range: parseFloat(stats.input_lra)
+                    });
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Read an audio file's first audio stream and duration with ffprobe;
+     * rejects when the file can't be parsed or has no audio
+     */
+    probeAudio(filePath, timeoutMs = 30 * 1000) {
+        return new Promise((resolve, reject) => {
+            if (!this.ffprobePath) {
+                reject(new Error('FFprobe is not available'));
+                return;
+            }
+
+            const args = ['-v', 'error', '-select_streams', 'a:0', '-show_entries', 'stream=codec_name:format=duration', '-of', 'json', filePath];
+            const ffprobeProcess = spawn(this.ffprobePath, args, { windowsHide: true });
+            const timer = setTimeout(() => ffprobeProcess.kill(), timeoutMs);
+            let stdout = '';
+            let stderr = '';
+
+            ffprobeProcess.stdout.on('data', (data) => { stdout += data; });
+            ffprobeProcess.stderr.on('data', (data) => { stderr = (stderr + data).slice(-4096); });
+            ffprobeProcess.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            ffprobeProcess.on('close', (code) => {
+                clearTimeout(timer);
+                let info = null;
+                try {
+                    info = JSON.parse(stdout);
+                } catch (error) {
+                    // Reported below
+                }
+                const stream = info && Array.isArray(info.streams) ? info.streams[0] : null;
+                if (code !== 0 || !stream) {
+                    const reason = stderr.trim().split('\n').pop();
+                    reject(new Error(reason || (code !== 0 ? `ffprobe exit code ${code}` : 'No audio stream')));
+                    return;
+                }
+                const duration = parseFloat(info.format && info.format.duration);
+                resolve({ codec: stream.codec_name, duration: duration > 0 ? duration : null });
+            });
+        });
+    }
+
+    /**
+     * Peak levels (0-1) of an audio file in `count` equal slices, for drawing its waveform.
+     * Files shorter than `count` tenths of a second get fewer slices.
+     */
+    computePeaks(filePath, count = 1000, timeoutMs = 10 * 60 * 1000) {
+        return new Promise((resolve, reject) => {
+            if (!this.ffmpegPath) {
+                reject(new Error('FFmpeg is not available'));
+                return;
+            }
+
+            // Decode to 8 kHz mono 16-bit PCM and keep the peak of every 0.1 s
+            const sampleRate = 8000;
+            const windowSize = sampleRate / 10;
+            const args = ['-hide_banner', '-nostats', '-v', 'error', '-i', filePath, '-vn', '-ac', '1', '-ar', String(sampleRate), '-f', 's16le', '-acodec', 'pcm_s16le', '-'];
+            const ffmpegProcess = spawn(this.ffmpegPath, args, { windowsHide: true });
+            const timer = setTimeout(() => ffmpegProcess.kill(), timeoutMs);
+            const windows = [];
+            let windowPeak = 0;
+            let windowFill = 0;
+            let leftover = null;
+            let stderr = '';
+
+            ffmpegProcess.stdout.on('data', (data) => {
+                const chunk = leftover ? Buffer.concat([leftover, data]) : data;
+                const usable = chunk.length - (chunk.length % 2);
+                for (let i = 0; i < usable; i += 2) {
+                    const level = Math.abs(chunk.readInt16LE(i));
+                    if (level > windowPeak) windowPeak = level;
+                    if (++windowFill === windowSize) {
+                        windows.push(windowPeak);
+                        windowPeak = 0;
+                        windowFill = 0;
+                    }
+                }
+                leftover = usable < chunk.length ? chunk.subarray(usable) : null;
+            });
+            ffmpegProcess.stderr.on('data', (data) => {
+                stderr = (stderr + data).slice(-4096);
+            });
+            ffmpegProcess.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            ffmpegProcess.on('close', (code) => {
+                clearTimeout(timer);
+                if (windowFill > 0) windows.push(windowPeak);
+                if (code !== 0 || windows.length === 0) {
+                    const reason = stderr.trim().split('\n').pop();
+                    reject(new Error(reason || `Waveform extraction failed (exit code ${code})`));
+                    return;
+                }
+
+                const slices = Math.min(count, windows.length);
+                const peaks = [];
+                for (let i = 0; i < slices; i++) {
+                    const start = Math.floor(i * windows.length / slices);
+                    const end = Math.max(start + 1, Math.floor((i + 1) * windows.length / slices));
+                    let peak = 0;
+                    for (let j = start; j < end; j++) {
+                        if (windows[j] > peak) peak = windows[j];
+                    }
+                    peaks.push(Math.round(peak / 32768 * 1000) / 1000);
+                }
+                resolve(peaks);
+            });
+        });
+    }
+
+    /**
+     * Find the silent stretches of an audio file with the silencedetect filter.
+     * Resolves to { duration, silences: [{ start, end }] }; end is null for a silence that runs to the end.
+     */
+    detectSilence(filePath, { noiseDb = -50, minSeconds = 1 } = {}, timeoutMs = 10 * 60 * 1000) {
+        return new Promise((resolve, reject) => {
+            if (!this.ffmpegPath) {
+                reject(new Error('FFmpeg is not available'));
+                return;
+            }
+
+            const filter = `silencedetect=noise=${noiseDb}dB:d=${minSeconds}`;
+            const args = ['-hide_banner', '-nostats', '-i', filePath, '-vn', '-af', filter, '-f', 'null', '-'];
+            const ffmpegProcess = spawn(this.ffmpegPath, args, { windowsHide: true });
+            const timer = setTimeout(() => ffmpegProcess.kill(), timeoutMs);
+            const silences = [];
+            let duration = null;
+            let partialLine = '';
+            let lastLine = '';
+
+            // The filter reports one line per silence boundary; parse as it goes so long files don't pile up output
+            const parseLine = (line) => {
+                let match = line.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+                if (match && duration === null) {
+                    duration = Number(match[1]) * 3600 + Number(match[2]) * 60 + parseFloat(match[3]);
+                }
+                match = line.match(/silence_start: (-?\d+(?:\.\d+)?)/);
+                if (match) silences.push({ start: Math.max(0, parseFloat(match[1])), end: null });
+                match = line.match(/silence_end: (\d+(?:\.\d+)?)/);
+                if (match && silences.length > 0) silences[silences.length - 1].end = parseFloat(match[1]);
+                if (line.trim()) lastLine = line.trim();
+            };
+
+            ffmpegProcess.stderr.on('data', (data) => {
+                const lines = (partialLine + data).split(/\r?\n/);
+                partialLine = lines.pop();
+                lines.forEach(parseLine);
+            });
+            ffmpegProcess.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            ffmpegProcess.on('close', (code) => {
+                clearTimeout(timer);
+                parseLine(partialLine);
+                if (code !== 0) {
+                    reject(new Error(lastLine || `Silence detection failed (exit code ${code})`));
+                    return;
+                }
+                resolve({ duration, silences });
+            });
+        });
+    }
+
+    /**
+     * Copy the `start`-`end` section (seconds) of an audio file to `outputPath` without re-encoding.
+     * Cuts land on the nearest audio frame; the output format follows the output file's extension.
+     */
+    cutAudio(filePath, outputPath, start, end, timeoutMs = 5 * 60 * 1000) {
+        return new Promise((resolve, reject) => {
+            if (!this.ffmpegPath) {
+                reject(new Error('FFmpeg is not available'));
+                return;
+            }
+
+            const args = ['-hide_banner', '-nostats', '-v', 'error', '-y', '-ss', String(start), '-i', filePath,
+                '-t', String(end - start), '-map', '0', '-c', 'copy', outputPath];
+            const ffmpegProcess = spawn(this.ffmpegPath, args, { windowsHide: true });
+            const timer = setTimeout(() => ffmpegProcess.kill(), timeoutMs);
+            let stderr = '';
+
+            ffmpegProcess.stderr.on('data', (data) => {
+                stderr = (stderr + data).slice(-4096);
+            });
+            ffmpegProcess.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            ffmpegProcess.on('close', (code) => {
+                clearTimeout(timer);
+                if (code !== 0) {
+                    const reason = stderr.trim().split('\n').pop();
+                    reject(new Error(reason || `Cutting audio failed (exit code ${code})`));
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
     getFFmpegPath() {
         return this.ffmpegPath;
     }
@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+const DEBOUNCE_MS = 2000; // DAWs and copy tools write a file in many chunks
+const SETTLE_MS = 3000; // files modified more recently than this are probably still being written
+
+/**
+ * Watches local folders for audio files. Emits 'change' with the folder id, debounced,
+ * whenever something inside a folder changes; working out what changed is left to the
+ * caller (main.js), which compares `listFiles()` against what it imported before.
+ */
+class FolderWatcher extends EventEmitter {
+  constructor(extensions) {
+    super();
+    this.extensions = extensions;
+    this.watchers = new Map(); // folder id -> { path, watcher, timer }
+  }
+
+  /**
+   * Start watching a folder, replacing any watcher with the same id
+   * @param {{id: string, path: string}} folder
+   * @returns {boolean} false if the folder can't be watched (missing, unplugged drive...)
+   */
+  watch(folder) {
+    this.unwatch(folder.id);
+    const entry = { path: folder.path, watcher: null, timer: null };
+    try {
+      entry.watcher = fs.watch(folder.path, { recursive: true }, () => this.schedule(folder.id));
+      entry.watcher.on('error', (error) => {
+        logger.warn('Watched folder is no longer available', { folder: folder.path, error: error.message });
+        this.unwatch(folder.id);
+      });
+    } catch (error) {
+      logger.warn('Failed to watch folder', { folder: folder.path, error: error.message });
+      return false;
+    }
+    this.watchers.set(folder.id, entry);
+    return true;
+  }
+
+  unwatch(folderId) {
+    const entry = this.watchers.get(folderId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.watcher.close();
+    this.watchers.delete(folderId);
+  }
+
+  isWatching(folderId) {
+    return this.watchers.has(folderId);
+  }
+
+  // Emit 'change' once things have been quiet for a moment
+  schedule(folderId, delayMs = DEBOUNCE_MS) {
+    const entry = this.watchers.get(folderId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this.emit('change', folderId);
+    }, delayMs);
+  }
+
+  close() {
+    for (const folderId of [...this.watchers.keys()]) {
+      this.unwatch(folderId);
+    }
+  }
+
+  /**
+   * Every audio file below a folder, with the size and modification time used to spot changes
+   * @param {string} folderPath
+   * @returns {Promise<{files: Map<string, {size: number, mtimeMs: number}>, unsettled: number}>}
+   *   files by absolute path, and how many were skipped because they are still being written
+   */
+  async listFiles(folderPath) {
+    const files = new Map();
+    let unsettled = 0;
+    const now = Date.now();
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        logger.warn('Failed to read watched folder', { folder: dir, error: error.message });
+        return;
+      }
+      for (const entry of entries) {
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(filePath);
+          continue;
+        }
+        if (!entry.isFile() || !this.extensions.includes(path.extname(entry.name).slice(1).toLowerCase())) continue;
+
+        const stat = await fs.stat(filePath).catch(() => null);
+        if (!stat) continue; // deleted while we were listing
+        if (now - stat.mtimeMs < SETTLE_MS) {
+          unsettled++;
+          continue;
+        }
+        files.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs });
+      }
+    };
+
+    await walk(folderPath);
+    return { files, unsettled };
+  }
+}
+
+FolderWatcher.SETTLE_MS = SETTLE_MS;
+
+module.exports = FolderWatcher;
@@ -1,15 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rotation limits for the JSON-lines log files
+const LOG_FILE_NAME = 'app.log';
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // rotate once the active file reaches 5MB
+const MAX_ROTATED_FILES = 10;
+const MAX_AGE_DAYS = 14;
+const MAX_PENDING_ENTRIES = 1000; // entries kept in memory until a log directory is known
+
 class Logger {
   constructor() {
-    // UI-only logger - no file system dependencies
+    this.logDirectory = null;
+    this.pendingEntries = [];
+    this.writeQueue = Promise.resolve();
     this.init();
   }
 
   async init() {
-    // UI-only logger - no initialization needed
+    // Files are only written once main.js has resolved the data directory (see setLogDirectory)
     this.sendToRenderer('info', 'Logger initialized successfully');
   }
 
+  isWorkerProcess() {
+    // Forked download workers have an IPC channel but no Electron process type
+    return typeof process !== 'undefined' && process.type !== 'browser' && typeof process.send === 'function';
+  }
+
+  /**
+   * Point the logger at a directory for persistent log files. Entries logged before this
+   * call (e.g. failures during startup) are flushed into the file.
+   * @param {string} directory
+   */
+  setLogDirectory(directory) {
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+      this.logDirectory = directory;
+      this.pruneOldFiles();
 
+      const pending = this.pendingEntries;
+      this.pendingEntries = [];
+      if (pending.length > 0) {
+        this.appendSync(pending);
+      }
+    } catch (error) {
+      console.error('Failed to set log directory', directory, error);
+    }
+  }
+
+  getLogFilePath() {
+    return this.logDirectory ? path.join(this.logDirectory, LOG_FILE_NAME) : null;
+  }
+
+  buildEntry(level, message, data, source) {
+    return {
+      timestamp: new Date().toISOString(),
+      level,
+      source: source || 'main',
+      message: typeof message === 'string' ? message : String(message),
+      data: data === undefined ? null : data
+    };
+  }
+
+  serialize(entries) {
+    return entries.map((entry) => {
+      try {
+        return JSON.stringify(entry);
+      } catch (error) {
+        // Circular or otherwise unserialisable data: keep the message at least
+        return JSON.stringify({ ...entry, data: String(entry.data) });
+      }
+    }).join('\n') + '\n';
+  }
+
+  /**
+   * Persist an entry without forwarding it to the renderer. Used for worker and frontend logs,
+   * which already reach the UI through their own channels.
+   */
+  persist(level, message, data = null, source = 'main') {
+    const entry = this.buildEntry(level, message, data, source);
+
+    if (!this.logDirectory) {
+      this.pendingEntries.push(entry);
+      if (this.pendingEntries.length > MAX_PENDING_ENTRIES) {
+        this.pendingEntries.shift();
+      }
+      return;
+    }
+
+    const line = this.serialize([entry]);
+    this.writeQueue = this.writeQueue
+      .then(() => {
+        this.rotateIfNeeded();
+        return fs.promises.appendFile(this.getLogFilePath(), line, 'utf8');
+      })
+      .catch((error) => {
+        console.error('Failed to write log entry', error);
+      });
+  }
+
+  appendSync(entries) {
+    this.rotateIfNeeded();
+    fs.appendFileSync(this.getLogFilePath(), this.serialize(entries), 'utf8');
+  }
+
+  rotateIfNeeded() {
+    const filePath = this.getLogFilePath();
+    try {
+      const stats = fs.statSync(filePath);
+      if (stats.size < MAX_FILE_SIZE) return;
+    } catch (error) {
+      return; // no active file yet
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    fs.renameSync(filePath, path.join(this.logDirectory, `app-${stamp}.log`));
+    this.pruneOldFiles();
+  }
+
+  /**
+   * Rotated files, newest first
+   * @returns {string[]}
+   */
+  getRotatedFiles() {
+    if (!this.logDirectory) return [];
+    try {
+      return fs.readdirSync(this.logDirectory)
+        .filter(name => /^app-.+\.log$/.test(name))
+        .sort()
+        .reverse()
+        .map(name => path.join(this.logDirectory, name));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  pruneOldFiles() {
+    const cutoff = Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    this.getRotatedFiles().forEach((filePath, index) => {
+      try {
+        if (index >= MAX_ROTATED_FILES || fs.statSync(filePath).mtimeMs < cutoff) {
+          fs.unlinkSync(filePath);
+        }
+      } catch (error) {
+        // File vanished or is locked; try again on the next rotation
+      }
+    });
+  }
+
+  record(level, message, data = null) {
+    if (this.isWorkerProcess()) {
+      // Workers can't reach the log directory safely; hand the entry to the pool which persists it
+      try {
+        process.send({ type: 'log', level, message, data });
+      } catch (error) {
+        // Parent channel closed
+      }
+      return;
+    }
+
+    this.persist(level, message, data, 'main');
+    this.sendToRenderer(level, message, data);
+  }
 
   sendToRenderer(level, message, data = null) {
     try {
@@ -33,11 +184,11 @@ class Logger {
   }
 
   async info(message, data = null) {
-    this.sendToRenderer('info', message, data);
+    this.record('info', message, data);
   }
 
   async warn(message, data = null) {
-    this.sendToRenderer('warn', message, data);
+    this.record('warn', message, data);
   }
 
   async error(message, error = null, data = null) {
@@ -49,40 +200,142 @@ class Logger {
         stack: error.stack
       };
     }
-    
-    this.sendToRenderer('error', message, errorData);
+
+    this.record('error', message, errorData);
   }
 
   async debug(message, data = null) {
-    this.sendToRenderer('debug', message, data);
+    this.record('debug', message, data);
   }
 
   async userAction(action, data = null) {
-    this.sendToRenderer('user', `USER_ACTION: ${action}`, data);
+    this.record('user', `USER_ACTION: ${action}`, data);
   }
 
   async systemEvent(event, details = null) {
-    this.sendToRenderer('system', `SYSTEM: ${event}`, details);
+    this.record('system', `SYSTEM: ${event}`, details);
   }
 
   async crash(error, context = null) {
     const crashData = {
       errorMessage: error.message,
       stack: error.stack,
-      context: context || 'No context provided'
+      context: context || 'No context provided',
+      crash: true
     };
-    
+
+    if (this.isWorkerProcess()) {
+      // Same path as record(): the pool persists it as a worker entry. Resolves once the
+      // message is handed off so a crashing worker can exit afterwards without losing it.
+      return new Promise(resolve => {
+        try {
+          process.send({ type: 'log', level: 'error', message: 'Application crash detected', data: crashData }, () => resolve());
+        } catch (sendError) {
+          console.error('Failed to forward crash log', sendError);
+          resolve();
+        }
+      });
+    }
+
+    // Write synchronously: the process may not live long enough for the async queue
+    const entry = this.buildEntry('error', 'Application crash detected', crashData, 'main');
+    if (this.logDirectory) {
+      try {
+        this.appendSync([entry]);
+      } catch (writeError) {
+        console.error('Failed to write crash log', writeError);
+      }
+    } else {
+      this.pendingEntries.push(entry);
+    }
+
     this.sendToRenderer('error', 'Application crash detected', crashData);
   }
 
+  /**
+   * Read persisted entries, newest first.
+   * @param {string} type 'all', 'crash', a level (info/warn/error/debug/user/system) or a source (main/worker/frontend)
+   * @param {number} limit
+   * @returns {Promise<object[]>}
+   */
   async getLogs(type = 'all', limit = 100) {
-    // UI-only logger - no file logs to retrieve
-    return [];
+    if (!this.logDirectory) {
+      return this.pendingEntries.filter(entry => this.matchesType(entry, type)).reverse().slice(0, limit);
+    }
+
+    // Make sure queued writes are on disk before reading
+    await this.writeQueue;
+
+    const files = [this.getLogFilePath(), ...this.getRotatedFiles()];
+    const results = [];
+
+    for (const filePath of files) {
+      let content;
+      try {
+        content = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      const lines = content.split('\n');
+      for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+        if (!lines[i].trim()) continue;
+        try {
+          const entry = JSON.parse(lines[i]);
+          if (this.matchesType(entry, type)) {
+            results.push(entry);
+          }
+        } catch (error) {
+          // Skip partially written lines
+        }
+      }
+
+      if (results.length >= limit) break;
+    }
+
+    return results;
+  }
+
+  matchesType(entry, type) {
+    if (!type || type === 'all') return true;
+    if (type === 'crash') return !!(entry.data && entry.data.crash);
+    if (type === 'worker') return typeof entry.source === 'string' && entry.source.startsWith('worker');
+    return entry.level === type || entry.source === type;
   }
 
   async clearLogs(type = 'all') {
-    // UI-only logger - no file logs to clear
-    this.sendToRenderer('info', `Cleared logs: ${type}`);
+    if (this.logDirectory) {
+      await this.writeQueue;
+      const files = [this.getLogFilePath(), ...this.getRotatedFiles()];
+
+      if (type === 'all') {
+        for (const filePath of files) {
+          await fs.promises.rm(filePath, { force: true });
+        }
+      } else {
+        // Rewrite each file keeping only entries that don't match the type
+        for (const filePath of files) {
+          let content;
+          try {
+            content = await fs.promises.readFile(filePath, 'utf8');
+          } catch (error) {
+            continue;
+          }
+          const kept = content.split('\n').filter((line) => {
+            if (!line.trim()) return false;
+            try {
+              return !this.matchesType(JSON.parse(line), type);
+            } catch (error) {
+              return false;
+            }
+          });
+          await fs.promises.writeFile(filePath, kept.length ? kept.join('\n') + '\n' : '', 'utf8');
+        }
+      }
+    }
+
+    this.pendingEntries = this.pendingEntries.filter(entry => type !== 'all' && !this.matchesType(entry, type));
+    this.record('info', `Cleared logs: ${type}`);
   }
 }
 
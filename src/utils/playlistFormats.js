@@ -0,0 +1,311 @@
+/**
+ * Readers and writers for playlist files shared with other players (M3U/M3U8, PLS, XSPF)
+ * and for our own portable playlist manifest
+ */
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+
+const PLAYLIST_EXTENSIONS = ['m3u', 'm3u8', 'pls', 'xspf', 'json'];
+
+// Portable manifest: track metadata and source URLs, no audio
+const MANIFEST_FORMAT = 'mmp-playlist';
+const MANIFEST_VERSION = 1;
+const MANIFEST_EXTENSION = '.mmp-playlist.json';
+const ZIP_MANIFEST_ENTRY = 'mmp-playlist.json'; // embedded in exported playlist zips
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeXml(text) {
+  return String(text)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+      }
+      return XML_ENTITIES[entity.toLowerCase()] || match;
+    })
+    .trim();
+}
+
+/**
+ * Decode a playlist file. M3U8, PLS and XSPF are UTF-8 by convention; plain .m3u files
+ * written by older players are often Latin-1, so fall back to that when UTF-8 doesn't fit.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodePlaylistBuffer(buffer) {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    text = buffer.toString('latin1');
+  }
+  return text.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Turn a playlist location into a remote URL or an absolute local path
+ * @param {string} location as written in the playlist
+ * @param {string} baseDir directory of the playlist file, for relative paths
+ * @param {boolean} isUri XSPF locations are URIs, so relative ones are percent-encoded
+ * @returns {{url?: string, path?: string}}
+ */
+function resolveLocation(location, baseDir, isUri = false) {
+  const value = location.trim();
+  if (/^https?:\/\//i.test(value)) return { url: value };
+  if (/^file:\/\//i.test(value)) {
+    try {
+      return { path: fileURLToPath(value) };
+    } catch (error) {
+      return {};
+    }
+  }
+  // Drive letters ("C:\Music") aren't URI schemes; anything else with a scheme (spotify:, rtsp://) isn't supported
+  if (/^[a-z][a-z0-9+.-]+:/i.test(value) && !/^[a-z]:[\\/]/i.test(value)) return {};
+
+  let localPath = value;
+  if (isUri) {
+    try {
+      localPath = value.split('/').map(decodeURIComponent).join('/');
+    } catch (error) {
+      // Keep the raw value when it isn't valid percent-encoding
+    }
+  }
+  // Playlists written on Windows use backslashes
+  if (path.sep === '/' && !/^[a-z]:/i.test(localPath)) localPath = localPath.replace(/\\/g, '/');
+  return { path: path.isAbsolute(localPath) || /^[a-z]:[\\/]/i.test(localPath) ? localPath : path.resolve(baseDir, localPath) };
+}
+
+function parseM3U(text, baseDir) {
+  const entries = [];
+  let name = null;
+  let info = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#')) {
+      const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+      if (extinf) {
+        const duration = parseFloat(extinf[1]);
+        info = { title: extinf[2].trim() || null, duration: duration > 0 ? duration : null };
+      } else if (/^#PLAYLIST:/i.test(line)) {
+        name = line.slice('#PLAYLIST:'.length).trim() || null;
+      }
+      continue;
+    }
+
+    entries.push({ location: line, ...resolveLocation(line, baseDir), title: info?.title || null, duration: info?.duration || null });
+    info = null;
+  }
+  return { name, entries };
+}
+
+function parsePLS(text, baseDir) {
+  const fields = new Map(); // index -> { file, title, length }
+  let name = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const match = rawLine.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (!match) {
+      const playlistName = rawLine.trim().match(/^X-GNOME-Title\s*=\s*(.*)$/i);
+      if (playlistName) name = playlistName[1].trim() || null;
+      continue;
+    }
+    const index = parseInt(match[2], 10);
+    if (!fields.has(index)) fields.set(index, {});
+    fields.get(index)[match[1].toLowerCase()] = match[3].trim();
+  }
+
+  const entries = [...fields.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .filter(([, entry]) => entry.file)
+    .map(([, entry]) => {
+      const duration = parseFloat(entry.length);
+      return {
+        location: entry.file,
+        ...resolveLocation(entry.file, baseDir),
+        title: entry.title || null,
+        duration: duration > 0 ? duration : null
+      };
+    });
+  return { name, entries };
+}
+
+function getXmlElement(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeXml(match[1]) : null;
+}
+
+function parseXSPF(text, baseDir) {
+  const trackList = text.match(/<trackList(?:\s[^>]*)?>([\s\S]*?)<\/trackList>/i);
+  const header = trackList ? text.slice(0, trackList.index) : text;
+  const name = getXmlElement(header, 'title');
+
+  const entries = [];
+  const trackPattern = /<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/gi;
+  let match;
+  while (trackList && (match = trackPattern.exec(trackList[1])) !== null) {
+    const location = getXmlElement(match[1], 'location');
+    if (!location) continue;
+    const title = getXmlElement(match[1], 'title');
+    const creator = getXmlElement(match[1], 'creator');
+    const duration = parseInt(getXmlElement(match[1], 'duration'), 10);
+    entries.push({
+      location,
+      ...resolveLocation(location, baseDir, true),
+      title: title && creator && !title.toLowerCase().includes(creator.toLowerCase()) ? `${creator} - ${title}` : title,
+      duration: duration > 0 ? duration / 1000 : null // XSPF durations are milliseconds
+    });
+  }
+  return { name, entries };
+}
+
+function isPlaylistManifest(data) {
+  return !!data && data.format === MANIFEST_FORMAT && Array.isArray(data.tracks);
+}
+
+function parseManifest(manifest) {
+  const entries = (Array.isArray(manifest.tracks) ? manifest.tracks : []).map((track) => {
+    const title = track.name || null;
+    const duration = Number(track.duration) > 0 ? Number(track.duration) : null;
+    if (typeof track.url === 'string' && /^https?:\/\//i.test(track.url)) {
+      return { location: track.url, url: track.url, title, duration };
+    }
+    return { location: title || 'Unnamed track', title, duration, reason: 'No source URL to download from' };
+  });
+  return { name: manifest.name || null, entries };
+}
+
+/**
+ * Parse a playlist file's contents
+ * @param {Buffer} buffer file contents
+ * @param {string} filePath used for the format and to resolve relative entries
+ * @returns {{name: string|null, entries: {location: string, url?: string, path?: string, title: string|null, duration: number|null}[]}}
+ */
+function parsePlaylistFile(buffer, filePath) {
+  const text = decodePlaylistBuffer(buffer);
+  const baseDir = path.dirname(filePath);
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+
+  if (ext === 'json') {
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${path.basename(filePath)} is not valid JSON`);
+    }
+    if (!isPlaylistManifest(manifest)) {
+      throw new Error(`${path.basename(filePath)} is not a Master Music Player playlist manifest`);
+    }
+    return parseManifest(manifest);
+  }
+  if (ext === 'pls' || /^\s*\[playlist\]/i.test(text)) return parsePLS(text, baseDir);
+  if (ext === 'xspf' || /^\s*(<\?xml[^>]*>\s*)?<playlist[^>]*xspf/i.test(text)) return parseXSPF(text, baseDir);
+  return parseM3U(text, baseDir);
+}
+
+// "Artist - Title" unless the name already carries the artist
+function getDisplayTitle(track) {
+  const name = track.name || 'Unknown Track';
+  return track.artist && !name.toLowerCase().includes(String(track.artist).toLowerCase())
+    ? `${track.artist} - ${name}`
+    : name;
+}
+
+/**
+ * Write an extended M3U8 playlist
+ * @param {{name: string, tracks: object[]}} playlist
+ * @param {function(object): string|null} getLocation path or URL written for a track; null skips it
+ * @returns {string}
+ */
+function buildM3U8(playlist, getLocation) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+  for (const track of playlist.tracks) {
+    const location = getLocation(track);
+    if (!location) continue;
+    lines.push(`#EXTINF:${Math.round(track.duration) || -1},${getDisplayTitle(track)}`, location);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// XSPF locations are URIs: relative paths are percent-encoded, absolute ones become file:// URLs
+function toXspfLocation(location) {
+  if (/^https?:\/\//i.test(location)) return location;
+  if (path.isAbsolute(location)) return pathToFileURL(location).href;
+  return location.split(/[\\/]/).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Write an XSPF playlist
+ * @param {{name: string, tracks: object[]}} playlist
+ * @param {function(object): string|null} getLocation
+ * @returns {string}
+ */
+function buildXSPF(playlist, getLocation) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(playlist.name)}</title>`,
+    '  <trackList>'
+  ];
+  for (const track of playlist.tracks) {
+    const location = getLocation(track);
+    if (!location) continue;
+    lines.push('    <track>', `      <location>${escapeXml(toXspfLocation(location))}</location>`);
+    lines.push(`      <title>${escapeXml(track.name || 'Unknown Track')}</title>`);
+    if (track.artist) lines.push(`      <creator>${escapeXml(track.artist)}</creator>`);
+    if (track.album) lines.push(`      <album>${escapeXml(track.album)}</album>`);
+    if (track.duration > 0) lines.push(`      <duration>${Math.round(track.duration * 1000)}</duration>`);
+    lines.push('    </track>');
+  }
+  lines.push('  </trackList>', '</playlist>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Portable playlist manifest another install can import to download the same tracks
+ * @param {{name: string, tracks: object[], sources?: object[]}} playlist
+ * @param {string} appVersion
+ * @returns {object}
+ */
+function buildPlaylistManifest(playlist, appVersion) {
+  return {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    name: playlist.name,
+    exportedAt: new Date().toISOString(),
+    appVersion,
+    sources: (playlist.sources || []).map(({ url, title }) => ({ url, title: title || null })),
+    tracks: playlist.tracks.map(track => ({
+      name: track.name || null,
+      artist: track.artist || null,
+      album: track.album || null,
+      duration: track.duration || null,
+      volume: typeof track.volume === 'number' ? track.volume : null,
+      url: track.url || null,
+      sourceUrl: track.sourceUrl || null
+    }))
+  };
+}
+
+module.exports = {
+  PLAYLIST_EXTENSIONS,
+  MANIFEST_EXTENSION,
+  ZIP_MANIFEST_ENTRY,
+  isPlaylistManifest,
+  parsePlaylistFile,
+  buildM3U8,
+  buildXSPF,
+  buildPlaylistManifest
+};
@@ -16,6 +16,8 @@ class ProcessWorkerPool extends EventEmitter {
     }
     this.workers = [];
     this.activeWorkers = 0;
+    // Ids are never reused, so a dead worker's late events can't be mistaken for a live one's
+    this.nextWorkerId = 0;
     this.queue = [];
     this.size = size;
     this.taskPromises = new Map();
@@ -32,7 +34,8 @@ class ProcessWorkerPool extends EventEmitter {
     // No-op: workers are now created lazily to save memory
   }
 
-  createWorker(id) {
+  createWorker() {
+    const id = this.nextWorkerId++;
     const env = { ...process.env, WORKER_ID: id, YT_DLP_PATH: this.ytDlpPath };
     if (this.ffmpegPath) {
       env.FFMPEG_PATH = this.ffmpegPath;
@@ -47,7 +50,9 @@ class ProcessWorkerPool extends EventEmitter {
       id,
       process: worker,
       busy: false,
-      tasksCompleted: 0
+      currentTaskId: null,
+      tasksCompleted: 0,
+      terminated: false // stopped on purpose; its exit is not a crash
     };
 
     worker.on('message', (msg) => this.handleWorkerMessage(workerData, msg));
@@ -69,6 +74,16 @@ class ProcessWorkerPool extends EventEmitter {
       });
       return;
     }
+    if (msg.type === 'status') {
+      // Stage changes reported by the worker (fetching-metadata, downloading, converting)
+      this.emit('status', {
+        taskId: msg.taskId,
+        status: msg.status,
+        fileBase: msg.fileBase,
+        workerId: workerData.id
+      });
+      return;
+    }
     if (msg.type === 'progress') {
             const taskPromise = this.taskPromises.get(msg.taskId);
       this.emit('progress', {
@@ -79,13 +94,18 @@ class ProcessWorkerPool extends EventEmitter {
       });
       return;
     }
-    if (msg.type === 'completed' || msg.type === 'failed') {
+    if (msg.type === 'completed' || msg.type === 'failed' || msg.type === 'cancelled') {
+      // Ignore late confirmations for a task this worker is no longer running
+      if (workerData.currentTaskId !== msg.taskId) return;
+
       this.activeWorkers--;
       workerData.busy = false;
+      workerData.currentTaskId = null;
       workerData.tasksCompleted++;
 
       // If no queued tasks remain, terminate this idle worker to free memory
       if (this.queue.length === 0) {
+        workerData.terminated = true;
         try {
           workerData.process.kill('SIGTERM');
         } catch (e) {
@@ -96,7 +116,10 @@ class ProcessWorkerPool extends EventEmitter {
       }
 
       const taskPromise = this.taskPromises.get(msg.taskId);
-      if (taskPromise) {
+      if (msg.type === 'cancelled') {
+        this.resolveCancelled(msg.taskId);
+      } else if (taskPromise) {
+        if (taskPromise.cancelTimer) clearTimeout(taskPromise.cancelTimer);
         if (msg.type === 'completed') {
           taskPromise.resolve({ success: true, track: msg.result });
         } else if (msg.type === 'failed') {
@@ -114,8 +137,7 @@ class ProcessWorkerPool extends EventEmitter {
 
   handleWorkerError(workerData, err) {
     logger.error(`Worker ${workerData.id} error:`, err);
-    this.activeWorkers--;
-    workerData.busy = false;
+    this.failCurrentTask(workerData);
 
     // Restart the worker
     this.restartWorker(workerData);
@@ -123,28 +145,46 @@ class ProcessWorkerPool extends EventEmitter {
 
   handleWorkerExit(workerData, code, signal) {
     logger.warn(`Worker ${workerData.id} exited with code ${code}, signal ${signal}`);
-    this.activeWorkers--;
-    workerData.busy = false;
+    this.failCurrentTask(workerData);
 
     // Restart the worker if it wasn't intentionally terminated
-    if (code !== 0 && signal !== 'SIGTERM') {
+    if (!workerData.terminated && code !== 0 && signal !== 'SIGTERM') {
       this.restartWorker(workerData);
     }
   }
 
+  // Settle the task a crashed worker was running. 'error' and 'exit' can both fire for the
+  // same crash, so this only does anything while the worker still counts as busy.
+  failCurrentTask(workerData) {
+    if (!workerData.busy) return;
+    this.activeWorkers--;
+    workerData.busy = false;
+
+    const taskId = workerData.currentTaskId;
+    workerData.currentTaskId = null;
+    const taskPromise = this.taskPromises.get(taskId);
+    if (taskPromise) {
+      if (taskPromise.cancelTimer) clearTimeout(taskPromise.cancelTimer);
+      taskPromise.resolve({ success: false, error: 'Worker exited unexpectedly', trackInfo: taskPromise.trackInfo });
+      this.taskPromises.delete(taskId);
+    }
+  }
+
   restartWorker(oldWorkerData) {
-    const index = this.workers.findIndex(w => w.id === oldWorkerData.id);
+    const index = this.workers.indexOf(oldWorkerData);
     if (index !== -1) {
+      oldWorkerData.terminated = true;
       // Kill the old process if it's still running
       if (!oldWorkerData.process.killed) {
         oldWorkerData.process.kill('SIGTERM');
       }
 
-      // Create a new worker with the same ID
-      const newWorker = this.createWorker(oldWorkerData.id);
-      this.workers[index] = newWorker;
-      
-      logger.info(`Restarted worker ${oldWorkerData.id}`);
+      // createWorker adds the replacement to the pool
+      this.workers.splice(index, 1);
+      const newWorker = this.createWorker();
+
+      logger.info(`Replaced worker ${oldWorkerData.id} with worker ${newWorker.id}`);
+      if (this.queue.length > 0) this.assignNextTask();
     }
   }
 
@@ -154,12 +194,13 @@ class ProcessWorkerPool extends EventEmitter {
     // If there are no idle workers and we have capacity, spawn a new one lazily
     let availableWorker = this.workers.find(w => !w.busy);
     if (!availableWorker && this.workers.length < this.size) {
-      availableWorker = this.createWorker(this.workers.length);
+      availableWorker = this.createWorker();
     }
 
     if (availableWorker && !availableWorker.busy) {
       const task = this.queue.shift();
       availableWorker.busy = true;
+      availableWorker.currentTaskId = task.taskId;
       this.activeWorkers++;
       
       availableWorker.process.send(task);
@@ -167,10 +208,11 @@ class ProcessWorkerPool extends EventEmitter {
     }
   }
 
-  addTask(trackInfo, songsPath, playlistId) {
+  addTask(trackInfo, songsPath, playlistId, taskId = null) {
     // Ensure we attempt assignment immediately in case there were no tasks before
 
-    const taskId = generateTaskId(playlistId, trackInfo.id);
+    // Callers that track tasks themselves (the download queue) supply their own id
+    taskId = taskId || generateTaskId(playlistId, trackInfo.id);
     
     // Include cookies path so worker can find cookies.txt
     const { app } = require('electron');
@@ -193,6 +235,63 @@ class ProcessWorkerPool extends EventEmitter {
     });
   }
 
+  /**
+   * Cancel a queued or running task. Queued tasks are simply dropped; a running task's worker
+   * kills its yt-dlp/ffmpeg process and removes partial files before confirming.
+   * Either way the task promise resolves with status 'cancelled'.
+   * @param {string} taskId
+   * @returns {boolean} true if the task was known to the pool
+   */
+  cancelTask(taskId) {
+    const taskPromise = this.taskPromises.get(taskId);
+    if (!taskPromise) return false;
+
+    const queuedIndex = this.queue.findIndex(t => t.taskId === taskId);
+    if (queuedIndex !== -1) {
+      this.queue.splice(queuedIndex, 1);
+      logger.info(`Removed queued task ${taskId}. Queue: ${this.queue.length}`);
+      this.resolveCancelled(taskId);
+      return true;
+    }
+
+    const workerData = this.workers.find(w => w.currentTaskId === taskId);
+    if (!workerData) return false;
+
+    logger.info(`Cancelling task ${taskId} on worker ${workerData.id}`);
+    workerData.process.send({ type: 'cancelTask', taskId });
+
+    // If the worker doesn't confirm in time, take it down instead
+    if (!taskPromise.cancelTimer) {
+      taskPromise.cancelTimer = setTimeout(() => {
+        if (!this.taskPromises.has(taskId)) return;
+        logger.warn(`Worker ${workerData.id} did not confirm cancellation of ${taskId}, killing it`);
+        this.workers = this.workers.filter(w => w !== workerData);
+        workerData.terminated = true;
+        if (workerData.busy) {
+          this.activeWorkers--;
+          workerData.busy = false;
+          workerData.currentTaskId = null;
+        }
+        try {
+          workerData.process.kill('SIGKILL');
+        } catch (e) {
+          // ignore if already dead
+        }
+        this.resolveCancelled(taskId);
+        this.assignNextTask();
+      }, 10000);
+    }
+    return true;
+  }
+
+  resolveCancelled(taskId) {
+    const taskPromise = this.taskPromises.get(taskId);
+    if (!taskPromise) return;
+    if (taskPromise.cancelTimer) clearTimeout(taskPromise.cancelTimer);
+    taskPromise.resolve({ success: false, status: 'cancelled', cancelled: true, trackInfo: taskPromise.trackInfo });
+    this.taskPromises.delete(taskId);
+  }
+
   getStats() {
     return {
       totalWorkers: this.size,
@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+const SNAPSHOT_COUNT = 3; // <file>.1.bak (newest) to <file>.3.bak
+// A burst of saves (volume slider, download progress) shouldn't push out every older snapshot
+const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+const RENAME_ATTEMPTS = 5; // Windows refuses renames while a virus scanner or indexer has the file open
+
+function isValidJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Crash-safe JSON files. A write goes to a temp file that is flushed to disk and then renamed
+ * over the original, so a power loss leaves either the old or the new version, never half of one.
+ * The version being replaced is kept as a rolling `.bak` snapshot; a file that no longer parses is
+ * restored from its newest valid snapshot on read, and 'recovered' is emitted so the user can be told.
+ */
+class SafeJson extends EventEmitter {
+  constructor() {
+    super();
+    this.writes = new Map(); // file path -> last queued write, so writes to one file land in order
+    this.syncWrites = new Map(); // file path -> number of writeJsonSync calls; queued writes older than the last one are dropped
+    this.tempCounter = 0;
+  }
+
+  snapshotPath(filePath, index) {
+    return `${filePath}.${index}.bak`;
+  }
+
+  tempPath(filePath) {
+    return `${filePath}.${process.pid}-${this.tempCounter++}.tmp`;
+  }
+
+  /**
+   * Read a JSON file, falling back to its newest valid snapshot if it is damaged
+   * @param {string} filePath
+   * @returns {Promise<any>}
+   */
+  async readJson(filePath) {
+    try {
+      return await fs.readJson(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw error;
+      const recovered = await this.recover(filePath, error);
+      if (!recovered) throw error;
+      return recovered.data;
+    }
+  }
+
+  async recover(filePath, error) {
+    for (let i = 1; i <= SNAPSHOT_COUNT; i++) {
+      const snapshot = this.snapshotPath(filePath, i);
+      let data;
+      let stat;
+      try {
+        data = await fs.readJson(snapshot);
+        stat = await fs.stat(snapshot);
+      } catch (snapshotError) {
+        continue;
+      }
+
+      // Keep the damaged file for diagnostics, then put the snapshot in its place
+      await fs.move(filePath, `${filePath}.corrupt`, { overwrite: true }).catch(() => {});
+      await this.writeJson(filePath, data, { snapshot: false });
+      const savedAt = new Date(stat.mtimeMs).toISOString();
+      logger.warn('Recovered damaged JSON file from snapshot', { filePath, snapshot, savedAt, error: error.message });
+      this.emit('recovered', { filePath, savedAt, data });
+      return { data };
+    }
+    logger.error('Damaged JSON file has no usable snapshot', error, { filePath });
+    return null;
+  }
+
+  /**
+   * Replace a JSON file atomically
+   * @param {string} filePath
+   * @param {any} data serialized right away; later changes to it aren't written
+   * @param {{snapshot?: boolean}} options snapshot: keep the replaced version as a `.bak` snapshot
+   * @returns {Promise<void>}
+   */
+  writeJson(filePath, data, { snapshot = true } = {}) {
+    const content = JSON.stringify(data, null, 2) + '\n';
+    const previous = this.writes.get(filePath) || Promise.resolve();
+    const syncCount = this.syncWrites.get(filePath) || 0;
+    const write = previous.catch(() => {}).then(() => this.replaceFile(filePath, content, snapshot, syncCount));
+    this.writes.set(filePath, write);
+    const forget = () => {
+      if (this.writes.get(filePath) === write) this.writes.delete(filePath);
+    };
+    write.then(forget, forget);
+    return write;
+  }
+
+  // Whether writeJsonSync has replaced the file since a write was queued
+  isSuperseded(filePath, syncCount) {
+    return (this.syncWrites.get(filePath) || 0) !== syncCount;
+  }
+
+  async replaceFile(filePath, content, snapshot, syncCount) {
+    if (this.isSuperseded(filePath, syncCount)) return;
+    if (snapshot) await this.rotateSnapshots(filePath);
+
+    const tempPath = this.tempPath(filePath);
+    try {
+      const handle = await fs.promises.open(tempPath, 'w');
+      try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      for (let attempt = 1; ; attempt++) {
+        // Checked right before the rename so older data can't land over a newer synchronous write
+        if (this.isSuperseded(filePath, syncCount)) {
+          await fs.remove(tempPath);
+          return;
+        }
+        try {
+          await fs.rename(tempPath, filePath);
+          break;
+        } catch (error) {
+          if (attempt >= RENAME_ATTEMPTS || !['EPERM', 'EACCES', 'EBUSY'].includes(error.code)) throw error;
+          await new Promise(resolve => setTimeout(resolve, 50 * attempt));
+        }
+      }
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Shift the snapshots along and keep the current version as the newest, unless that was done recently
+  async rotateSnapshots(filePath) {
+    const newest = await fs.stat(this.snapshotPath(filePath, 1)).catch(() => null);
+    if (newest && Date.now() - newest.mtimeMs < SNAPSHOT_INTERVAL_MS) return;
+
+    // A damaged file would push out a good snapshot
+    const current = await fs.readFile(filePath, 'utf8').catch(() => null);
+    if (current === null || !isValidJson(current)) return;
+
+    for (let i = SNAPSHOT_COUNT - 1; i >= 1; i--) {
+      await fs.move(this.snapshotPath(filePath, i), this.snapshotPath(filePath, i + 1), { overwrite: true }).catch(() => {});
+    }
+    await fs.writeFile(this.snapshotPath(filePath, 1), current, 'utf8');
+  }
+
+  /**
+   * Replace a JSON file atomically without waiting; no snapshot is taken. Used on shutdown.
+   * Writes queued before this call for the same file are dropped rather than landing after it.
+   * @param {string} filePath
+   * @param {any} data
+   */
+  writeJsonSync(filePath, data) {
+    this.syncWrites.set(filePath, (this.syncWrites.get(filePath) || 0) + 1);
+    const tempPath = this.tempPath(filePath);
+    try {
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeFileSync(fd, JSON.stringify(data, null, 2) + '\n', 'utf8');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.removeSync(tempPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file along with its snapshots
+   * @param {string} filePath
+   */
+  async remove(filePath) {
+    await fs.remove(filePath);
+    for (let i = 1; i <= SNAPSHOT_COUNT; i++) {
+      await fs.remove(this.snapshotPath(filePath, i));
+    }
+    await fs.remove(`${filePath}.corrupt`);
+  }
+}
+
+module.exports = new SafeJson();
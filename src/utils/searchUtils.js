@@ -0,0 +1,171 @@
+/**
+ * Fuzzy track search used by the library search box
+ */
+
+// Relative weight of each searchable track field
+const FIELD_WEIGHTS = {
+  name: 1,
+  artist: 0.8,
+  album: 0.6
+};
+
+/**
+ * Lowercase, strip accents and collapse punctuation so "Beyoncé - Halo (Live)" matches "beyonce halo live"
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  if (!text) return '';
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+// Edit distance counting swapped neighbours as one edit, with an early exit once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score one query token against a normalized field, between 0 (no match) and 1
+ * @param {string} token
+ * @param {string} text normalized field text
+ * @param {string[]} words the field text split into words
+ * @returns {number}
+ */
+function scoreToken(token, text, words) {
+  if (!text) return 0;
+
+  // Substring matches rank highest, especially at the start of a word
+  const index = text.indexOf(token);
+  if (index !== -1) {
+    return index === 0 || text[index - 1] === ' ' ? 1 : 0.8;
+  }
+
+  // Small typos in longer tokens ("beatels" -> "beatles")
+  if (token.length >= 4) {
+    const maxDistance = token.length >= 8 ? 2 : 1;
+    for (const word of words) {
+      if (editDistance(token, word.slice(0, token.length + maxDistance), maxDistance) <= maxDistance) {
+        return 0.6;
+      }
+    }
+  }
+
+  // Abbreviations: the token's characters appear in order ("dsrm" -> "don't stop me now")
+  let position = 0;
+  let gaps = 0;
+  for (const char of token) {
+    const found = text.indexOf(char, position);
+    if (found === -1) return 0;
+    if (found !== position) gaps++;
+    position = found + 1;
+  }
+  return token.length >= 2 ? Math.max(0.1, 0.45 - gaps * 0.05) : 0;
+}
+
+/**
+ * Score a track against a tokenized query. Every query token has to match at least one field.
+ * @param {object} track
+ * @param {string[]} queryTokens
+ * @param {string} normalizedQuery
+ * @returns {number} 0 when the track does not match
+ */
+function scoreTrack(track, queryTokens, normalizedQuery) {
+  const fields = Object.keys(FIELD_WEIGHTS).map((field) => {
+    const text = normalizeText(track[field]);
+    return { field, text, words: text ? text.split(' ') : [] };
+  });
+
+  let total = 0;
+  for (const token of queryTokens) {
+    let best = 0;
+    for (const { field, text, words } of fields) {
+      best = Math.max(best, scoreToken(token, text, words) * FIELD_WEIGHTS[field]);
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  let score = total / queryTokens.length;
+
+  // Whole-phrase matches on the name beat scattered token matches
+  const name = fields[0].text;
+  if (name === normalizedQuery) {
+    score += 0.5;
+  } else if (name.startsWith(normalizedQuery)) {
+    score += 0.3;
+  } else if (name.includes(normalizedQuery)) {
+    score += 0.2;
+  }
+  return score;
+}
+
+/**
+ * Search every track of every playlist.
+ * A track that appears in several playlists is returned once, pointing at the first playlist.
+ * @param {string} query
+ * @param {object[]} playlists
+ * @param {number} limit
+ * @returns {{track: object, playlist: object, index: number, score: number, playlistCount: number}[]}
+ */
+function searchTracks(query, playlists, limit = 200) {
+  const normalizedQuery = normalizeText(query);
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) return [];
+
+  const results = new Map();
+  for (const playlist of playlists || []) {
+    (playlist.tracks || []).forEach((track, index) => {
+      if (!track) return;
+
+      const existing = results.get(track.id);
+      if (existing) {
+        existing.playlistCount++;
+        return;
+      }
+
+      const score = scoreTrack(track, queryTokens, normalizedQuery);
+      if (score > 0) {
+        results.set(track.id, { track, playlist, index, score, playlistCount: 1 });
+      }
+    });
+  }
+
+  return [...results.values()]
+    .sort((a, b) => b.score - a.score || String(a.track.name).localeCompare(String(b.track.name)))
+    .slice(0, limit);
+}
+
+module.exports = {
+  normalizeText,
+  scoreTrack,
+  searchTracks
+};
@@ -0,0 +1,155 @@
+const fs = require('fs-extra');
+const logger = require('./logger');
+const safeJson = require('./safeJson');
+
+const LIBRARY_VERSION = 1;
+
+/**
+ * Central track index. Every track is stored once, keyed by id; playlists only hold track ids.
+ * Also keeps an in-memory map of which playlists reference each track so orphaned files can be
+ * found without reading every playlist file.
+ * Paths are stored exactly as given; main.js stores them relative to the data directory.
+ */
+class TrackLibrary {
+  constructor(libraryFilePath) {
+    this.libraryFilePath = libraryFilePath;
+    this.tracks = new Map();
+    this.references = new Map(); // trackId -> Set of playlist ids
+    this.saveTimer = null;
+  }
+
+  async load() {
+    this.tracks.clear();
+    this.references.clear();
+    try {
+      if (await fs.pathExists(this.libraryFilePath)) {
+        const data = await safeJson.readJson(this.libraryFilePath);
+        for (const [id, track] of Object.entries(data.tracks || {})) {
+          this.tracks.set(id, { ...track, id });
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to load track library, starting empty', error);
+    }
+    logger.info('Track library loaded', { tracks: this.tracks.size });
+  }
+
+  serialize() {
+    return { version: LIBRARY_VERSION, tracks: Object.fromEntries(this.tracks) };
+  }
+
+  // Debounced save: volume sliders save the playlist on every input event
+  save() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      safeJson.writeJson(this.libraryFilePath, this.serialize()).catch((error) => {
+        logger.error('Failed to save track library', error);
+      });
+    }, 500);
+  }
+
+  // Synchronous save used on shutdown and before the data directory is copied
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    try {
+      safeJson.writeJsonSync(this.libraryFilePath, this.serialize());
+    } catch (error) {
+      logger.error('Failed to flush track library', error);
+    }
+  }
+
+  get(trackId) {
+    return this.tracks.get(trackId) || null;
+  }
+
+  has(trackId) {
+    return this.tracks.has(trackId);
+  }
+
+  all() {
+    return [...this.tracks.values()];
+  }
+
+  findByUrl(url) {
+    if (!url) return null;
+    return this.all().find(t => t.url === url) || null;
+  }
+
+  /**
+   * Insert a track or replace the stored copy of it
+   * @param {object} track must have an id
+   * @returns {object} the stored track
+   */
+  upsert(track) {
+    const stored = { ...track };
+    this.tracks.set(track.id, stored);
+    this.save();
+    return stored;
+  }
+
+  // Add a track only if the library doesn't know it yet; returns the stored copy either way
+  add(track) {
+    return this.get(track.id) || this.upsert(track);
+  }
+
+  /**
+   * Patch a stored track. Keys set to undefined are removed.
+   * @returns {object|null} the updated track
+   */
+  update(trackId, patch) {
+    const track = this.get(trackId);
+    if (!track) return null;
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === undefined) delete track[key];
+      else track[key] = value;
+    }
+    this.save();
+    return track;
+  }
+
+  remove(trackId) {
+    this.tracks.delete(trackId);
+    this.references.delete(trackId);
+    this.save();
+  }
+
+  /**
+   * Resolve a playlist's track ids to tracks, skipping ids the library doesn't know
+   * @param {string[]} trackIds
+   * @returns {object[]}
+   */
+  resolve(trackIds) {
+    return (trackIds || []).map(id => this.get(id)).filter(Boolean);
+  }
+
+  // Record which tracks a playlist references, replacing what was recorded before
+  setPlaylistTracks(playlistId, trackIds) {
+    this.removePlaylist(playlistId);
+    for (const trackId of trackIds) {
+      if (!this.references.has(trackId)) this.references.set(trackId, new Set());
+      this.references.get(trackId).add(playlistId);
+    }
+  }
+
+  removePlaylist(playlistId) {
+    for (const playlistIds of this.references.values()) {
+      playlistIds.delete(playlistId);
+    }
+  }
+
+  isReferenced(trackId) {
+    const playlistIds = this.references.get(trackId);
+    return !!playlistIds && playlistIds.size > 0;
+  }
+
+  // Tracks no playlist refers to any more
+  getUnreferenced() {
+    return this.all().filter(track => !this.isReferenced(track.id));
+  }
+}
+
+module.exports = TrackLibrary;